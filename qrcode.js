@@ -0,0 +1,411 @@
+/*
+ * Minimal QR code generator for the printable student code cards.
+ *
+ * The scoreboard runs offline and from file://, so QR codes are drawn
+ * locally instead of through an online service. This encodes text in byte
+ * mode at error correction level M, which is plenty for a profile link
+ * (versions 1–10, up to 213 bytes), and returns the symbol as an SVG string.
+ *
+ *   qrCodeSvg('https://example.org/index.html?code=BN23E6')
+ *
+ * The implementation follows ISO/IEC 18004: data codewords are split into
+ * blocks, Reed–Solomon error correction is added per block, the codewords
+ * are interleaved and placed in the zigzag order, and the mask with the
+ * lowest penalty score is kept.
+ */
+
+(function() {
+  // Level M block layout per version:
+  // [EC codewords per block, blocks in group 1, data codewords per group 1 block, blocks in group 2]
+  // Group 2 blocks hold one data codeword more than group 1 blocks.
+  const BLOCKS_M = [
+    null,
+    [10, 1, 16, 0],
+    [16, 1, 28, 0],
+    [26, 1, 44, 0],
+    [18, 2, 32, 0],
+    [24, 2, 43, 0],
+    [16, 4, 27, 0],
+    [18, 4, 31, 0],
+    [22, 2, 38, 2],
+    [22, 3, 36, 2],
+    [26, 4, 43, 1]
+  ];
+  // Centre coordinates of the alignment patterns per version
+  const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+  // Format bits for level M
+  const EC_LEVEL_BITS = 0;
+  // Light modules around the symbol, in modules
+  const QUIET_ZONE = 4;
+
+  /**
+   * Build the module matrix for a text.
+   *
+   * @param {string} text
+   * @returns {Array<Array<boolean>>} Rows of modules; true is dark
+   */
+  function qrCodeMatrix(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version < BLOCKS_M.length && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) {
+      version++;
+    }
+    if (version >= BLOCKS_M.length) {
+      throw new Error('Text is too long for a QR code');
+    }
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    const size = version * 4 + 17;
+    const modules = [];
+    const isFunction = [];
+    for (let y = 0; y < size; y++) {
+      modules.push(new Array(size).fill(false));
+      isFunction.push(new Array(size).fill(false));
+    }
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+    drawFunctionPatterns(version, size, setFunction);
+    drawCodewords(codewords, size, modules, isFunction);
+    // Keep the mask with the lowest penalty
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(mask, size, modules, isFunction);
+      drawFormatBits(mask, size, setFunction);
+      const score = penalty(modules, size);
+      if (!best || score < best.score) {
+        best = { mask, score };
+      }
+      applyMask(mask, size, modules, isFunction);
+    }
+    applyMask(best.mask, size, modules, isFunction);
+    drawFormatBits(best.mask, size, setFunction);
+    return modules;
+  }
+
+  /**
+   * Render a text as an SVG QR code that scales to its container.
+   *
+   * @param {string} text
+   * @returns {string} SVG markup
+   */
+  function qrCodeSvg(text) {
+    const modules = qrCodeMatrix(text);
+    const size = modules.length + QUIET_ZONE * 2;
+    let path = '';
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + QUIET_ZONE},${y + QUIET_ZONE}h1v1h-1z`;
+      });
+    });
+    return `<svg class="qr-code" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" ` +
+      `shape-rendering="crispEdges"><rect width="${size}" height="${size}" fill="#fff"/>` +
+      `<path d="${path}" fill="#000"/></svg>`;
+  }
+
+  /**
+   * @param {number} version
+   * @returns {number} Data codewords the version holds at level M
+   */
+  function dataCodewords(version) {
+    const [, blocks1, data1, blocks2] = BLOCKS_M[version];
+    return blocks1 * data1 + blocks2 * (data1 + 1);
+  }
+
+  /**
+   * Encode bytes as byte-mode data codewords, padded to the version's
+   * capacity.
+   *
+   * @param {Array<number>} bytes
+   * @param {number} version
+   * @returns {Array<number>}
+   */
+  function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0x4, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach((b) => push(b, 8));
+    const capacity = dataCodewords(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  /**
+   * Split data codewords into blocks, append each block's Reed–Solomon
+   * codewords and interleave the result.
+   *
+   * @param {Array<number>} data
+   * @param {number} version
+   * @returns {Array<number>}
+   */
+  function addErrorCorrection(data, version) {
+    const [ecLength, blocks1, data1, blocks2] = BLOCKS_M[version];
+    const divisor = reedSolomonDivisor(ecLength);
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blocks1 + blocks2; i++) {
+      const length = i < blocks1 ? data1 : data1 + 1;
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      blocks.push({ data: block, ec: reedSolomonRemainder(block, divisor) });
+    }
+    const result = [];
+    for (let i = 0; i <= data1; i++) {
+      blocks.forEach((b) => {
+        if (i < b.data.length) result.push(b.data[i]);
+      });
+    }
+    for (let i = 0; i < ecLength; i++) {
+      blocks.forEach((b) => result.push(b.ec[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Multiply in GF(256) with the QR polynomial 0x11D.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @returns {number}
+   */
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  /**
+   * Coefficients of the Reed–Solomon generator polynomial of a degree,
+   * highest power first, without the leading 1.
+   *
+   * @param {number} degree
+   * @returns {Array<number>}
+   */
+  function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  /**
+   * Error correction codewords for a block.
+   *
+   * @param {Array<number>} data
+   * @param {Array<number>} divisor
+   * @returns {Array<number>}
+   */
+  function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach((b) => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= gfMultiply(coef, factor);
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Draw the finder, timing and alignment patterns and reserve the format
+   * and version areas.
+   *
+   * @param {number} version
+   * @param {number} size
+   * @param {function(number, number, boolean)} setFunction
+   */
+  function drawFunctionPatterns(version, size, setFunction) {
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    const centres = ALIGNMENT[version];
+    const last = centres.length - 1;
+    centres.forEach((cx, i) => {
+      centres.forEach((cy, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+    drawFormatBits(0, size, setFunction);
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        setFunction(a, b, dark);
+        setFunction(b, a, dark);
+      }
+    }
+  }
+
+  /**
+   * Draw both copies of the format information for a mask.
+   *
+   * @param {number} mask
+   * @param {number} size
+   * @param {function(number, number, boolean)} setFunction
+   */
+  function drawFormatBits(mask, size, setFunction) {
+    const data = (EC_LEVEL_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  }
+
+  /**
+   * Place the codewords in the zigzag order, two columns at a time from the
+   * bottom right, skipping function modules.
+   *
+   * @param {Array<number>} codewords
+   * @param {number} size
+   * @param {Array<Array<boolean>>} modules
+   * @param {Array<Array<boolean>>} isFunction
+   */
+  function drawCodewords(codewords, size, modules, isFunction) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * XOR a mask pattern over the data modules. Applying it twice undoes it.
+   *
+   * @param {number} mask
+   * @param {number} size
+   * @param {Array<Array<boolean>>} modules
+   * @param {Array<Array<boolean>>} isFunction
+   */
+  function applyMask(mask, size, modules, isFunction) {
+    const patterns = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+      (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+      (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+    ];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && patterns[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+
+  /**
+   * Penalty score of a masked symbol: long runs, 2×2 blocks, finder-like
+   * patterns and an unbalanced share of dark modules all count against it.
+   *
+   * @param {Array<Array<boolean>>} modules
+   * @param {number} size
+   * @returns {number}
+   */
+  function penalty(modules, size) {
+    let score = 0;
+    let dark = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+    const finderLike = [/10111010000/, /00001011101/];
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      const text = line.map((m) => (m ? '1' : '0')).join('');
+      finderLike.forEach((pattern) => {
+        const re = new RegExp(pattern.source, 'g');
+        let match;
+        while ((match = re.exec(text)) !== null) {
+          score += 40;
+          re.lastIndex = match.index + 1;
+        }
+      });
+    });
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+
+  // The teacher portal draws QR codes on the printable code cards
+  window.qrCodeSvg = qrCodeSvg;
+  window.qrCodeMatrix = qrCodeMatrix;
+})();
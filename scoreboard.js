@@ -10,14 +10,217 @@
  * replace the JSON fetch with calls to a real backend or database.
  */
 
-// Global variable to hold loaded data. It will be populated from an embedded
-// <script id="scoreboard-data"> in the HTML. This avoids file fetch
-// restrictions when opening the app from a local file (file:// scheme).
-let scoreboardData = null;
+// Global variable to hold loaded data. It is loaded from the first available
+// data source (see Data Sources below); the <script id="scoreboard-data">
+// block embedded in the HTML is the fallback that keeps the app working when
+// opened from a local file (file:// scheme).
+// Declared with var so it is also reachable as window.scoreboardData from
+// teacher_portal_gsheets.js.
+var scoreboardData = null;
 
 // Map of groups keyed by ID for quick lookups and their properties (e.g. colour)
 let groupById = {};
 
+// -----------------------------------------------------------------------------
+//  Safe Rendering
+//
+// Names, mottos, reasons, labels and dates come from the data file, roster
+// imports and free-text teacher input synced from other devices, so none of
+// them may reach innerHTML as is: a reason like <img onerror=...> would run
+// on every screen that lists it. Templates pass each such value through
+// escapeHtml, and colors through safeColor, which only lets hex colors such
+// as #FF5E00 through. Views that build their DOM with textContent need
+// neither.
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+// Used in place of a group color that is not a hex color
+const FALLBACK_COLOR = '#6b7280';
+
+// Escape a value for use in HTML text or a quoted attribute
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[c]);
+}
+
+// A color that is safe to put in a style: the color itself when it is a hex
+// color, else the neutral fallback
+function safeColor(color) {
+  return HEX_COLOR_PATTERN.test(String(color || '')) ? color : FALLBACK_COLOR;
+}
+
+// -----------------------------------------------------------------------------
+//  Language
+//
+// The interface speaks Spanish or English. Its text lives in the string
+// catalog in strings.js and is looked up by key with tr(); index.html marks
+// its own text with data-i18n (text content), data-i18n-placeholder,
+// data-i18n-title and data-i18n-aria-label attributes. The language toggle in
+// the header saves the choice per device; until then the data's "locale"
+// and then the browser's language decide. Numbers and transaction dates are
+// formatted for the language with Intl.
+//
+// Data text can have a version per language in an `i18n` object keyed by
+// locale, which overrides the plain field of the same name:
+//
+//   { "id": "chile__hour3", "motto": "Fuerza roja", "i18n": { "en": { "motto": "Red strength" } } }
+//
+// Group names and mottos, pet and pet stage names and descriptions, powerup
+// labels and effects, reason labels and hour and period labels are read
+// through localized(). Transactions keep the reason text they were saved
+// with, unless their reasonId names a catalog reason. The data check's
+// findings stay in English, as they quote the data file's own field names.
+// Other scripts can listen for the "scoreboard:localechange" event on
+// document to re-render.
+
+const LOCALE_KEY = 'lmh_locale';
+// Languages of the catalog and the Intl locale used to format for each
+const LOCALES = {
+  es: { label: 'Español', intl: 'es-MX' },
+  en: { label: 'English', intl: 'en-US' }
+};
+const DEFAULT_LOCALE = 'en';
+
+let currentLocale = DEFAULT_LOCALE;
+
+// Look up a catalog string in the current language (falling back to English,
+// then the key) and fill in its {placeholders}. Numbers are formatted for the
+// language.
+function tr(key, vars) {
+  const text = ((STRINGS[currentLocale] || {})[key] ?? STRINGS[DEFAULT_LOCALE][key]) ?? key;
+  if (!vars) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in vars)) return match;
+    return typeof vars[name] === 'number' ? formatNumber(vars[name]) : String(vars[name]);
+  });
+}
+
+// Look up the singular (<key>.one) or plural (<key>.other) form of a string
+// for a count, which fills in {n}
+function trCount(key, n, vars) {
+  return tr(`${key}.${n === 1 ? 'one' : 'other'}`, Object.assign({ n }, vars));
+}
+
+// Format a number for the current language, e.g. 1,250 or 1250
+function formatNumber(n) {
+  return typeof n === 'number' && isFinite(n) ? new Intl.NumberFormat(LOCALES[currentLocale].intl).format(n) : String(n);
+}
+
+// Format points with a sign, e.g. +5 or -2
+function formatSigned(n) {
+  return (n > 0 ? '+' : '') + formatNumber(n);
+}
+
+// Format a YYYY-MM-DD date for the current language, e.g. "Oct 6, 2025" or
+// "6 oct 2025". Anything else is returned as it is.
+function formatDate(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || '');
+  if (!m) return iso || '';
+  return new Date(+m[1], m[2] - 1, +m[3]).toLocaleDateString(LOCALES[currentLocale].intl, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+// Format a time (a timestamp or date string) for the current language, with
+// the date in front when withDate is set
+function formatTime(value, withDate) {
+  const d = new Date(value);
+  if (isNaN(d.getTime())) return String(value || '');
+  const intl = LOCALES[currentLocale].intl;
+  return withDate ? d.toLocaleString(intl) : d.toLocaleTimeString(intl);
+}
+
+// A data object's text field in the current language: its i18n version if it
+// has one, else the plain field
+function localized(obj, field) {
+  if (!obj) return '';
+  const version = obj.i18n && obj.i18n[currentLocale];
+  return version && typeof version[field] === 'string' && version[field] ? version[field] : obj[field];
+}
+
+// Every version of a data object's text field: the plain field followed by
+// its i18n version in each language that has one
+function localizedVersions(obj, field) {
+  if (!obj) return [];
+  const versions = Object.values(obj.i18n || {}).map((v) => v && v[field]);
+  return [obj[field]].concat(versions).filter((text) => typeof text === 'string' && text);
+}
+
+// The language to start in: the saved choice, then the data's locale, then
+// the browser's language
+function initialLocale(data) {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(LOCALE_KEY);
+  } catch (e) {
+    saved = null;
+  }
+  const browser = String(navigator.language || '').slice(0, 2).toLowerCase();
+  return [saved, data && data.locale, browser].find((l) => l && LOCALES[l]) || DEFAULT_LOCALE;
+}
+
+// Put the catalog text on every element of index.html marked with data-i18n
+// attributes
+function applyStaticStrings(root = document) {
+  document.documentElement.lang = currentLocale;
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = tr(el.getAttribute('data-i18n'));
+  });
+  [['data-i18n-placeholder', 'placeholder'], ['data-i18n-title', 'title'], ['data-i18n-aria-label', 'aria-label']]
+    .forEach(([attr, target]) => {
+      root.querySelectorAll(`[${attr}]`).forEach((el) => el.setAttribute(target, tr(el.getAttribute(attr))));
+    });
+}
+
+// Switch the interface to another language, remember it on this device and
+// re-render every view
+function setLocale(locale) {
+  if (!LOCALES[locale]) return;
+  currentLocale = locale;
+  try {
+    localStorage.setItem(LOCALE_KEY, locale);
+  } catch (e) {
+    /* ignore localStorage issues */
+  }
+  applyStaticStrings();
+  const toggle = document.getElementById('localeToggle');
+  if (toggle) toggle.value = locale;
+  if (!scoreboardData) return;
+  fillHourOptions();
+  fillPeriodOptions('group');
+  fillPeriodOptions('student');
+  fillGroupFilterOptions();
+  showDataSource();
+  renderGroupLeaderboard();
+  renderStudentLeaderboard();
+  renderTopStudentsByHour();
+  renderRecentTransactions();
+  document.dispatchEvent(new CustomEvent('scoreboard:localechange', { detail: { locale } }));
+}
+
+// Fill the header's language toggle (once) and pick the starting language
+function setupLocale(data) {
+  currentLocale = initialLocale(data);
+  const toggle = document.getElementById('localeToggle');
+  if (toggle && toggle.options.length === 0) {
+    Object.keys(LOCALES).forEach((id) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = LOCALES[id].label;
+      toggle.appendChild(option);
+    });
+    toggle.addEventListener('change', () => setLocale(toggle.value));
+  }
+  if (toggle) toggle.value = currentLocale;
+  applyStaticStrings();
+}
+
 // -----------------------------------------------------------------------------
 //  Pets Helpers
 //
@@ -26,6 +229,18 @@ let groupById = {};
 // embedded scoreboard data with an id, name, threshold and either an emoji or
 // image. The helpers below determine which pets a group has earned based on
 // their point total and build DOM elements to represent earned or locked pets.
+//
+// Pets are companions too: optional `stages` let a pet evolve into new forms
+// at higher thresholds, a group can give each earned pet its own name, and a
+// pet's power (a hint, a repeated question…) may be used `uses` times per
+// unit. Names and power uses are zero-point transactions with kind "petname"
+// or "petuse" and a petId, so they sync like powerup uses. The Pets tab
+// (#/pets) shows every group's collection.
+
+// Transaction kinds that record pet names and power uses rather than points
+const PET_RECORD_KINDS = ['petname', 'petuse'];
+// Longest name a group can give a pet
+const PET_NAME_MAX = 24;
 
 /**
  * Given a number of points and a list of pets, separate the pets into two
@@ -53,397 +268,2898 @@ function petsEarnedForPoints(points, pets) {
   return { earned, locked };
 }
 
+/**
+ * Work out how far a group is from its next locked pet: the pet, the points
+ * still needed and the share of the way from the last earned pet (or zero)
+ * to it. `next` is null once every pet is earned.
+ *
+ * @param {number} points - The total points for a group.
+ * @param {Array} pets - Array of pet objects from scoreboardData.pets.
+ * @returns {{next: Object|null, toGo: number, pct: number}}
+ */
+function petProgress(points, pets) {
+  const { earned, locked } = petsEarnedForPoints(points, pets);
+  const next = locked[0] || null;
+  if (!next) return { next: null, toGo: 0, pct: 100 };
+  const from = earned.length > 0 ? earned[earned.length - 1].threshold || 0 : 0;
+  const span = (next.threshold || 0) - from;
+  const pct = span > 0 ? Math.min(100, Math.max(0, ((points - from) / span) * 100)) : 0;
+  return { next, toGo: (next.threshold || 0) - points, pct };
+}
+
+/**
+ * List a pet's forms, base form first. A pet's `stages` add later forms at
+ * higher thresholds, each with its own name and emoji or img; a stage
+ * without a name or picture keeps the one of the form before it. Names are
+ * in the current language.
+ *
+ * @param {Object} pet - Pet definition from scoreboardData.pets.
+ * @returns {Array<{threshold: number, name: string, emoji: (string|undefined), img: (string|undefined)}>}
+ */
+function petStages(pet) {
+  const stages = [{ threshold: pet.threshold || 0, name: localized(pet, 'name'), emoji: pet.emoji, img: pet.img }];
+  (Array.isArray(pet.stages) ? pet.stages : [])
+    .filter((s) => s && typeof s.threshold === 'number')
+    .sort((a, b) => a.threshold - b.threshold)
+    .forEach((s) => {
+      const prev = stages[stages.length - 1];
+      const ownLook = !!(s.emoji || s.img);
+      stages.push({
+        threshold: s.threshold,
+        name: localized(s, 'name') || prev.name,
+        emoji: ownLook ? s.emoji : prev.emoji,
+        img: ownLook ? s.img : prev.img
+      });
+    });
+  return stages;
+}
+
+/**
+ * Find the form a pet has reached at a number of points, and the next one.
+ *
+ * @param {Object} pet - Pet definition from scoreboardData.pets.
+ * @param {number} points - The total points for a group.
+ * @returns {{index: number, count: number, stage: Object, next: (Object|null)}}
+ */
+function petStageForPoints(pet, points) {
+  const stages = petStages(pet);
+  let index = 0;
+  stages.forEach((s, i) => {
+    if (points >= s.threshold) index = i;
+  });
+  return { index, count: stages.length, stage: stages[index], next: stages[index + 1] || null };
+}
+
+/**
+ * Collect what the groups did with their pets, keyed by group id and then
+ * pet id: the names they gave them (the latest "petname" transaction wins)
+ * and the power uses recorded as "petuse" transactions.
+ *
+ * @returns {{names: Object, uses: Object}}
+ */
+function petRecords() {
+  const names = {};
+  const uses = {};
+  countedTransactions().forEach((t) => {
+    if (!t.petId || !PET_RECORD_KINDS.includes(t.kind)) return;
+    if (t.kind === 'petname') {
+      names[t.groupId] = names[t.groupId] || {};
+      names[t.groupId][t.petId] = t.petName || '';
+    } else {
+      uses[t.groupId] = uses[t.groupId] || {};
+      (uses[t.groupId][t.petId] = uses[t.groupId][t.petId] || []).push(t);
+    }
+  });
+  return { names, uses };
+}
+
+/**
+ * The period pet power uses are counted in: the shortest period of
+ * scoreboardData.periods that contains today, so a unit wins over the
+ * quarter around it. Null when no period does; every use then counts.
+ *
+ * @returns {{start: string, end: string, label: string}|null}
+ */
+function currentPetUsePeriod() {
+  const today = localIsoDate();
+  const days = (p) => Date.parse(p.end) - Date.parse(p.start);
+  const covering = (scoreboardData.periods || [])
+    .filter((p) => p.start && p.end && p.start <= today && today <= p.end)
+    .sort((a, b) => days(a) - days(b));
+  return covering[0] ? { start: covering[0].start, end: covering[0].end, label: localized(covering[0], 'label') } : null;
+}
+
+/**
+ * Describe one of a group's pets as the group sees it: whether it is earned,
+ * its current form, the name the group gave it and how often its power was
+ * used in the current period, against the pet's `uses` limit (null for no
+ * limit).
+ *
+ * @param {Object} pet - Pet definition from scoreboardData.pets.
+ * @param {string} groupId
+ * @param {number} points - The group's all-time points.
+ * @param {Object} [records] - From petRecords(), when listing many pets.
+ * @param {Object|null} [period] - From currentPetUsePeriod().
+ * @returns {{pet: Object, earned: boolean, form: Object, nickname: string, used: number, limit: (number|null), period: (Object|null)}}
+ */
+function petCompanion(pet, groupId, points, records = petRecords(), period = currentPetUsePeriod()) {
+  const names = records.names[groupId] || {};
+  const uses = (records.uses[groupId] || {})[pet.id] || [];
+  return {
+    pet,
+    earned: points >= (pet.threshold || 0),
+    form: petStageForPoints(pet, points),
+    nickname: names[pet.id] || '',
+    used: uses.filter((t) => inDateRange(t, period)).length,
+    limit: pet.uses > 0 ? pet.uses : null,
+    period
+  };
+}
+
+/**
+ * Describe a companion's power uses, e.g. "used 2/3 in Unit 2".
+ *
+ * @param {Object} companion - From petCompanion().
+ * @returns {string}
+ */
+function petUsesText(companion) {
+  const count = companion.limit
+    ? `${formatNumber(companion.used)}/${formatNumber(companion.limit)}`
+    : `${formatNumber(companion.used)}×`;
+  return companion.period
+    ? tr('pets.usedIn', { count, period: companion.period.label })
+    : tr('pets.usedSoFar', { count });
+}
+
+/**
+ * Whether this device may name a group's pets: a teacher has unlocked the
+ * portal, or a student of the group is signed in on My Profile.
+ *
+ * @param {Object} group
+ * @returns {boolean}
+ */
+function canNamePets(group) {
+  if (typeof isTeacherUnlocked === 'function' && isTeacherUnlocked()) return true;
+  return !!profileStudent && profileStudent.groupId === group.id;
+}
+
+/**
+ * Give a group's earned pet a name by queueing a zero-point "petname"
+ * transaction. An empty name goes back to the pet's own name. Only the
+ * group's signed-in student or a teacher may do so (see canNamePets).
+ *
+ * @param {Object} group
+ * @param {string} petId
+ * @param {string} name
+ * @returns {Object} The queued transaction
+ */
+function namePet(group, petId, name) {
+  if (!canNamePets(group)) {
+    throw new Error(tr('pets.nameNotAllowed', { group: localized(group, 'name') }));
+  }
+  const pet = (scoreboardData.pets || []).find((p) => p.id === petId);
+  const points = computeGroupTotals()[group.id] || 0;
+  if (!pet || points < (pet.threshold || 0)) {
+    throw new Error(tr('pets.notUnlockedAny', { group: localized(group, 'name') }));
+  }
+  const petName = String(name || '').trim().replace(/\s+/g, ' ');
+  if (petName.length > PET_NAME_MAX) {
+    throw new Error(tr('pets.nameTooLong', { max: PET_NAME_MAX }));
+  }
+  return recordTransaction({
+    groupId: group.id,
+    delta: 0,
+    reason: petName
+      ? tr('pets.namedReason', { pet: localized(pet, 'name'), name: petName })
+      : tr('pets.unnamedReason', { pet: localized(pet, 'name') }),
+    kind: 'petname',
+    petId: pet.id,
+    petName
+  }, 'pets.needsPortal');
+}
+
+/**
+ * Record that a group used its pet's power by queueing a zero-point
+ * "petuse" transaction. Throws if the pet is not earned or its uses for the
+ * current period are used up.
+ *
+ * @param {Object} group
+ * @param {string} petId
+ * @returns {Object} The queued transaction
+ */
+function usePetPower(group, petId) {
+  const pet = (scoreboardData.pets || []).find((p) => p.id === petId);
+  const points = computeGroupTotals()[group.id] || 0;
+  if (!pet) {
+    throw new Error(tr('pets.notFound'));
+  }
+  const companion = petCompanion(pet, group.id, points);
+  const vars = { group: localized(group, 'name'), pet: localized(pet, 'name') };
+  if (!companion.earned) {
+    throw new Error(tr('pets.notUnlocked', vars));
+  }
+  if (companion.limit && companion.used >= companion.limit) {
+    throw new Error(tr('pets.usedUp', Object.assign({ uses: petUsesText(companion) }, vars)));
+  }
+  return recordTransaction({
+    groupId: group.id,
+    delta: 0,
+    reason: tr('pets.usedReason', vars),
+    kind: 'petuse',
+    petId: pet.id
+  }, 'pets.needsPortal');
+}
+
 /**
  * Create a DOM element representing a single pet. Earned pets are shown
  * normally, while locked pets are grayed out and display the threshold
- * required to unlock them.
+ * required to unlock them. Given the group's companion, the chip shows the
+ * pet's current form and the name the group gave it.
  *
  * @param {Object} pet - Pet definition from scoreboardData.pets.
  * @param {boolean} isLocked - Whether the pet is locked.
+ * @param {Object} [companion] - From petCompanion().
  * @returns {HTMLElement}
  */
-function createPetChip(pet, isLocked) {
+function createPetChip(pet, isLocked, companion) {
+  const look = companion ? companion.form.stage : pet;
   const el = document.createElement('span');
   el.className = 'pet' + (isLocked ? ' locked' : '');
   // Add a tooltip using the description if provided
-  if (pet.desc) {
-    el.title = `${pet.name} — ${pet.desc}`;
+  const desc = localized(pet, 'desc');
+  if (desc) {
+    el.title = `${look.name} — ${desc}`;
   } else {
-    el.title = pet.name;
+    el.title = look.name;
   }
   // Icon container
   const icon = document.createElement('span');
   icon.className = 'icon';
   // Prefer an image if provided; otherwise fall back to emoji
-  if (pet.img) {
+  if (look.img) {
     const img = document.createElement('img');
-    img.src = pet.img;
-    img.alt = pet.name;
+    img.src = look.img;
+    img.alt = look.name;
     img.width = 20;
     img.height = 20;
     img.style.verticalAlign = 'middle';
     icon.appendChild(img);
   } else {
-    icon.textContent = pet.emoji || '⭐';
+    icon.textContent = look.emoji || '⭐';
   }
   el.appendChild(icon);
   // Name label
   const nameSpan = document.createElement('span');
   nameSpan.className = 'name';
-  nameSpan.textContent = pet.name;
+  nameSpan.textContent = (companion && companion.nickname) || look.name;
   el.appendChild(nameSpan);
   // If locked, show threshold required
   if (isLocked) {
     const thr = document.createElement('span');
     thr.className = 'thr';
-    thr.textContent = ` (${pet.threshold} pts)`;
+    thr.textContent = ` (${tr('points.short', { n: pet.threshold || 0 })})`;
     el.appendChild(thr);
   }
   return el;
 }
 
-// Initialize once the DOM has loaded. This parses the embedded JSON,
-// populates the group filter, and renders all views.
-document.addEventListener('DOMContentLoaded', () => {
-  try {
-    // Parse embedded data
-    const dataScript = document.getElementById('scoreboard-data');
-    if (!dataScript) {
-      throw new Error('No scoreboard data script found');
-    }
-    scoreboardData = JSON.parse(dataScript.textContent);
-    // Build a lookup table for groups by ID
-    groupById = {};
-    scoreboardData.groups.forEach((g) => {
-      groupById[g.id] = g;
-    });
-    // Populate group filter dropdown
-    populateGroupFilter();
-    // Populate class (hour) filter dropdown if present
-    populateClassFilter();
-    // Render views
-    renderGroupLeaderboard();
-    renderStudentLeaderboard();
-    setupProfileLookup();
-    setupTabSwitching();
-  } catch (err) {
-    console.error('Failed to initialize scoreboard:', err);
-    // Show a generic message to the user if the app fails to initialize. Details are logged in the console.
-    alert('Unable to initialize scoreboard app. Please check the console for details.');
-  }
-});
+// -----------------------------------------------------------------------------
+//  Powerup Ledger
+//
+// Powerups can be bought with points. Each powerup in scoreboardData.powerups
+// has a point `cost` and may be marked `oneShot`. A purchase is recorded as a
+// transaction with kind "purchase", a negative delta equal to the cost and a
+// new purchaseId. Using the powerup later is recorded as a zero-delta
+// transaction with kind "redeem" carrying the same purchaseId, so the whole
+// history syncs to the Sheet like any other transaction. One-shot powerups
+// stop counting as active once they have been redeemed.
 
-// Compute total points for each group
-function computeGroupTotals() {
-  const totals = {};
-  scoreboardData.groups.forEach((g) => {
-    totals[g.id] = 0;
+/**
+ * Look up a powerup definition by id.
+ *
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function findPowerup(id) {
+  return (scoreboardData.powerups || []).find((p) => p.id === id);
+}
+
+/**
+ * Collect the powerups a student has bought, oldest first, together with
+ * their redemptions. An entry is active until a one-shot powerup is used.
+ *
+ * @param {string} studentId
+ * @returns {Array<{purchaseId: string, powerup: Object, purchase: Object, uses: Array, active: boolean}>}
+ */
+function powerupLedgerForStudent(studentId) {
+  const owned = [];
+  const byPurchaseId = {};
+  const counted = countedTransactions();
+  counted.forEach((t) => {
+    if (t.studentId === studentId && t.kind === 'purchase' && t.purchaseId) {
+      const entry = { purchaseId: t.purchaseId, powerup: findPowerup(t.powerupId), purchase: t, uses: [], active: true };
+      owned.push(entry);
+      byPurchaseId[t.purchaseId] = entry;
+    }
   });
-  scoreboardData.transactions.forEach((t) => {
-    if (totals.hasOwnProperty(t.groupId)) {
-      totals[t.groupId] += t.delta;
+  counted.forEach((t) => {
+    if (t.kind === 'redeem' && byPurchaseId[t.purchaseId]) {
+      byPurchaseId[t.purchaseId].uses.push(t);
     }
   });
-  return totals;
+  owned.forEach((entry) => {
+    entry.active = !!entry.powerup && !(entry.powerup.oneShot && entry.uses.length > 0);
+  });
+  owned.sort((a, b) => (a.purchase.date < b.purchase.date ? -1 : a.purchase.date > b.purchase.date ? 1 : 0));
+  return owned;
 }
 
-// Compute total points for each student
-function computeStudentTotals() {
-  const totals = {};
-  scoreboardData.students.forEach((s) => {
-    totals[s.id] = 0;
+/**
+ * Build the badge row for a student: powerups granted directly in the data
+ * plus bought powerups that are still active.
+ *
+ * @param {Object} student
+ * @returns {string} HTML for the badges
+ */
+function powerupBadgesHtml(student) {
+  const ids = (student.powerups || []).slice();
+  powerupLedgerForStudent(student.id).forEach((entry) => {
+    if (entry.active) {
+      ids.push(entry.powerup.id);
+    }
+  });
+  let html = '';
+  ids.forEach((pid) => {
+    const p = findPowerup(pid);
+    if (p) {
+      html += `<span class="badge" style="background-color: #6b7280;" title="${escapeHtml(localized(p, 'effect'))}">` +
+        `${escapeHtml(localized(p, 'label'))}</span>`;
+    }
   });
+  return html || `<span class="small">${escapeHtml(tr('powerups.none'))}</span>`;
+}
+
+/**
+ * Buy a powerup for a student by queueing a purchase transaction. Throws if
+ * the powerup is not for sale or the student cannot afford it.
+ *
+ * @param {Object} student
+ * @param {string} powerupId
+ * @returns {Object} The queued transaction
+ */
+function buyPowerup(student, powerupId) {
+  const powerup = findPowerup(powerupId);
+  if (!powerup || !(powerup.cost > 0)) {
+    throw new Error(tr('powerups.notForSale'));
+  }
+  const balance = computeStudentTotals()[student.id] || 0;
+  const label = localized(powerup, 'label');
+  if (balance < powerup.cost) {
+    throw new Error(tr('powerups.cannotAfford', { powerup: label, cost: powerup.cost, student: student.name, balance }));
+  }
+  return recordTransaction({
+    studentId: student.id,
+    groupId: student.groupId,
+    delta: -powerup.cost,
+    reason: tr('powerups.boughtReason', { powerup: label }),
+    kind: 'purchase',
+    powerupId: powerup.id,
+    purchaseId: 'pu-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8)
+  }, 'powerups.needsPortal');
+}
+
+/**
+ * Mark a bought powerup as used by queueing a redeem transaction. Throws if
+ * the purchase is unknown or a one-shot powerup was already used.
+ *
+ * @param {Object} student
+ * @param {string} purchaseId
+ * @returns {Object} The queued transaction
+ */
+function redeemPowerup(student, purchaseId) {
+  const entry = powerupLedgerForStudent(student.id).find((e) => e.purchaseId === purchaseId);
+  if (!entry || !entry.powerup) {
+    throw new Error(tr('powerups.purchaseNotFound'));
+  }
+  const label = localized(entry.powerup, 'label');
+  if (!entry.active) {
+    throw new Error(tr('powerups.alreadyUsed', { powerup: label }));
+  }
+  const redeem = recordTransaction({
+    studentId: student.id,
+    groupId: student.groupId,
+    delta: 0,
+    reason: tr('powerups.usedReason', { powerup: label }),
+    kind: 'redeem',
+    powerupId: entry.powerup.id,
+    purchaseId: purchaseId
+  }, 'powerups.needsPortal');
+  // A powerup with a groupBonus pays it to the student's group as a group
+  // transaction, so it counts for the group but not for the student
+  if (entry.powerup.groupBonus) {
+    recordTransaction({
+      groupId: student.groupId,
+      delta: entry.powerup.groupBonus,
+      reason: tr('powerups.groupBonusReason', { powerup: label }),
+      powerupId: entry.powerup.id,
+      purchaseId: purchaseId
+    }, 'powerups.needsPortal');
+  }
+  return redeem;
+}
+
+// Hand a powerup or pet transaction to the teacher portal's sync outbox,
+// dated today. needsPortalKey names the message shown when the portal script
+// is not loaded.
+function recordTransaction(tx, needsPortalKey) {
+  if (typeof queueTransaction !== 'function') {
+    throw new Error(tr(needsPortalKey));
+  }
+  tx.date = localIsoDate();
+  return queueTransaction(tx);
+}
+
+// -----------------------------------------------------------------------------
+//  Audit Trail
+//
+// Transactions are never deleted. Every transaction carries a stable id, and a
+// teacher reverses one by adding a compensating entry: a zero-delta
+// transaction with kind "void" whose `voids` field names the voided id, plus
+// the `author` and an `at` timestamp. An edit is a void followed by a
+// corrected copy whose `corrects` field names the original. Voided entries
+// drop out of every total but stay in the teacher's transaction log. Voiding
+// a void entry reinstates what it voided.
+
+/**
+ * Give every transaction without an id a stable one derived from its
+ * contents, so hand-written entries can be voided and matched across loads.
+ * Identical entries are told apart by how many came before them.
+ */
+function ensureTransactionIds() {
+  const seen = {};
   scoreboardData.transactions.forEach((t) => {
-    if (totals.hasOwnProperty(t.studentId)) {
-      totals[t.studentId] += t.delta;
+    if (t.id) return;
+    const fields = [t.studentId, t.groupId, t.delta, t.reason, t.date].join('|');
+    seen[fields] = (seen[fields] || 0) + 1;
+    // FNV-1a over the contents and occurrence number
+    let hash = 0x811c9dc5;
+    const text = fields + '#' + seen[fields];
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
     }
+    t.id = 't-' + hash.toString(36);
   });
-  return totals;
 }
 
-// Render the group leaderboard
-function renderGroupLeaderboard() {
-  const container = document.getElementById('groupsList');
-  container.innerHTML = '';
-  const totals = computeGroupTotals();
-  // Sort groups by total descending
-  const sorted = scoreboardData.groups.slice().sort((a, b) => {
-    return (totals[b.id] || 0) - (totals[a.id] || 0);
+/**
+ * Ids of the transactions cancelled by a void entry that is itself still in
+ * force.
+ *
+ * @returns {Set<string>}
+ */
+function voidedTransactionIds() {
+  const voidsById = {};
+  scoreboardData.transactions.forEach((t) => {
+    if (t.kind === 'void' && t.voids) {
+      (voidsById[t.voids] = voidsById[t.voids] || []).push(t);
+    }
   });
-  sorted.forEach((g) => {
-    const card = document.createElement('div');
-    // Apply group accent class for coloured stripe and tint via CSS
-    card.className = 'card group-accent';
-    // Tag the element with its group ID so CSS can determine its colours
-    card.setAttribute('data-group', g.id);
-    const points = totals[g.id] || 0;
-    const motto = g.motto ? `<p class="small">${g.motto}</p>` : '';
-    card.innerHTML = `
-      <h3>${g.name}</h3>
-      ${motto}
-      <p><strong>${points}</strong> points</p>
-    `;
-    // Colour the heading using the group colour for an extra pop
-    const h3 = card.querySelector('h3');
-    if (h3) {
-      h3.style.color = g.color;
+  const memo = {};
+  const isVoided = (id) => {
+    if (!(id in memo)) {
+      memo[id] = false;
+      memo[id] = (voidsById[id] || []).some((v) => !isVoided(v.id));
     }
-    // If pets are defined, append a row of pet chips indicating earned and locked pets
-    if (scoreboardData && Array.isArray(scoreboardData.pets) && scoreboardData.pets.length > 0) {
-      const { earned, locked } = petsEarnedForPoints(points, scoreboardData.pets);
-      const petsRow = document.createElement('div');
-      petsRow.className = 'pets-row';
-      // Add earned pets first, then locked ones
-      earned.forEach((pet) => {
-        petsRow.appendChild(createPetChip(pet, false));
-      });
-      locked.forEach((pet) => {
-        petsRow.appendChild(createPetChip(pet, true));
-      });
-      card.appendChild(petsRow);
+    return memo[id];
+  };
+  const voided = new Set();
+  Object.keys(voidsById).forEach((id) => {
+    if (isVoided(id)) voided.add(id);
+  });
+  return voided;
+}
+
+/**
+ * Transactions that count toward points: everything except void entries and
+ * the transactions they cancel.
+ *
+ * @returns {Array<Object>}
+ */
+function countedTransactions() {
+  const voided = voidedTransactionIds();
+  return scoreboardData.transactions.filter((t) => t.kind !== 'void' && !voided.has(t.id));
+}
+
+// -----------------------------------------------------------------------------
+//  Data Sources
+//
+// The data can come from four places, tried in this order:
+//
+//   1. a URL given as ?data=<url>
+//   2. a file the teacher dropped onto the page, kept in IndexedDB on this
+//      device until it is forgotten in the teacher portal
+//   3. scoreboard.json next to index.html
+//   4. the <script id="scoreboard-data"> block embedded in index.html
+//
+// The first source that loads and passes the data check wins; problems with
+// higher-priority sources are added to the data report. Opened from file://,
+// the browser blocks reading scoreboard.json, so the embedded block keeps
+// the page working offline.
+//
+// Anyone can send a ?data= link, so a file loaded from one is only shown:
+// its "sync" and "teacherAuth" settings are dropped, which keeps the teacher
+// portal locked and stops the link from choosing where signed transactions
+// and rosters are sent.
+
+// IndexedDB location of the dropped data file
+const DATA_FILE_DB = 'lmh_scoreboard';
+const DATA_FILE_STORE = 'files';
+const DATA_FILE_KEY = 'data';
+const SIBLING_DATA_FILE = 'scoreboard.json';
+// Settings a ?data= file may not bring with it
+const URL_IGNORED_SETTINGS = ['sync', 'teacherAuth'];
+
+// The source the current data came from: { id, label }
+let dataSource = null;
+
+/**
+ * Load the data from the highest-priority source that works.
+ *
+ * @returns {Promise<{data: Object, report: Object, source: {id: string, label: string}}>}
+ */
+async function loadScoreboardData() {
+  const skipped = [];
+  const dataUrl = new URLSearchParams(window.location.search).get('data');
+  const candidates = [
+    dataUrl && { id: 'url', label: dataUrl, read: () => fetchDataText(dataUrl, true) },
+    { id: 'dropped', label: 'dropped file', read: readDroppedDataText },
+    { id: 'file', label: SIBLING_DATA_FILE, read: () => fetchDataText(SIBLING_DATA_FILE, false) },
+    { id: 'embedded', label: 'data built into index.html', read: readEmbeddedDataText }
+  ].filter(Boolean);
+  for (const candidate of candidates) {
+    let text = null;
+    try {
+      const result = await candidate.read();
+      if (result === null) continue;
+      text = result.text;
+      if (result.label) candidate.label = result.label;
+      const data = parseJsonc(text);
+      const ignored = candidate.id === 'url' && data && typeof data === 'object'
+        ? URL_IGNORED_SETTINGS.filter((key) => key in data)
+        : [];
+      ignored.forEach((key) => delete data[key]);
+      const report = validateScoreboardData(data);
+      skipped.forEach((note) => report.warnings.unshift(note));
+      if (ignored.length > 0) {
+        report.warnings.push(`Ignored "${ignored.join('" and "')}" in ${candidate.label}: data opened from a ?data= link ` +
+          'is only shown, so the teacher portal stays locked and nothing is synced from it.');
+      }
+      return { data, report, source: { id: candidate.id, label: candidate.label, name: result.name } };
+    } catch (err) {
+      console.warn(`Skipping data source ${candidate.label}:`, err);
+      skipped.push(`Could not use ${candidate.label}: ${err.message}`);
     }
-    container.appendChild(card);
+  }
+  throw new Error(skipped.join(' ') || 'No scoreboard data found.');
+}
+
+/**
+ * Fetch a data file as text. Optional sources resolve to null when they are
+ * missing or unreachable (for example scoreboard.json under file://).
+ *
+ * @param {string} url
+ * @param {boolean} required - Whether a failed request is an error.
+ * @returns {Promise<{text: string}|null>}
+ */
+async function fetchDataText(url, required) {
+  let res;
+  try {
+    res = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    if (!required) return null;
+    throw new Error(`request failed (${err.message})`);
+  }
+  if (!res.ok) {
+    if (!required) return null;
+    throw new Error(`the server answered ${res.status}`);
+  }
+  return { text: await res.text() };
+}
+
+// Read the <script id="scoreboard-data"> block, if the page has one
+function readEmbeddedDataText() {
+  const dataScript = document.getElementById('scoreboard-data');
+  return dataScript ? { text: dataScript.textContent } : null;
+}
+
+// Read the dropped data file from IndexedDB, if one was saved
+async function readDroppedDataText() {
+  const record = await readStoredDataFile();
+  return record ? { text: record.text, label: `dropped file "${record.name}"`, name: record.name } : null;
+}
+
+/**
+ * Open the IndexedDB database holding the dropped data file. Resolves to
+ * null where IndexedDB is unavailable.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDataFileDb() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DATA_FILE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DATA_FILE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the data file store.
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @returns {Promise<*>} The request's result, or null without IndexedDB
+ */
+async function withDataFileStore(mode, makeRequest) {
+  const db = await openDataFileDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(DATA_FILE_STORE, mode).objectStore(DATA_FILE_STORE));
+    request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * The dropped data file saved on this device, if any.
+ *
+ * @returns {Promise<{name: string, text: string, savedAt: string}|null>}
+ */
+function readStoredDataFile() {
+  return withDataFileStore('readonly', (store) => store.get(DATA_FILE_KEY));
+}
+
+/**
+ * Save a dropped data file so it is used on the next load.
+ *
+ * @param {string} name
+ * @param {string} text
+ * @returns {Promise}
+ */
+function storeDataFile(name, text) {
+  return withDataFileStore('readwrite', (store) =>
+    store.put({ name, text, savedAt: new Date().toISOString() }, DATA_FILE_KEY)
+  );
+}
+
+// Forget the dropped data file
+function clearStoredDataFile() {
+  return withDataFileStore('readwrite', (store) => store.delete(DATA_FILE_KEY));
+}
+
+// Show where the data came from next to the class picker
+function showDataSource() {
+  const el = document.getElementById('dataSource');
+  if (el && dataSource) {
+    el.textContent = tr('dataSource.shown', { source: dataSourceLabel(dataSource) });
+  }
+}
+
+// Name of a data source in the current language; URLs and file names are
+// shown as they are
+function dataSourceLabel(source) {
+  if (source.id === 'dropped') return tr('dataSource.dropped', { name: source.name || '' });
+  if (source.id === 'embedded') return tr('dataSource.embedded');
+  return source.label;
+}
+
+// -----------------------------------------------------------------------------
+//  Data Validation
+//
+// The scoreboard data is hand-edited, so it is read as JSONC: JSON that may
+// contain // and /* */ comments and trailing commas. After parsing, the data
+// is checked against the shape the app expects. Problems that would stop the
+// app (unreadable JSON, no groups or students) are shown on the page instead
+// of an alert; everything else is collected into a report for the teacher
+// portal and the app keeps running. Transactions whose points are not a
+// number are left out so they cannot skew totals.
+
+// Report of the last load: { errors: [...], warnings: [...] } of strings
+let dataReport = { errors: [], warnings: [] };
+
+/**
+ * Parse JSON that may contain comments and trailing commas. Syntax errors
+ * are rethrown with the line and column of the problem.
+ *
+ * @param {string} text
+ * @returns {*}
+ */
+function parseJsonc(text) {
+  // Blank out comments (keeping newlines so positions still match the
+  // source), then drop commas that directly precede a closing bracket
+  let out = '';
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      out += c;
+      if (c === '\\') {
+        out += text[++i] || '';
+      } else if (c === '"') {
+        inString = false;
+      }
+    } else if (c === '"') {
+      inString = true;
+      out += c;
+    } else if (c === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') {
+        out += ' ';
+        i++;
+      }
+      i--;
+    } else if (c === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      out += text.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop - 1;
+    } else {
+      out += c;
+    }
+  }
+  const cleaned = out.replace(/("(?:[^"\\]|\\.)*")|,(\s*[\]}])/g, (m, str, close) => (str ? str : ' ' + close));
+  try {
+    return JSON.parse(cleaned);
+  } catch (err) {
+    const match = /position (\d+)/.exec(err.message);
+    if (match) {
+      const before = cleaned.slice(0, parseInt(match[1], 10)).split('\n');
+      throw new Error(`${err.message} (line ${before.length}, column ${before[before.length - 1].length + 1})`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Check the parsed data and normalize what can safely be fixed: missing
+ * optional lists become empty, numeric strings in transaction deltas become
+ * numbers and transactions without usable points are dropped. Returns the
+ * problems found; `errors` need fixing in the data, `warnings` are worth a
+ * look. Throws if the data cannot be shown at all.
+ *
+ * @param {Object} data
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+function validateScoreboardData(data) {
+  const report = { errors: [], warnings: [] };
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The scoreboard data must be a JSON object.');
+  }
+  ['groups', 'students'].forEach((key) => {
+    if (!Array.isArray(data[key]) || data[key].length === 0) {
+      throw new Error(`The scoreboard data has no "${key}" list.`);
+    }
+  });
+  ['transactions', 'powerups', 'pets', 'hours', 'reasons'].forEach((key) => {
+    if (data[key] === undefined) {
+      data[key] = [];
+    } else if (!Array.isArray(data[key])) {
+      report.errors.push(`"${key}" should be a list; it was ignored.`);
+      data[key] = [];
+    }
+  });
+  const isText = (v) => typeof v === 'string' && v.trim() !== '';
+  // Check ids in a list are present and unique; returns a map by id
+  const indexById = (key, label) => {
+    const byId = {};
+    data[key].forEach((item, i) => {
+      if (!item || typeof item !== 'object') {
+        report.errors.push(`${key}[${i}] is not an object.`);
+        return;
+      }
+      if (!isText(item.id)) {
+        report.errors.push(`${label} #${i + 1} has no id.`);
+      } else if (byId[item.id]) {
+        report.errors.push(`${label} id "${item.id}" is used more than once.`);
+      } else {
+        byId[item.id] = item;
+      }
+    });
+    return byId;
+  };
+  const hoursById = indexById('hours', 'Hour');
+  const groups = indexById('groups', 'Group');
+  const students = indexById('students', 'Student');
+  const powerups = indexById('powerups', 'Powerup');
+  const pets = indexById('pets', 'Pet');
+  const reasons = indexById('reasons', 'Reason');
+
+  Object.values(groups).forEach((g) => {
+    if (!isText(g.name)) report.errors.push(`Group "${g.id}" has no name.`);
+    if (!isText(g.color)) {
+      report.warnings.push(`Group "${g.id}" has no color.`);
+    } else if (!HEX_COLOR_PATTERN.test(g.color)) {
+      report.warnings.push(`Group "${g.id}" has the color "${g.color}", which is not a hex color like #FF5E00; gray is used.`);
+    }
+    if (data.hours.length > 0 && !hoursById[g.hour]) {
+      report.warnings.push(`Group "${g.id}" is in hour "${g.hour}", which is not in the hours list.`);
+    }
+  });
+
+  if (data.studentCodes !== undefined) {
+    const config = data.studentCodes;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      report.errors.push('"studentCodes" should be an object; the default code settings are used.');
+      delete data.studentCodes;
+    } else if (config.alphabet !== undefined) {
+      const chars = Array.from(new Set(String(config.alphabet).toUpperCase()));
+      const dropped = chars.filter((c) => CONFUSABLE_CODE_CHARS.includes(c) || !/[A-Z0-9]/.test(c));
+      if (chars.length - dropped.length < 10) {
+        report.warnings.push('The code alphabet has fewer than 10 usable characters; the default alphabet is used.');
+      } else if (dropped.length > 0) {
+        report.warnings.push(`The code alphabet contains ${dropped.join(' ')}, which new codes leave out.`);
+      }
+    }
+  }
+
+  if (data.sync !== undefined) {
+    const sync = data.sync;
+    if (!sync || typeof sync !== 'object' || !['gsheets', 'rest', 'local'].includes(sync.adapter)) {
+      report.errors.push('"sync" should be an object whose adapter is "gsheets", "rest" or "local"; nothing is synced.');
+      delete data.sync;
+    } else if (sync.url !== undefined && typeof sync.url !== 'string') {
+      report.errors.push('"sync.url" should be text; nothing is synced.');
+      delete data.sync;
+    } else if (sync.adapter !== 'local' && sync.url && !/^https?:\/\//i.test(sync.url)) {
+      report.warnings.push(`The sync address "${sync.url}" is not an http(s) address and may not work.`);
+    }
+  }
+
+  if (data.levelCurve !== undefined) {
+    const problem = levelCurveProblem(data.levelCurve);
+    if (problem) {
+      report.errors.push(`"levelCurve" ${problem}; the default curve is used.`);
+      delete data.levelCurve;
+    }
+  }
+
+  if (data.locale !== undefined && !LOCALES[data.locale]) {
+    report.warnings.push(`"locale" is "${data.locale}"; use one of ${Object.keys(LOCALES).join(', ')}.`);
+  }
+  // Per-language text: { "i18n": { "es": { "label": "..." } } }
+  const translatable = [];
+  ['hours', 'groups', 'powerups', 'pets', 'reasons', 'periods'].forEach((key) => {
+    (Array.isArray(data[key]) ? data[key] : []).forEach((item) => {
+      if (!item) return;
+      translatable.push({ item, where: `${key} "${item.id}"` });
+      if (key === 'pets' && Array.isArray(item.stages)) {
+        item.stages.forEach((stage, i) => stage && translatable.push({ item: stage, where: `stage ${i + 1} of pet "${item.id}"` }));
+      }
+    });
+  });
+  translatable.forEach(({ item, where }) => {
+    if (item.i18n === undefined) return;
+    if (!item.i18n || typeof item.i18n !== 'object' || Array.isArray(item.i18n)) {
+      report.errors.push(`The i18n of ${where} should be an object keyed by language; it was ignored.`);
+      delete item.i18n;
+      return;
+    }
+    Object.keys(item.i18n).forEach((locale) => {
+      if (!LOCALES[locale]) {
+        report.warnings.push(`The i18n of ${where} has language "${locale}"; use one of ${Object.keys(LOCALES).join(', ')}.`);
+      }
+    });
+  });
+
+  const codes = {};
+  const guessable = [];
+  Object.values(students).forEach((s) => {
+    if (!isText(s.name)) report.errors.push(`Student "${s.id}" has no name.`);
+    if (!groups[s.groupId]) {
+      report.errors.push(`Student "${s.id}" (${s.name}) is in group "${s.groupId}", which does not exist.`);
+    }
+    if (!isText(s.code)) {
+      report.warnings.push(`Student "${s.id}" (${s.name}) has no code and cannot open My Profile.`);
+    } else {
+      const code = normalizeStudentCode(s.code);
+      if (codes[code]) {
+        report.errors.push(`Students "${codes[code].id}" and "${s.id}" share the code "${s.code}".`);
+      } else {
+        codes[code] = s;
+      }
+      if (!isRandomStudentCode(s.code, data)) guessable.push(s);
+    }
+    (s.powerups || []).forEach((pid) => {
+      if (!powerups[pid]) report.warnings.push(`Student "${s.id}" has unknown powerup "${pid}".`);
+    });
+  });
+
+  if (guessable.length > 0) {
+    report.warnings.push(`${guessable.length} student${guessable.length === 1 ? ' has a code' : 's have codes'} ` +
+      `that may be easy to guess (such as "${guessable[0].code}"). Give them new codes on the Student Codes card.`);
+  }
+
+  Object.values(powerups).forEach((p) => {
+    if (!isText(p.label)) report.errors.push(`Powerup "${p.id}" has no label.`);
+    if (p.cost !== undefined && !(typeof p.cost === 'number' && p.cost >= 0)) {
+      report.errors.push(`Powerup "${p.id}" has an invalid cost.`);
+    }
+    if (p.groupBonus !== undefined && !(typeof p.groupBonus === 'number' && isFinite(p.groupBonus))) {
+      report.errors.push(`Powerup "${p.id}" has an invalid groupBonus.`);
+    }
+  });
+
+  const categoryIds = REASON_CATEGORIES.map((c) => c.id);
+  Object.values(reasons).forEach((r) => {
+    if (!isText(r.label)) report.errors.push(`Reason "${r.id}" has no label.`);
+    if (!categoryIds.includes(r.category)) {
+      report.warnings.push(`Reason "${r.id}" has category "${r.category}"; use one of ${categoryIds.join(', ')}.`);
+    }
+    if (typeof r.delta !== 'number' || !isFinite(r.delta)) {
+      report.warnings.push(`Reason "${r.id}" has no numeric default points.`);
+    }
+  });
+
+  data.pets.forEach((pet) => {
+    if (!pet || !pet.id) return;
+    if (!isText(pet.name)) report.errors.push(`Pet "${pet.id}" has no name.`);
+    if (typeof pet.threshold !== 'number') report.errors.push(`Pet "${pet.id}" has no numeric threshold.`);
+    if (!pet.emoji && !pet.img) report.warnings.push(`Pet "${pet.id}" has neither an emoji nor an image.`);
+    if (pet.stages !== undefined) {
+      if (!Array.isArray(pet.stages)) {
+        report.errors.push(`Pet "${pet.id}" has stages that are not a list.`);
+      } else {
+        pet.stages.forEach((stage, i) => {
+          if (!stage || typeof stage.threshold !== 'number' || !(stage.threshold > (pet.threshold || 0))) {
+            report.errors.push(`Stage ${i + 1} of pet "${pet.id}" needs a numeric threshold above the pet's own.`);
+          }
+        });
+      }
+    }
+    if (pet.uses !== undefined && !(Number.isInteger(pet.uses) && pet.uses > 0)) {
+      report.errors.push(`Pet "${pet.id}" has an invalid number of uses.`);
+    }
+  });
+
+  const txIds = {};
+  const kept = [];
+  data.transactions.forEach((t, i) => {
+    const where = t && t.id ? `Transaction "${t.id}"` : `Transaction #${i + 1}`;
+    if (!t || typeof t !== 'object' || Array.isArray(t)) {
+      report.errors.push(`${where} is not an object and was ignored.`);
+      return;
+    }
+    if (typeof t.delta === 'string' && t.delta.trim() !== '' && isFinite(t.delta)) {
+      t.delta = Number(t.delta);
+    }
+    if (typeof t.delta !== 'number' || !isFinite(t.delta)) {
+      report.errors.push(`${where} has no numeric points and was ignored.`);
+      return;
+    }
+    if (t.id) {
+      if (txIds[t.id]) report.errors.push(`${where} appears more than once.`);
+      txIds[t.id] = t;
+    }
+    if (!groups[t.groupId]) {
+      report.errors.push(`${where} is for group "${t.groupId}", which does not exist.`);
+    }
+    // A transaction without a student is a group transaction
+    if (t.studentId === null || t.studentId === '') delete t.studentId;
+    const student = students[t.studentId];
+    if (t.studentId !== undefined && !student) {
+      report.errors.push(`${where} is for student "${t.studentId}", who does not exist.`);
+    } else if (student && groups[t.groupId] && student.groupId !== t.groupId) {
+      report.warnings.push(`${where} gives ${t.delta} points to ${student.name} (${student.id}) for group ` +
+        `"${t.groupId}", but ${student.name} is in "${student.groupId}".`);
+    }
+    if (t.reasonId !== undefined && !reasons[t.reasonId]) {
+      report.warnings.push(`${where} has reason id "${t.reasonId}", which is not in the reason catalog.`);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(t.date || '')) {
+      report.warnings.push(`${where} has no YYYY-MM-DD date and is left out of time periods.`);
+    }
+    kept.push(t);
+  });
+  kept.forEach((t) => {
+    if (t.kind === 'void' && t.voids && !txIds[t.voids]) {
+      report.warnings.push(`Void "${t.id}" refers to transaction "${t.voids}", which does not exist.`);
+    }
+    if (PET_RECORD_KINDS.includes(t.kind) && !pets[t.petId]) {
+      report.warnings.push(`${t.id ? `Transaction "${t.id}"` : 'A pet transaction'} is for pet "${t.petId}", which does not exist.`);
+    }
+  });
+  data.transactions = kept;
+  return report;
+}
+
+/**
+ * Show the data check results in the teacher portal's Data Check card.
+ */
+function renderDataReport() {
+  const container = document.getElementById('dataReport');
+  if (!container) return;
+  container.innerHTML = '';
+  const summary = document.createElement('p');
+  const { errors, warnings } = dataReport;
+  if (errors.length === 0 && warnings.length === 0) {
+    summary.textContent = tr('dataCheck.passed', {
+      groups: scoreboardData.groups.length,
+      students: scoreboardData.students.length,
+      transactions: scoreboardData.transactions.length
+    });
+    container.appendChild(summary);
+    return;
+  }
+  summary.textContent = tr('dataCheck.problems', { errors: errors.length, warnings: warnings.length });
+  container.appendChild(summary);
+  const list = document.createElement('ul');
+  list.className = 'data-report';
+  errors.forEach((text) => list.appendChild(dataReportItem('error', text)));
+  warnings.forEach((text) => list.appendChild(dataReportItem('warning', text)));
+  container.appendChild(list);
+}
+
+// Run the data check again after the teacher portal changed the data (for
+// example a roster import) and refresh the report
+function recheckScoreboardData() {
+  try {
+    dataReport = validateScoreboardData(scoreboardData);
+  } catch (err) {
+    dataReport = { errors: [err.message], warnings: [] };
+  }
+  renderDataReport();
+}
+
+// One line of the data report
+function dataReportItem(level, text) {
+  const li = document.createElement('li');
+  li.className = level;
+  li.textContent = text;
+  return li;
+}
+
+// Replace the page content with a readable message when the data cannot be
+// loaded at all
+function showDataLoadError(err) {
+  const container = document.querySelector('.container');
+  if (!container) return;
+  container.innerHTML = '';
+  const card = document.createElement('div');
+  card.className = 'card data-load-error';
+  const title = document.createElement('h3');
+  title.textContent = tr('dataLoad.failed');
+  const detail = document.createElement('p');
+  detail.textContent = err.message;
+  const hint = document.createElement('p');
+  hint.className = 'small';
+  hint.textContent = tr('dataLoad.hint');
+  card.appendChild(title);
+  card.appendChild(detail);
+  card.appendChild(hint);
+  container.appendChild(card);
+}
+
+// -----------------------------------------------------------------------------
+//  Student Codes
+//
+// A student's code is all it takes to open their profile, so new codes are
+// random strings drawn with crypto.getRandomValues instead of a pattern like
+// H3-ARG-1. The alphabet leaves out characters that are easy to misread or
+// mistype (0/O/Q, 1/I/L). Both can be changed in the data:
+//
+//   "studentCodes": { "alphabet": "ABCDEFGHJKMNPRSTUVWXYZ23456789", "length": 6 }
+//
+// Look-alike characters in a configured alphabet are dropped. Codes are
+// compared ignoring case, spaces and dashes. My Profile only checks a code
+// when it is submitted and locks the lookup for a while after repeated wrong
+// codes; this slows down guessing on a classroom device but does not hide
+// the codes from someone who reads the data file itself.
+
+const DEFAULT_CODE_ALPHABET = 'ABCDEFGHJKMNPRSTUVWXYZ23456789';
+const DEFAULT_CODE_LENGTH = 6;
+const CONFUSABLE_CODE_CHARS = '0OQ1IL';
+// Wrong codes allowed before My Profile locks, and how long the first lock
+// lasts; each further wrong code doubles it, up to the maximum
+const CODE_MAX_FAILURES = 5;
+const CODE_LOCKOUT_MS = 60 * 1000;
+const CODE_LOCKOUT_MAX_MS = 15 * 60 * 1000;
+// localStorage key for wrong code attempts: { failures, lockedUntil }
+const CODE_ATTEMPTS_KEY = 'lmh_code_attempts';
+
+// The alphabet and length new codes are made from
+function studentCodeSettings(data = scoreboardData) {
+  const config = (data && data.studentCodes) || {};
+  const chars = Array.from(new Set(String(config.alphabet || DEFAULT_CODE_ALPHABET).toUpperCase()))
+    .filter((c) => /[A-Z0-9]/.test(c) && !CONFUSABLE_CODE_CHARS.includes(c));
+  const length = Number.isInteger(config.length) ? Math.min(Math.max(config.length, 4), 16) : DEFAULT_CODE_LENGTH;
+  return { alphabet: chars.length >= 10 ? chars.join('') : DEFAULT_CODE_ALPHABET, length };
+}
+
+// Form of a code used for comparing: upper case without spaces or dashes
+function normalizeStudentCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Find the student a typed code belongs to
+function findStudentByCode(code) {
+  const wanted = normalizeStudentCode(code);
+  if (!wanted) return null;
+  return scoreboardData.students.find((s) => normalizeStudentCode(s.code) === wanted) || null;
+}
+
+// Make a random code that is not in `taken` (a Set of normalized codes) and
+// add it there
+function generateStudentCode(taken) {
+  const { alphabet, length } = studentCodeSettings();
+  // Bytes at or above this limit would favour the first characters
+  const limit = 256 - (256 % alphabet.length);
+  let code;
+  do {
+    code = '';
+    while (code.length < length) {
+      const bytes = window.crypto.getRandomValues(new Uint8Array(length * 2));
+      bytes.forEach((b) => {
+        if (b < limit && code.length < length) code += alphabet[b % alphabet.length];
+      });
+    }
+  } while (taken.has(code));
+  taken.add(code);
+  return code;
+}
+
+// Whether a code has the form generated codes have (the configured length,
+// only alphabet characters) rather than a guessable pattern
+function isRandomStudentCode(code, data = scoreboardData) {
+  const { alphabet, length } = studentCodeSettings(data);
+  const chars = Array.from(String(code || '').trim().toUpperCase());
+  return chars.length === length && chars.every((c) => alphabet.includes(c));
+}
+
+// Wrong code attempts recorded on this device
+function readCodeAttempts() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(CODE_ATTEMPTS_KEY));
+    if (saved && typeof saved.failures === 'number') return saved;
+  } catch (e) {
+    // Unreadable entry: start counting again
+  }
+  return { failures: 0, lockedUntil: 0 };
+}
+
+// Milliseconds until My Profile accepts codes again, or 0
+function codeLockRemainingMs() {
+  return Math.max(0, readCodeAttempts().lockedUntil - Date.now());
+}
+
+// Count a wrong code and return how long the lookup is now locked for (0 if
+// it is not locked yet)
+function recordCodeFailure() {
+  const attempts = readCodeAttempts();
+  attempts.failures++;
+  let lockMs = 0;
+  if (attempts.failures >= CODE_MAX_FAILURES) {
+    lockMs = Math.min(CODE_LOCKOUT_MS * 2 ** (attempts.failures - CODE_MAX_FAILURES), CODE_LOCKOUT_MAX_MS);
+    attempts.lockedUntil = Date.now() + lockMs;
+  }
+  window.localStorage.setItem(CODE_ATTEMPTS_KEY, JSON.stringify(attempts));
+  return lockMs;
+}
+
+// Forget wrong attempts after a correct code
+function clearCodeFailures() {
+  window.localStorage.removeItem(CODE_ATTEMPTS_KEY);
+}
+
+// "45 seconds" or "3 minutes", for lockout messages
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return trCount('time.seconds', seconds);
+  return trCount('time.minutes', Math.ceil(seconds / 60));
+}
+
+// -----------------------------------------------------------------------------
+//  Levels
+//
+// Student levels are computed from cumulative earned points (XP): the sum of
+// every positive delta, so spending points or losing them to a penalty never
+// lowers a level. The XP needed per level comes from scoreboardData.levelCurve,
+// which is either a list of thresholds:
+//
+//   { "type": "thresholds", "thresholds": [0, 10, 25, 45] }
+//
+// where thresholds[n] is the XP needed for level n + 1, or a formula:
+//
+//   { "type": "formula", "base": 10, "exponent": 1.5, "maxLevel": 50 }
+//
+// where level n needs round(base * (n - 1) ^ exponent) XP. The data check
+// only accepts curves that keep rising: thresholds that increase, or a
+// positive base and exponent. No curve goes past MAX_LEVEL.
+
+// Curve used when the data does not define one
+const DEFAULT_LEVEL_CURVE = { type: 'formula', base: 10, exponent: 1.5, maxLevel: 50 };
+// Highest level on any curve, so a formula without maxLevel still ends
+const MAX_LEVEL = 1000;
+
+/**
+ * Describe what is wrong with a level curve, or return '' if it can be
+ * used.
+ *
+ * @param {*} curve - scoreboardData.levelCurve
+ * @returns {string}
+ */
+function levelCurveProblem(curve) {
+  if (!curve || typeof curve !== 'object' || Array.isArray(curve)) {
+    return 'should be an object';
+  }
+  const positive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+  if (curve.type === 'thresholds') {
+    const thresholds = curve.thresholds;
+    const rising = Array.isArray(thresholds) && thresholds.length > 0 &&
+      thresholds.every((t, i) => typeof t === 'number' && Number.isFinite(t) && (i === 0 || t > thresholds[i - 1]));
+    return rising ? '' : 'needs "thresholds" that are numbers, each higher than the one before';
+  }
+  if (curve.type === 'formula') {
+    if (curve.base !== undefined && !positive(curve.base)) return 'needs a "base" above 0';
+    if (curve.exponent !== undefined && !positive(curve.exponent)) return 'needs an "exponent" above 0';
+    if (curve.maxLevel !== undefined && !(Number.isInteger(curve.maxLevel) && curve.maxLevel >= 2)) {
+      return 'needs a whole "maxLevel" of at least 2';
+    }
+    return '';
+  }
+  return `has type "${curve.type}"; use "thresholds" or "formula"`;
+}
+
+/**
+ * XP required to reach a level on the given curve, or null if the level is
+ * beyond the end of the curve or above MAX_LEVEL.
+ *
+ * @param {number} level - Level number, starting at 1.
+ * @param {Object} curve - scoreboardData.levelCurve
+ * @returns {number|null}
+ */
+function xpForLevel(level, curve) {
+  if (level <= 1) return 0;
+  if (level > MAX_LEVEL) return null;
+  if (curve.type === 'thresholds') {
+    const thresholds = curve.thresholds || [];
+    return level - 1 < thresholds.length ? thresholds[level - 1] : null;
+  }
+  if (curve.maxLevel && level > curve.maxLevel) return null;
+  return Math.round((curve.base || 10) * Math.pow(level - 1, curve.exponent || 1));
+}
+
+/**
+ * Work out a level and the progress toward the next one from an XP total.
+ *
+ * @param {number} xp
+ * @param {Object} [curve] - Defaults to scoreboardData.levelCurve.
+ * @returns {{level: number, xp: number, floor: number, next: (number|null), progress: number}}
+ *   `floor` is the XP where the current level started, `next` the XP needed
+ *   for the next level (null at the top of the curve) and `progress` the
+ *   fraction of the way there.
+ */
+function levelForXp(xp, curve) {
+  curve = curve || (scoreboardData && scoreboardData.levelCurve) || DEFAULT_LEVEL_CURVE;
+  let level = 1;
+  let next = xpForLevel(2, curve);
+  while (next !== null && xp >= next) {
+    level++;
+    next = xpForLevel(level + 1, curve);
+  }
+  const floor = xpForLevel(level, curve);
+  const progress = next === null || next <= floor ? 1 : (xp - floor) / (next - floor);
+  return { level, xp, floor, next, progress };
+}
+
+// Compute cumulative earned points (positive deltas only) for each student
+function computeStudentXp() {
+  const xp = {};
+  scoreboardData.students.forEach((s) => {
+    xp[s.id] = 0;
+  });
+  countedTransactions().forEach((t) => {
+    if (xp.hasOwnProperty(t.studentId) && t.delta > 0) {
+      xp[t.studentId] += t.delta;
+    }
+  });
+  return xp;
+}
+
+// Compute the level info for every student, keyed by student id
+function computeStudentLevels() {
+  const xp = computeStudentXp();
+  const levels = {};
+  Object.keys(xp).forEach((id) => {
+    levels[id] = levelForXp(xp[id]);
+  });
+  return levels;
+}
+
+// -----------------------------------------------------------------------------
+//  Time Periods
+//
+// The Groups and Students leaderboards can be limited to a date range.
+// Named periods such as units and quarters come from scoreboardData.periods
+// as { id, label, start, end } with inclusive YYYY-MM-DD dates. "All time",
+// "This week" and a custom range are always offered alongside them.
+
+// Format a Date (today by default) as YYYY-MM-DD in local time. Transactions
+// are dated this way, so a day's points fall in the day and week they were
+// given in the classroom.
+function localIsoDate(d = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Monday to Sunday of the week containing the given day
+function weekRange(day) {
+  const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+  const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+  return { start: localIsoDate(monday), end: localIsoDate(sunday), label: tr('period.thisWeekLower') };
+}
+
+// Whether a transaction falls inside a date range. A missing range, or a
+// missing start or end, leaves that side open.
+function inDateRange(t, range) {
+  if (!range) return true;
+  if (range.start && t.date < range.start) return false;
+  if (range.end && t.date > range.end) return false;
+  return true;
+}
+
+// Fill the period select for a tab ("group" or "student") and wire it, along
+// with its custom start/end date inputs, to re-render that tab's leaderboard.
+// Elements are looked up as <prefix>Period, <prefix>PeriodStart and
+// <prefix>PeriodEnd; if the select is missing this does nothing.
+function populatePeriodFilter(prefix, onChange) {
+  const select = document.getElementById(prefix + 'Period');
+  if (!select) return;
+  const startInput = document.getElementById(prefix + 'PeriodStart');
+  const endInput = document.getElementById(prefix + 'PeriodEnd');
+  fillPeriodOptions(prefix);
+  function update() {
+    const custom = select.value === 'custom';
+    if (startInput) startInput.style.display = custom ? '' : 'none';
+    if (endInput) endInput.style.display = custom ? '' : 'none';
+    onChange();
+  }
+  select.addEventListener('change', update);
+  if (startInput) startInput.addEventListener('change', onChange);
+  if (endInput) endInput.addEventListener('change', onChange);
+  update();
+}
+
+// (Re)fill a tab's period select in the current language, keeping its value
+function fillPeriodOptions(prefix) {
+  const select = document.getElementById(prefix + 'Period');
+  if (!select) return;
+  const selected = select.value;
+  select.innerHTML = '';
+  const options = [{ id: 'all', label: tr('period.allTime') }, { id: 'week', label: tr('period.thisWeek') }]
+    .concat((scoreboardData.periods || []).map((p) => Object.assign({}, p, { label: localized(p, 'label') })))
+    .concat([{ id: 'custom', label: tr('period.custom') }]);
+  options.forEach((p) => {
+    const option = document.createElement('option');
+    option.value = p.id;
+    option.textContent = p.start ? `${p.label} (${formatDate(p.start)} – ${formatDate(p.end)})` : p.label;
+    select.appendChild(option);
+  });
+  if (selected) select.value = selected;
+}
+
+// Read the date range chosen in a tab's period selector, or null for all time
+function selectedPeriodRange(prefix) {
+  const select = document.getElementById(prefix + 'Period');
+  if (!select || !select.value || select.value === 'all') return null;
+  if (select.value === 'week') return weekRange(new Date());
+  if (select.value === 'custom') {
+    const startInput = document.getElementById(prefix + 'PeriodStart');
+    const endInput = document.getElementById(prefix + 'PeriodEnd');
+    const start = (startInput && startInput.value) || null;
+    const end = (endInput && endInput.value) || null;
+    if (!start && !end) return null;
+    return { start, end, label: `${start ? formatDate(start) : '…'} – ${end ? formatDate(end) : '…'}` };
+  }
+  const period = (scoreboardData.periods || []).find((p) => p.id === select.value);
+  return period ? { start: period.start, end: period.end, label: localized(period, 'label') } : null;
+}
+
+// Small note after a total saying which period it covers
+function periodSuffixHtml(range) {
+  return range ? ` <span class="small">(${escapeHtml(range.label)})</span>` : '';
+}
+
+// Initialize once the DOM has loaded. This loads and checks the data from
+// the highest-priority source, populates the group filter, and renders all
+// views. teacher_portal_gsheets.js waits for the scoreboard:dataready event
+// this dispatches.
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const loaded = await loadScoreboardData();
+    scoreboardData = loaded.data;
+    dataReport = loaded.report;
+    dataSource = loaded.source;
+    // Pick the language (saved choice, the data's locale, then the browser's)
+    setupLocale(scoreboardData);
+    ensureTransactionIds();
+    showDataSource();
+    // Build a lookup table for groups by ID
+    groupById = {};
+    scoreboardData.groups.forEach((g) => {
+      groupById[g.id] = g;
+    });
+    // Pick the hour/class every view is scoped to (URL, then saved choice)
+    setupHourContext();
+    // Populate group filter dropdown
+    populateGroupFilter();
+    // Populate the period selectors on the Groups and Students tabs
+    populatePeriodFilter('group', renderGroupLeaderboard);
+    populatePeriodFilter('student', renderStudentLeaderboard);
+    // Render views
+    renderGroupLeaderboard();
+    renderStudentLeaderboard();
+    checkCelebrations();
+    setupProfileLookup();
+    setupGroupDetail();
+    // Show the view the address names and follow it from now on
+    setupRouter();
+    // Switch to the projector layout if requested in the URL
+    setupDisplayMode();
+    // List any data problems in the teacher portal
+    renderDataReport();
+    document.dispatchEvent(new CustomEvent('scoreboard:dataready', { detail: { source: dataSource } }));
+  } catch (err) {
+    console.error('Failed to initialize scoreboard:', err);
+    // Leave the data unset so the teacher portal does not work on half-loaded
+    // data, and explain the problem on the page. Details are logged in the console.
+    scoreboardData = null;
+    setupLocale(null);
+    showDataLoadError(err);
+  }
+});
+
+// Compute total points for each group: its students' points plus group
+// transactions (those without a studentId, such as team prizes). If a date
+// range is given, only transactions dated inside it are counted. Voided
+// transactions never count.
+function computeGroupTotals(range) {
+  const totals = {};
+  scoreboardData.groups.forEach((g) => {
+    totals[g.id] = 0;
+  });
+  countedTransactions().forEach((t) => {
+    if (totals.hasOwnProperty(t.groupId) && inDateRange(t, range)) {
+      totals[t.groupId] += t.delta;
+    }
+  });
+  return totals;
+}
+
+// Compute total points for each student, optionally within a date range,
+// leaving out voided transactions. Group transactions belong to no student.
+function computeStudentTotals(range) {
+  const totals = {};
+  scoreboardData.students.forEach((s) => {
+    totals[s.id] = 0;
+  });
+  countedTransactions().forEach((t) => {
+    if (totals.hasOwnProperty(t.studentId) && inDateRange(t, range)) {
+      totals[t.studentId] += t.delta;
+    }
+  });
+  return totals;
+}
+
+// Sum the deltas of transactions still queued in the teacher portal's outbox
+// (flagged `pending`), keyed by the given field: 'groupId' or 'studentId'.
+function computePendingTotals(key, range) {
+  const totals = {};
+  countedTransactions().forEach((t) => {
+    if (t.pending && inDateRange(t, range)) {
+      totals[t[key]] = (totals[t[key]] || 0) + t.delta;
+    }
+  });
+  return totals;
+}
+
+// Build the small "+N pending" tag shown next to totals that include
+// unsynced points. Returns an empty string when nothing is pending.
+function pendingTagHtml(delta) {
+  if (!delta) return '';
+  return `<span class="pending-tag" title="${escapeHtml(tr('pending.title'))}">` +
+    `${escapeHtml(tr('pending.tag', { points: formatSigned(delta) }))}</span>`;
+}
+
+// A points total in bold followed by the word "points" in the current
+// language, for templates
+function pointsHtml(points) {
+  return `<strong>${escapeHtml(formatNumber(points))}</strong> ${escapeHtml(trCount('points.word', points))}`;
+}
+
+// The colored chip naming a student's group, for templates. A group missing
+// from the data (the data check reports it) gets a gray chip with its id, so
+// the student is still listed.
+function groupChipHtml(groupId) {
+  const group = groupById[groupId];
+  const name = group ? localized(group, 'name') : String(groupId || '?');
+  return `<span class="chip" style="background-color:${safeColor(group && group.color)}">${escapeHtml(name)}</span>`;
+}
+
+// Render the group leaderboard
+function renderGroupLeaderboard() {
+  const container = document.getElementById('groupsList');
+  // Remember where each card was so rank changes can slide into place
+  const previousPositions = captureCardPositions(container);
+  container.innerHTML = '';
+  const range = selectedPeriodRange('group');
+  const totals = computeGroupTotals(range);
+  // Pets are unlocked by all-time points whatever period is shown
+  const allTimeTotals = range ? computeGroupTotals() : totals;
+  const pending = computePendingTotals('groupId', range);
+  const petRecordsNow = petRecords();
+  const petPeriod = currentPetUsePeriod();
+  // Sort groups in the current hour by total descending
+  const sorted = scoreboardData.groups.filter(groupInHourContext).sort((a, b) => {
+    return (totals[b.id] || 0) - (totals[a.id] || 0);
+  });
+  sorted.forEach((g) => {
+    const card = document.createElement('div');
+    // Apply group accent class for coloured stripe and tint via CSS
+    card.className = 'card group-accent';
+    // Tag the element with its group ID so CSS can determine its colours
+    card.setAttribute('data-group', g.id);
+    // Open the group's detail view on click or Enter
+    card.tabIndex = 0;
+    card.addEventListener('click', () => showGroupDetail(g.id));
+    card.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') showGroupDetail(g.id);
+    });
+    const points = totals[g.id] || 0;
+    const motto = localized(g, 'motto') ? `<p class="small">${escapeHtml(localized(g, 'motto'))}</p>` : '';
+    card.innerHTML = `
+      <h3>${escapeHtml(localized(g, 'name'))}</h3>
+      ${motto}
+      <p>${pointsHtml(points)}${periodSuffixHtml(range)}${pendingTagHtml(pending[g.id])}</p>
+    `;
+    // Colour the heading using the group colour for an extra pop
+    const h3 = card.querySelector('h3');
+    if (h3) {
+      h3.style.color = safeColor(g.color);
+    }
+    // If pets are defined, append a row of pet chips indicating earned and locked pets
+    if (scoreboardData && Array.isArray(scoreboardData.pets) && scoreboardData.pets.length > 0) {
+      const petPoints = allTimeTotals[g.id] || 0;
+      const { earned, locked } = petsEarnedForPoints(petPoints, scoreboardData.pets);
+      const petsRow = document.createElement('div');
+      petsRow.className = 'pets-row';
+      // Add earned pets first, in their current form and with their names,
+      // then locked ones
+      earned.forEach((pet) => {
+        petsRow.appendChild(createPetChip(pet, false, petCompanion(pet, g.id, petPoints, petRecordsNow, petPeriod)));
+      });
+      locked.forEach((pet) => {
+        petsRow.appendChild(createPetChip(pet, true));
+      });
+      card.appendChild(petsRow);
+    }
+    container.appendChild(card);
+  });
+  animateCardReorder(container, previousPositions);
+  renderTrends();
+  renderGroupDetail();
+  renderPetGallery();
+  // List milestone achievements; checkCelebrations() celebrates new ones
+  renderAchievementsFeed(computeGroupAchievements());
+}
+
+// Render the student leaderboard
+function renderStudentLeaderboard() {
+  const list = document.getElementById('studentsList');
+  const searchInput = document.getElementById('studentSearch');
+  const groupFilter = document.getElementById('groupFilter');
+  list.innerHTML = '';
+  const range = selectedPeriodRange('student');
+  const totals = computeStudentTotals(range);
+  const pending = computePendingTotals('studentId', range);
+  const levels = computeStudentLevels();
+  // Build array with computed points
+  let students = scoreboardData.students.map((s) => {
+    return Object.assign({}, s, { points: totals[s.id] || 0, level: levels[s.id].level });
+  });
+  // Filter by group if selected
+  if (groupFilter.value && groupFilter.value !== 'all') {
+    students = students.filter((s) => s.groupId === groupFilter.value);
+  }
+  // Only show students from the current hour context
+  students = students.filter((s) => studentInHourContext(s));
+  // Filter by search string
+  const q = searchInput.value.trim().toLowerCase();
+  if (q) {
+    students = students.filter((s) => s.name.toLowerCase().includes(q));
+  }
+  // Sort by points desc
+  students.sort((a, b) => b.points - a.points);
+  if (students.length === 0) {
+    const msg = document.createElement('div');
+    msg.className = 'no-data';
+    msg.textContent = tr('students.none');
+    list.appendChild(msg);
+    return;
+  }
+  students.forEach((s, index) => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    const powerupsHtml = powerupBadgesHtml(s);
+    card.innerHTML = `
+      <h3>${escapeHtml(s.name)} ${groupChipHtml(s.groupId)}</h3>
+      <p>${pointsHtml(s.points)}${periodSuffixHtml(range)}${pendingTagHtml(pending[s.id])} • ${escapeHtml(tr('level.label', { level: s.level }))}</p>
+      <div class="powerups">${powerupsHtml}</div>
+      <p class="small">${escapeHtml(tr('students.rank', { rank: index + 1 }))}</p>
+    `;
+    list.appendChild(card);
+  });
+}
+
+// Build the XP progress bar shown on the profile card
+function levelProgressHtml(info) {
+  const pct = Math.round(Math.max(0, Math.min(1, info.progress)) * 100);
+  const label = info.next === null
+    ? tr('level.max', { xp: info.xp })
+    : tr('level.progress', { xp: info.xp, next: info.next, toGo: info.next - info.xp, level: info.level + 1 });
+  return `
+    <div class="level-progress" title="${escapeHtml(tr('level.hint'))}">
+      <div class="level-progress-bar" style="width:${pct}%"></div>
+    </div>
+    <p class="small">${escapeHtml(label)}</p>
+  `;
+}
+
+// Student code from a printed code card's QR link (index.html?code=...),
+// read once at load; it opens My Profile with the code filled in
+const linkedProfileCode = new URLSearchParams(window.location.search).get('code');
+// The student whose profile is open on this device, or null. Their group's
+// pets can be named from the Pets tab (see canNamePets).
+let profileStudent = null;
+
+// Set up the profile lookup functionality
+function setupProfileLookup() {
+  const codeInput = document.getElementById('codeInput');
+  const profileArea = document.getElementById('profileArea');
+  const profileInfo = document.getElementById('profileInfo');
+  const profileTx = document.getElementById('profileTransactions');
+  const noStudentMsg = document.getElementById('noStudent');
+
+  const submitBtn = document.getElementById('codeSubmitBtn');
+  const signOutBtn = document.getElementById('codeSignOutBtn');
+  // Show a message in place of the profile
+  function showProfileMessage(text) {
+    profileStudent = null;
+    profileArea.style.display = 'none';
+    noStudentMsg.style.display = 'block';
+    noStudentMsg.textContent = text;
+  }
+  // Check a submitted code. Wrong codes count towards the lockout; a right
+  // one is saved so the profile opens by itself on this device next time.
+  function submitCode(code) {
+    const locked = codeLockRemainingMs();
+    if (locked > 0) {
+      showProfileMessage(tr('profile.locked', { wait: formatWait(locked) }));
+      return;
+    }
+    if (!normalizeStudentCode(code)) {
+      showProfileMessage(tr('profile.enterCode'));
+      return;
+    }
+    const student = findStudentByCode(code);
+    if (!student) {
+      const lockMs = recordCodeFailure();
+      showProfileMessage(lockMs > 0
+        ? tr('profile.wrongCodeLocked', { wait: formatWait(lockMs) })
+        : tr('profile.wrongCode'));
+      return;
+    }
+    clearCodeFailures();
+    codeInput.value = '';
+    window.localStorage.setItem('student_code', student.code);
+    showProfile(student);
+  }
+  // Forget the saved code so the next student on this device starts fresh
+  function signOut() {
+    window.localStorage.removeItem('student_code');
+    showProfileMessage(tr('profile.signedOut'));
+    codeInput.focus();
+  }
+  function showProfile(student) {
+    profileStudent = student;
+    noStudentMsg.style.display = 'none';
+    profileArea.style.display = 'block';
+    // Compute student's total points and level
+    const totals = computeStudentTotals();
+    const total = totals[student.id] || 0;
+    const levelInfo = computeStudentLevels()[student.id];
+    // Build profile info
+    const group = groupById[student.groupId];
+    const powerupsHtml = powerupBadgesHtml(student);
+    profileInfo.innerHTML = `
+      <h3>${escapeHtml(student.name)} ${groupChipHtml(student.groupId)}</h3>
+      <p>${pointsHtml(total)}${pendingTagHtml(computePendingTotals('studentId')[student.id])} • ${escapeHtml(tr('level.label', { level: levelInfo.level }))}</p>
+      ${levelProgressHtml(levelInfo)}
+      <div class="powerups">${powerupsHtml}</div>
+      <p class="small">${escapeHtml(tr('profile.code'))} <span style="font-family: monospace;">${escapeHtml(student.code)}</span></p>
+    `;
+    // Sparkline of the student's running total, once there are two dates to join
+    const history = cumulativePointsByDate('studentId', [student.id]);
+    if (history.dates.length > 1) {
+      const trend = document.createElement('div');
+      trend.className = 'profile-trend';
+      const caption = document.createElement('span');
+      caption.className = 'small';
+      caption.textContent = tr('profile.pointsSince', { date: formatDate(history.dates[0]) });
+      trend.append(sparklineSvg(history.series[student.id], safeColor(group && group.color)), caption);
+      profileInfo.insertBefore(trend, profileInfo.querySelector('.powerups'));
+    }
+    renderProfileShop(student, total);
+    renderProfilePowerupHistory(student);
+    // Build transaction list (powerup uses carry no points and are listed in
+    // the powerup history instead)
+    const txList = countedTransactions()
+      .filter((t) => t.studentId === student.id && t.kind !== 'redeem')
+      .sort((a, b) => (a.date < b.date ? 1 : -1));
+    profileTx.innerHTML = '';
+    if (txList.length === 0) {
+      const row = document.createElement('div');
+      row.className = 'no-data';
+      row.textContent = tr('activity.none');
+      profileTx.appendChild(row);
+    } else {
+      txList.forEach((t) => {
+        const row = document.createElement('div');
+        row.className = 'card';
+        row.style.padding = '0.5rem';
+        row.style.marginBottom = '0.5rem';
+        const deltaColor = t.delta >= 0 ? '#059669' : '#dc2626';
+        const pendingTag = t.pending ? `<span class="pending-tag">${escapeHtml(tr('pending.short'))}</span>` : '';
+        row.innerHTML = `
+          <div style="display:flex; justify-content:space-between; align-items:center;">
+            <div>
+              <p style="margin:0; font-weight:600; font-size:0.875rem;">${escapeHtml(transactionReason(t))}</p>
+              <p class="small">${escapeHtml(formatDate(t.date))}${pendingTag}</p>
+            </div>
+            <div style="color:${deltaColor}; font-weight:600; font-size:0.875rem;">${escapeHtml(formatSigned(t.delta))}</div>
+          </div>
+        `;
+        profileTx.appendChild(row);
+      });
+    }
+  }
+  // List every powerup for sale with a Buy button the student can afford
+  function renderProfileShop(student, balance) {
+    const shop = document.getElementById('profileShop');
+    const shopMsg = document.getElementById('profileShopMsg');
+    if (!shop) return;
+    shop.innerHTML = '';
+    (scoreboardData.powerups || []).filter((p) => p.cost > 0).forEach((p) => {
+      const row = document.createElement('div');
+      row.className = 'shop-row';
+      const label = localized(p, 'label');
+      const oneUse = p.oneShot ? ` <span class="small">${escapeHtml(tr('shop.oneUse'))}</span>` : '';
+      row.innerHTML = `
+        <div>
+          <p style="margin:0; font-weight:600; font-size:0.875rem;">${escapeHtml(label)}${oneUse}</p>
+          <p class="small">${escapeHtml(localized(p, 'effect'))}</p>
+        </div>
+      `;
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = tr('shop.buy', { cost: p.cost });
+      btn.disabled = balance < p.cost;
+      btn.addEventListener('click', () => {
+        if (!window.confirm(tr('shop.confirm', { cost: p.cost, powerup: label }))) return;
+        try {
+          buyPowerup(student, p.id);
+          showProfile(student);
+          if (shopMsg) shopMsg.textContent = tr('shop.bought', { powerup: label });
+        } catch (err) {
+          if (shopMsg) shopMsg.textContent = err.message;
+        }
+      });
+      row.appendChild(btn);
+      shop.appendChild(row);
+    });
+  }
+
+  // Show every powerup the student bought, with when it was used
+  function renderProfilePowerupHistory(student) {
+    const history = document.getElementById('profilePowerupHistory');
+    if (!history) return;
+    history.innerHTML = '';
+    const ledger = powerupLedgerForStudent(student.id);
+    if (ledger.length === 0) {
+      history.innerHTML = `<div class="no-data">${escapeHtml(tr('shop.noneBought'))}</div>`;
+      return;
+    }
+    ledger.slice().reverse().forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = 'shop-row';
+      const label = entry.powerup ? localized(entry.powerup, 'label') : entry.purchase.powerupId;
+      const uses = entry.uses.map((u) => formatDate(u.date)).join(', ');
+      const status = entry.active
+        ? (uses ? tr('shop.activeUsed', { dates: uses }) : tr('shop.ready'))
+        : tr('shop.used', { dates: uses });
+      const bought = tr('shop.boughtOn', { date: formatDate(entry.purchase.date), cost: -entry.purchase.delta });
+      row.innerHTML = `
+        <div>
+          <p style="margin:0; font-weight:600; font-size:0.875rem;">${escapeHtml(label)}</p>
+          <p class="small">${escapeHtml(bought)}</p>
+        </div>
+        <span class="small">${escapeHtml(status)}</span>
+      `;
+      history.appendChild(row);
+    });
+  }
+
+  // Codes are only checked when submitted, never while typing
+  submitBtn.addEventListener('click', () => submitCode(codeInput.value));
+  codeInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      submitCode(codeInput.value);
+    }
+  });
+  signOutBtn.addEventListener('click', signOut);
+  document.addEventListener('scoreboard:localechange', () => {
+    if (profileStudent) showProfile(profileStudent);
+  });
+  // A code card link is checked like a typed code. It is then dropped from
+  // the address bar so it does not stay visible on a shared screen.
+  if (linkedProfileCode) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('code');
+    window.history.replaceState(null, '', url.href);
+    submitCode(linkedProfileCode);
+    return;
+  }
+  // A returning student's saved code opens their profile right away; a code
+  // that has since been replaced is forgotten
+  const saved = window.localStorage.getItem('student_code');
+  const savedStudent = saved && findStudentByCode(saved);
+  if (savedStudent) {
+    showProfile(savedStudent);
+  } else if (saved) {
+    window.localStorage.removeItem('student_code');
+    showProfileMessage(tr('profile.codeChanged'));
+  } else {
+    profileArea.style.display = 'none';
+    noStudentMsg.style.display = 'block';
+  }
+}
+
+// Populate the group filter dropdown and attach event handlers. This is
+// called once after scoreboardData has been parsed. It also attaches
+// listeners to refresh the student leaderboard when the search or filter
+// inputs change.
+function populateGroupFilter() {
+  const filter = document.getElementById('groupFilter');
+  fillGroupFilterOptions();
+  filter.addEventListener('change', renderStudentLeaderboard);
+  const searchInput = document.getElementById('studentSearch');
+  searchInput.addEventListener('input', renderStudentLeaderboard);
+}
+
+// Fill the group filter with the groups of the current hour context. A
+// selected group from another hour falls back to "All groups".
+function fillGroupFilterOptions() {
+  const filter = document.getElementById('groupFilter');
+  const selected = filter.value;
+  // Clear any existing options except the first (All groups)
+  while (filter.options.length > 1) {
+    filter.remove(1);
+  }
+  scoreboardData.groups.filter(groupInHourContext).forEach((g) => {
+    const option = document.createElement('option');
+    option.value = g.id;
+    option.textContent = localized(g, 'name');
+    filter.appendChild(option);
+  });
+  filter.value = Array.from(filter.options).some((o) => o.value === selected) ? selected : 'all';
+}
+
+// -----------------------------------------------------------------------------
+//  Router
+//
+// Every view has its own address in the hash, so it can be bookmarked and the
+// browser's back and forward buttons move between views:
+//
+//   #/groups?period=week                   group board
+//   #/groups/<group id>                    a group's detail view
+//   #/students?hour=hour3&group=...&q=ana  student board with its filters
+//   #/pets                                 every group's pet collection
+//   #/profile                              My Profile
+//   #/teacher                              added by teacher_portal_gsheets.js
+//
+// A route names the section it shows, the tab button (by data-target) it
+// highlights and the inputs whose values live in the query part of the hash;
+// `hour` sets the hour context on any route. Switching views adds a history
+// entry, while changing a filter only replaces the current one. Other
+// scripts add views with registerRoute. Links made before the router, of the
+// form #group=<id>, still open the group's detail view.
+
+// Registered routes by name (the first segment of the hash path)
+const routes = {};
+// Route shown when the hash names none
+const DEFAULT_ROUTE = 'groups';
+// Name of the route on screen, or null before the router has started
+let currentRoute = null;
+// Set while a route's query is being copied into its inputs
+let applyingRoute = false;
+
+// Add a view to the router. Options: section (the element id to show, or a
+// function of the path argument), tab (the tab button's data-target),
+// filters ({ query parameter: input id }) and enter(arg, params), called once
+// the section is shown. A route registered after the router started is shown
+// right away if the address already names it.
+function registerRoute(name, options) {
+  const route = Object.assign({ section: name, tab: name, filters: {} }, options);
+  routes[name] = route;
+  Object.values(route.filters).forEach((id) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener(input.type === 'text' ? 'input' : 'change', () => {
+      if (!applyingRoute && currentRoute === name) replaceRouteQuery();
+    });
+  });
+  if (currentRoute !== null && parseRouteHash().name === name) {
+    applyRoute();
+  }
+}
+
+// Read the route from the address: { name, arg, params }
+function parseRouteHash() {
+  const hash = window.location.hash;
+  if (hash.startsWith('#group=')) {
+    return { name: 'groups', arg: decodeURIComponent(hash.slice(7)), params: new URLSearchParams() };
+  }
+  const [path, query] = hash.replace(/^#\/?/, '').split('?');
+  const [name, arg] = path.split('/');
+  return { name, arg: arg ? decodeURIComponent(arg) : null, params: new URLSearchParams(query || '') };
+}
+
+// Build the hash for a route from the current values of its filters and the
+// hour context. Empty and default ("all") values are left out.
+function routeHash(name, arg) {
+  const route = routes[name];
+  const params = new URLSearchParams();
+  if (currentHour()) params.set('hour', currentHour());
+  Object.entries(route.filters).forEach(([param, id]) => {
+    const input = document.getElementById(id);
+    const value = input && input.style.display !== 'none' ? input.value.trim() : '';
+    if (value && value !== 'all') params.set(param, value);
+  });
+  const query = params.toString();
+  return '#/' + name + (arg ? '/' + encodeURIComponent(arg) : '') + (query ? '?' + query : '');
+}
+
+// Go to a view, adding a history entry unless the address already names it
+function navigate(name, arg) {
+  if (!routes[name]) return;
+  const hash = routeHash(name, arg);
+  if (window.location.hash !== hash) {
+    window.history.pushState(null, '', hash);
+  }
+  applyRoute();
+}
+
+// Write the current filters into the address without adding a history entry
+function replaceRouteQuery() {
+  if (!currentRoute) return;
+  const hash = routeHash(currentRoute, parseRouteHash().arg);
+  if (window.location.hash !== hash) {
+    window.history.replaceState(null, '', hash);
+  }
+}
+
+// Show the view the address names: copy its query into the hour context and
+// the route's inputs, then switch the section and tab. Unknown routes show
+// the default view (or My Profile when a code card link opened the page)
+// without touching the address, since a later script may still register them.
+function applyRoute() {
+  const parsed = parseRouteHash();
+  let name = parsed.name;
+  if (!routes[name]) {
+    name = linkedProfileCode && routes.profile ? 'profile' : DEFAULT_ROUTE;
+  }
+  const route = routes[name];
+  const { arg, params } = parsed;
+  applyingRoute = true;
+  try {
+    const hourSelect = document.getElementById('hourContext');
+    const hour = params.get('hour');
+    if (hourSelect && hour && hour !== hourSelect.value && Array.from(hourSelect.options).some((o) => o.value === hour)) {
+      hourSelect.value = hour;
+      hourSelect.dispatchEvent(new Event('change'));
+    }
+    Object.entries(route.filters).forEach(([param, id]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      const value = params.get(param) || (input.tagName === 'SELECT' ? input.options[0] && input.options[0].value : '');
+      if (value !== undefined && input.value !== value) {
+        input.value = value;
+        input.dispatchEvent(new Event(input.type === 'text' ? 'input' : 'change'));
+      }
+    });
+  } finally {
+    applyingRoute = false;
+  }
+  currentRoute = name;
+  const section = typeof route.section === 'function' ? route.section(arg) : route.section;
+  document.querySelectorAll('.tab-buttons button').forEach((b) => {
+    b.classList.toggle('active', b.getAttribute('data-target') === route.tab);
+  });
+  document.querySelectorAll('.section').forEach((sec) => {
+    sec.classList.toggle('active', sec.id === section);
+  });
+  if (route.enter) route.enter(arg, params);
+}
+
+// Register the scoreboard's own views, turn the tab buttons into links and
+// follow the address, including the browser's back and forward buttons
+function setupRouter() {
+  registerRoute('groups', {
+    section: (arg) => (arg && groupById[arg] ? 'group-detail' : 'groups'),
+    filters: { period: 'groupPeriod', from: 'groupPeriodStart', to: 'groupPeriodEnd' },
+    enter: (arg) => {
+      if (arg && groupById[arg]) {
+        detailGroupId = arg;
+        renderGroupDetail();
+        window.scrollTo(0, 0);
+      }
+    }
+  });
+  registerRoute('students', {
+    filters: {
+      group: 'groupFilter',
+      q: 'studentSearch',
+      period: 'studentPeriod',
+      from: 'studentPeriodStart',
+      to: 'studentPeriodEnd'
+    }
+  });
+  registerRoute('pets', { enter: () => renderPetGallery() });
+  registerRoute('profile', {});
+  document.querySelectorAll('.tab-buttons button').forEach((btn) => {
+    btn.addEventListener('click', () => navigate(btn.getAttribute('data-target')));
+  });
+  // The hour context belongs in every view's address
+  const hourSelect = document.getElementById('hourContext');
+  if (hourSelect) {
+    hourSelect.addEventListener('change', () => {
+      if (!applyingRoute) replaceRouteQuery();
+    });
+  }
+  window.addEventListener('popstate', applyRoute);
+  applyRoute();
+}
+
+// -----------------------------------------------------------------------------
+//  Group Detail
+//
+// Clicking a group card opens the group's detail view: its total, progress
+// towards the next locked pet, each member's contribution and the recent
+// activity. Activity includes group transactions (those without a studentId,
+// such as team prizes and powerup group bonuses), which count for the group
+// total and pets but for no student. The view has its own address,
+// index.html#/groups/<group id> (see the Router section), so it can be
+// bookmarked or put on the projector (with ?display=1 it is shown on its own).
+
+// Group shown in the detail view
+let detailGroupId = null;
+
+// Group id named in the address, or null
+function groupIdFromHash() {
+  const parsed = parseRouteHash();
+  return parsed.name === 'groups' ? parsed.arg : null;
+}
+
+// Switch to the detail view of a group through the router
+function showGroupDetail(groupId) {
+  if (!groupById[groupId]) return;
+  navigate('groups', groupId);
+}
+
+// Fill the detail view for the group it shows, if any
+function renderGroupDetail() {
+  const container = document.getElementById('groupDetail');
+  const group = groupById[detailGroupId];
+  if (!container || !group) return;
+  const studentsById = {};
+  scoreboardData.students.forEach((s) => {
+    studentsById[s.id] = s;
+  });
+  const activity = countedTransactions()
+    .map((t, i) => ({ t, i }))
+    .filter((e) => e.t.groupId === group.id && e.t.kind !== 'redeem' && !PET_RECORD_KINDS.includes(e.t.kind))
+    .sort((a, b) => (a.t.date < b.t.date ? 1 : a.t.date > b.t.date ? -1 : b.i - a.i))
+    .map((e) => e.t);
+  const groupPoints = activity.filter((t) => !t.studentId).reduce((sum, t) => sum + t.delta, 0);
+  const total = computeGroupTotals()[group.id] || 0;
+  const motto = localized(group, 'motto');
+  const split = tr('groupDetail.split', { students: total - groupPoints, group: groupPoints });
+  container.innerHTML = `
+    <div class="card group-accent" data-group="${escapeHtml(group.id)}">
+      <h2 style="color:${safeColor(group.color)}; margin-top:0;">${escapeHtml(localized(group, 'name'))}</h2>
+      ${motto ? `<p class="small">${escapeHtml(motto)}</p>` : ''}
+      <p>${pointsHtml(total)}${pendingTagHtml(computePendingTotals('groupId')[group.id])}
+        <span class="small">· ${escapeHtml(split)}</span></p>
+    </div>
+  `;
+  container.appendChild(groupPetProgressCard(group, total));
+  container.appendChild(groupMembersCard(group, activity, studentsById, total));
+  const activityCard = document.createElement('div');
+  activityCard.className = 'card';
+  activityCard.innerHTML = `<h3>${escapeHtml(tr('activity.title'))}</h3>`;
+  if (activity.length === 0) {
+    activityCard.insertAdjacentHTML('beforeend', `<div class="no-data">${escapeHtml(tr('activity.noneYet'))}</div>`);
+  }
+  activity.slice(0, 15).forEach((t) => {
+    const student = studentsById[t.studentId];
+    const row = document.createElement('div');
+    row.className = 'shop-row';
+    const info = document.createElement('div');
+    const who = document.createElement('p');
+    who.style.margin = '0';
+    who.style.fontWeight = '600';
+    if (t.studentId) {
+      who.textContent = student ? student.name : t.studentId;
+    } else {
+      const tag = document.createElement('span');
+      tag.className = 'chip';
+      tag.style.backgroundColor = safeColor(group.color);
+      tag.textContent = tr('group.whole');
+      who.appendChild(tag);
+    }
+    const detail = document.createElement('p');
+    detail.className = 'small';
+    detail.textContent = [transactionReason(t), formatDate(t.date), t.pending ? tr('pending.short') : ''].filter(Boolean).join(' • ');
+    info.append(who, detail);
+    row.append(info, deltaLabel(t.delta));
+    activityCard.appendChild(row);
+  });
+  container.appendChild(activityCard);
+}
+
+// Points shown in green or red with a sign
+function deltaLabel(delta) {
+  const el = document.createElement('span');
+  el.style.fontWeight = '700';
+  el.style.color = delta >= 0 ? '#059669' : '#dc2626';
+  el.textContent = formatSigned(delta);
+  return el;
+}
+
+// Card with the group's pets (see the Pet Gallery section) and a bar towards
+// the next locked one. Pets are unlocked by all-time points, as on the group
+// cards.
+function groupPetProgressCard(group, total) {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `<h3>${escapeHtml(tr('pets.title'))}</h3>`;
+  const pets = scoreboardData.pets || [];
+  if (pets.length === 0) {
+    card.insertAdjacentHTML('beforeend', `<div class="no-data">${escapeHtml(tr('pets.noneDefined'))}</div>`);
+    return card;
+  }
+  card.appendChild(petCompanionList(group, total));
+  const progress = petProgress(total, pets);
+  const bar = document.createElement('div');
+  bar.className = 'level-progress';
+  const fill = document.createElement('div');
+  fill.className = 'level-progress-bar';
+  fill.style.width = `${progress.pct}%`;
+  bar.appendChild(fill);
+  const note = document.createElement('p');
+  note.className = 'small';
+  note.textContent = progress.next
+    ? trCount('pets.toGo', progress.toGo, { pet: [progress.next.emoji, localized(progress.next, 'name')].filter(Boolean).join(' ') })
+    : tr('pets.allUnlocked');
+  card.append(bar, note);
+  return card;
+}
+
+// Card listing the group's members with the points each added to the group
+// total. Students who earned points for the group but have since moved to
+// another group are listed too.
+function groupMembersCard(group, activity, studentsById, total) {
+  const card = document.createElement('div');
+  card.className = 'card';
+  card.innerHTML = `<h3>${escapeHtml(tr('groupDetail.members'))}</h3>`;
+  const contributions = {};
+  scoreboardData.students.filter((s) => s.groupId === group.id).forEach((s) => {
+    contributions[s.id] = 0;
+  });
+  activity.forEach((t) => {
+    if (t.studentId) contributions[t.studentId] = (contributions[t.studentId] || 0) + t.delta;
+  });
+  const ids = Object.keys(contributions).sort((a, b) => contributions[b] - contributions[a]);
+  if (ids.length === 0) {
+    card.insertAdjacentHTML('beforeend', `<div class="no-data">${escapeHtml(tr('groupDetail.noMembers'))}</div>`);
+  }
+  ids.forEach((id) => {
+    const student = studentsById[id];
+    const row = document.createElement('div');
+    row.className = 'shop-row member-row';
+    const name = document.createElement('span');
+    name.textContent = student ? student.name : id;
+    if (!student || student.groupId !== group.id) {
+      const moved = document.createElement('span');
+      moved.className = 'small';
+      moved.textContent = ` ${tr('groupDetail.moved')}`;
+      name.appendChild(moved);
+    }
+    const share = document.createElement('span');
+    share.className = 'small member-share';
+    share.textContent = total > 0 && contributions[id] > 0
+      ? tr('groupDetail.share', { pct: Math.round((contributions[id] / total) * 100) })
+      : '';
+    row.append(name, share, deltaLabel(contributions[id]));
+    card.appendChild(row);
+  });
+  return card;
+}
+
+// Wire the detail view's back button
+function setupGroupDetail() {
+  const back = document.getElementById('groupDetailBack');
+  if (back) {
+    back.addEventListener('click', () => navigate('groups'));
+  }
+}
+
+// -----------------------------------------------------------------------------
+//  Pet Gallery
+//
+// The Pets tab lists every group of the hour context with its whole pet
+// collection: each pet's current form and how far it is from evolving, the
+// name the group gave it, its power and how often the power was used this
+// unit (see the Pets Helpers section). Earned pets can be named from here by
+// a teacher or by a student of the group signed in on My Profile; the name is
+// queued like a powerup purchase and reaches the other screens once a teacher
+// approves and syncs it. The group detail view shows the same
+// list for its group.
+
+// List a group's pets, earned ones first, with form, name, power and uses
+function petCompanionList(group, points, records = petRecords(), period = currentPetUsePeriod()) {
+  const list = document.createElement('div');
+  list.className = 'pet-companions';
+  const { earned, locked } = petsEarnedForPoints(points, scoreboardData.pets || []);
+  earned.concat(locked).forEach((pet) => {
+    const companion = petCompanion(pet, group.id, points, records, period);
+    const row = document.createElement('div');
+    row.className = 'shop-row pet-companion' + (companion.earned ? '' : ' locked');
+    const info = document.createElement('div');
+    const title = document.createElement('p');
+    title.className = 'pet-companion-name';
+    const form = companion.form.stage;
+    title.textContent = companion.nickname ? tr('pets.nicknamed', { name: companion.nickname, form: form.name }) : form.name;
+    const growth = document.createElement('p');
+    growth.className = 'small';
+    if (!companion.earned) {
+      growth.textContent = tr('pets.unlocksAt', { n: pet.threshold || 0 });
+    } else if (companion.form.next) {
+      growth.textContent = trCount('pets.toEvolve', companion.form.next.threshold - points, {
+        stage: companion.form.index + 1,
+        count: companion.form.count,
+        form: [companion.form.next.emoji, companion.form.next.name].filter(Boolean).join(' ')
+      });
+    } else {
+      growth.textContent = companion.form.count > 1 ? tr('pets.fullyEvolved') : tr('pets.earned');
+    }
+    info.append(title, growth);
+    if (localized(pet, 'desc')) {
+      const power = document.createElement('p');
+      power.className = 'small';
+      power.textContent = localized(pet, 'desc');
+      info.appendChild(power);
+    }
+    if (companion.earned) {
+      const uses = document.createElement('p');
+      uses.className = 'small pet-uses';
+      uses.textContent = `${localized(pet, 'name')} ${petUsesText(companion)}`;
+      info.appendChild(uses);
+    }
+    row.append(createPetChip(pet, !companion.earned, companion), info);
+    if (companion.earned && canNamePets(group)) {
+      const nameBtn = document.createElement('button');
+      nameBtn.className = 'btn pet-name-btn';
+      nameBtn.textContent = companion.nickname ? tr('pets.rename') : tr('pets.name');
+      nameBtn.addEventListener('click', () => {
+        const name = window.prompt(tr('pets.namePrompt', { group: localized(group, 'name'), form: form.name, max: PET_NAME_MAX }),
+          companion.nickname);
+        if (name === null) return;
+        try {
+          namePet(group, pet.id, name);
+        } catch (err) {
+          window.alert(err.message);
+        }
+      });
+      row.appendChild(nameBtn);
+    }
+    list.appendChild(row);
+  });
+  return list;
+}
+
+// Render one card per group of the hour context with its pet collection,
+// the group with the most points first
+function renderPetGallery() {
+  const container = document.getElementById('petGallery');
+  if (!container) return;
+  container.innerHTML = '';
+  if ((scoreboardData.pets || []).length === 0) {
+    container.innerHTML = `<div class="no-data">${escapeHtml(tr('pets.noneDefined'))}</div>`;
+    return;
+  }
+  const totals = computeGroupTotals();
+  const records = petRecords();
+  const period = currentPetUsePeriod();
+  scoreboardData.groups
+    .filter(groupInHourContext)
+    .sort((a, b) => (totals[b.id] || 0) - (totals[a.id] || 0))
+    .forEach((g) => {
+      const card = document.createElement('div');
+      card.className = 'card group-accent';
+      card.setAttribute('data-group', g.id);
+      const heading = document.createElement('h3');
+      heading.style.color = safeColor(g.color);
+      heading.textContent = localized(g, 'name');
+      const summary = document.createElement('p');
+      summary.className = 'small';
+      const owned = (scoreboardData.pets || []).filter((p) => (totals[g.id] || 0) >= (p.threshold || 0)).length;
+      summary.textContent = tr('pets.gallerySummary', { owned, count: scoreboardData.pets.length }) +
+        ' · ' + trCount('points.total', totals[g.id] || 0);
+      card.append(heading, summary, petCompanionList(g, totals[g.id] || 0, records, period));
+      container.appendChild(card);
+    });
+}
+
+// -----------------------------------------------------------------------------
+//  Hour Context
+//
+// Each class period ("hour") runs its own competition, so the whole app can
+// be scoped to one hour: the group and student boards, achievements and
+// level-ups, display mode and the teacher portal's selectors. The hour is
+// picked in the header, remembered per device in localStorage, and can be set
+// with ?hour=<id> (or ?hour=all) so each period's projector can be
+// bookmarked. Hours and their labels come from scoreboardData.hours; without
+// it they are collected from the groups' `hour` fields.
+
+const HOUR_CONTEXT_KEY = 'lmh_hour';
+
+// List the known hours as { id, label }, in data order
+function listHours() {
+  if (Array.isArray(scoreboardData.hours) && scoreboardData.hours.length > 0) {
+    return scoreboardData.hours.map((h) => ({ id: h.id, label: localized(h, 'label') || hourLabel(h.id) }));
+  }
+  const ids = new Set();
+  scoreboardData.groups.forEach((g) => {
+    if (g.hour) ids.add(g.hour);
+  });
+  scoreboardData.students.forEach((s) => {
+    if (s.classId) ids.add(s.classId);
+  });
+  return Array.from(ids).sort().map((id) => ({ id, label: hourLabel(id) }));
+}
+
+// Friendly label for an hour id, taken from scoreboardData.hours when it is
+// listed there, else formatted from the id: "hour1" -> "Hour 1" etc.
+function hourLabel(cid) {
+  const known = (scoreboardData && scoreboardData.hours || []).find((h) => h.id === cid);
+  if (known && localized(known, 'label')) return localized(known, 'label');
+  const label = cid.replace(/^hour/i, tr('hour.word') + ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+// The hour every view is scoped to, or null for all hours
+function currentHour() {
+  const select = document.getElementById('hourContext');
+  return select && select.value && select.value !== 'all' ? select.value : null;
+}
+
+// Whether a group belongs to the current hour context
+function groupInHourContext(g) {
+  const hour = currentHour();
+  return !hour || g.hour === hour;
+}
+
+// Whether a student belongs to the current hour context, or to the given
+// hour. Students without a classId are placed by their group's hour.
+function studentInHourContext(s, hour = currentHour()) {
+  if (!hour) return true;
+  const group = groupById[s.groupId];
+  return (s.classId || (group && group.hour)) === hour;
+}
+
+// Fill the header's hour selector, choose the starting hour (URL parameter,
+// then the saved choice) and re-render everything when it changes. Other
+// scripts can listen for the "scoreboard:hourchange" event on document.
+function setupHourContext() {
+  const select = document.getElementById('hourContext');
+  if (!select) return;
+  fillHourOptions();
+  const hours = listHours();
+  const fromUrl = new URLSearchParams(window.location.search).get('hour');
+  let saved = null;
+  try {
+    saved = localStorage.getItem(HOUR_CONTEXT_KEY);
+  } catch (e) {
+    saved = null;
+  }
+  const initial = [fromUrl, saved].find((h) => h && (h === 'all' || hours.some((x) => x.id === h)));
+  select.value = initial || 'all';
+  if (fromUrl && initial === fromUrl) {
+    saveHourContext(fromUrl);
+  }
+  select.addEventListener('change', () => {
+    saveHourContext(select.value);
+    fillGroupFilterOptions();
+    renderGroupLeaderboard();
+    renderStudentLeaderboard();
+    checkCelebrations();
+    document.dispatchEvent(new CustomEvent('scoreboard:hourchange', { detail: { hour: currentHour() } }));
+  });
+}
+
+// (Re)fill the hour selector in the current language, keeping its value
+function fillHourOptions() {
+  const select = document.getElementById('hourContext');
+  if (!select) return;
+  const selected = select.value;
+  select.innerHTML = '';
+  select.appendChild(new Option(tr('hour.all'), 'all'));
+  listHours().forEach((h) => select.appendChild(new Option(h.label, h.id)));
+  if (selected) select.value = selected;
+}
+
+// Remember the chosen hour on this device
+function saveHourContext(hour) {
+  try {
+    localStorage.setItem(HOUR_CONTEXT_KEY, hour);
+  } catch (e) {
+    /* ignore localStorage issues */
+  }
+}
+
+// -----------------------------------------------------------------------------
+//  Reason Catalog
+//
+// scoreboardData.reasons lists the standard reasons for points:
+//
+//   { "id": "boss_battle", "label": "Boss Battle", "category": "bonus", "delta": 10 }
+//
+// The teacher portal offers them as quick picks that fill in the points and
+// stores the picked reason's id on the transaction as `reasonId`, so reports
+// can group points by category. Transactions without a reasonId (older or
+// hand-written ones) are matched to the catalog by their reason text.
+
+const REASON_CATEGORIES = [
+  { id: 'academic', label: 'Academic' },
+  { id: 'behavior', label: 'Behavior' },
+  { id: 'bonus', label: 'Bonus' },
+  { id: 'penalty', label: 'Penalty' }
+];
+
+// Name of a reason category in the current language
+function reasonCategoryLabel(id) {
+  return tr(`category.${id}`);
+}
+
+// The reason a transaction was given, in the current language: the label of
+// the catalog reason its reasonId names, else the text it was saved with
+function transactionReason(t) {
+  const reason = t.reasonId && findReason(t.reasonId);
+  return reason ? localized(reason, 'label') : t.reason || '';
+}
+
+// Find a catalog reason by id
+function findReason(id) {
+  return (scoreboardData.reasons || []).find((r) => r.id === id) || null;
+}
+
+// Find the catalog reason whose label, in any language, matches a reason
+// text, ignoring case and spacing
+function findReasonByLabel(text) {
+  const normalize = (label) => String(label || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  const key = normalize(text);
+  if (!key) return null;
+  return (scoreboardData.reasons || []).find((r) => localizedVersions(r, 'label').some((l) => normalize(l) === key)) || null;
+}
+
+// The catalog reason a transaction was given for, or null
+function reasonForTransaction(t) {
+  return (t.reasonId && findReason(t.reasonId)) || findReasonByLabel(t.reason);
+}
+
+// Sum points by reason category in REASON_CATEGORIES order. Powerup purchases
+// and reasons outside the catalog get headings of their own.
+function pointsByCategory(transactions) {
+  const sums = {};
+  transactions.forEach((t) => {
+    if (!t.delta) return;
+    const reason = t.kind === 'purchase' ? null : reasonForTransaction(t);
+    const key = t.kind === 'purchase' ? 'powerups' : reason ? reason.category : 'other';
+    sums[key] = (sums[key] || 0) + t.delta;
   });
-  // After rendering, check for milestone achievements and celebrate
-  const totalsArray = scoreboardData.groups.map((grp) => ({ groupId: grp.id, points: totals[grp.id] || 0 }));
-  checkMilestonesAndCelebrate(totalsArray);
+  return REASON_CATEGORIES.concat([{ id: 'powerups' }, { id: 'other' }])
+    .filter((c) => sums[c.id])
+    .map((c) => ({ label: reasonCategoryLabel(c.id), points: sums[c.id] }));
 }
 
-// Render the student leaderboard
-function renderStudentLeaderboard() {
-  const list = document.getElementById('studentsList');
-  const searchInput = document.getElementById('studentSearch');
-  const groupFilter = document.getElementById('groupFilter');
-  list.innerHTML = '';
-  const totals = computeStudentTotals();
-  // Build array with computed points
-  let students = scoreboardData.students.map((s) => {
-    return Object.assign({}, s, { points: totals[s.id] || 0 });
+// -----------------------------------------------------------------------------
+//  Trends
+//
+// The Trends card on the Groups tab charts each group's cumulative points by
+// transaction date and breaks the points down by reason category (see the
+// Reason Catalog section) and by reason; My Profile shows a
+// sparkline of the student's own points. The charts are SVG built here, so
+// they work offline and from file://. They follow the hour context and the
+// Groups tab's period. Transactions without a YYYY-MM-DD date cannot be
+// placed on the time axis and are left out of the line charts.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TREND_CHART_WIDTH = 640;
+const TREND_CHART_HEIGHT = 240;
+// Reasons listed in the breakdown before the rest are pooled as "Other"
+const REASON_BREAKDOWN_LIMIT = 10;
+
+// Create an SVG element with the given attributes
+function svgElement(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs).forEach((name) => el.setAttribute(name, attrs[name]));
+  return el;
+}
+
+// Running point totals by date for the given group or student ids. `key` is
+// the transaction field to sum by ('groupId' or 'studentId'). Returns the
+// sorted dates and, per id, the total at the end of each date.
+function cumulativePointsByDate(key, ids, range) {
+  const wanted = new Set(ids);
+  const byDate = {};
+  countedTransactions().forEach((t) => {
+    if (!wanted.has(t[key]) || !/^\d{4}-\d{2}-\d{2}$/.test(t.date || '') || !inDateRange(t, range)) return;
+    byDate[t.date] = byDate[t.date] || {};
+    byDate[t.date][t[key]] = (byDate[t.date][t[key]] || 0) + t.delta;
   });
-  // Filter by group if selected
-  if (groupFilter.value && groupFilter.value !== 'all') {
-    students = students.filter((s) => s.groupId === groupFilter.value);
-  }
-  // Filter by class/hour if selected
-  const classFilter = document.getElementById('classFilter');
-  if (classFilter && classFilter.value && classFilter.value !== 'all') {
-    students = students.filter((s) => (s.classId || 'all') === classFilter.value);
-  }
-  // Filter by search string
-  const q = searchInput.value.trim().toLowerCase();
-  if (q) {
-    students = students.filter((s) => s.name.toLowerCase().includes(q));
-  }
-  // Sort by points desc
-  students.sort((a, b) => b.points - a.points);
-  if (students.length === 0) {
-    const msg = document.createElement('div');
-    msg.className = 'no-data';
-    msg.textContent = 'No students found.';
-    list.appendChild(msg);
-    return;
+  const dates = Object.keys(byDate).sort();
+  const series = {};
+  ids.forEach((id) => {
+    let running = 0;
+    series[id] = dates.map((d) => (running += byDate[d][id] || 0));
+  });
+  return { dates, series };
+}
+
+// Round axis steps to 1, 2 or 5 times a power of ten
+function niceStep(roughStep) {
+  const power = 10 ** Math.floor(Math.log10(Math.max(roughStep, 1)));
+  const scaled = roughStep / power;
+  return (scaled <= 1 ? 1 : scaled <= 2 ? 2 : scaled <= 5 ? 5 : 10) * power;
+}
+
+// Line chart with one line per { label, color, values }, where values has one
+// entry per date
+function lineChartSvg(dates, lines) {
+  const width = TREND_CHART_WIDTH;
+  const height = TREND_CHART_HEIGHT;
+  const pad = { left: 44, right: 16, top: 12, bottom: 28 };
+  const values = lines.flatMap((l) => l.values).concat(0);
+  const step = niceStep((Math.max(...values) - Math.min(...values)) / 4);
+  const min = Math.floor(Math.min(...values) / step) * step;
+  const max = Math.max(Math.ceil(Math.max(...values) / step) * step, min + step);
+  const x = (i) => +(pad.left + (dates.length > 1 ? i / (dates.length - 1) : 0.5) * (width - pad.left - pad.right)).toFixed(1);
+  const y = (v) => +(pad.top + ((max - v) / (max - min)) * (height - pad.top - pad.bottom)).toFixed(1);
+  const svg = svgElement('svg', { class: 'trend-chart', viewBox: `0 0 ${width} ${height}`, role: 'img' });
+  const axisTitle = svgElement('title', {});
+  axisTitle.textContent = tr('trends.axisTitle', { from: formatDate(dates[0]), to: formatDate(dates[dates.length - 1]) });
+  svg.appendChild(axisTitle);
+  for (let v = min; v <= max; v += step) {
+    svg.appendChild(svgElement('line', { class: v === 0 ? 'trend-zero' : 'trend-grid', x1: pad.left, x2: width - pad.right, y1: y(v), y2: y(v) }));
+    const label = svgElement('text', { class: 'trend-axis', x: pad.left - 6, y: y(v) + 4, 'text-anchor': 'end' });
+    label.textContent = formatNumber(v);
+    svg.appendChild(label);
   }
-  students.forEach((s, index) => {
-    const card = document.createElement('div');
-    card.className = 'card';
-    const group = scoreboardData.groups.find((g) => g.id === s.groupId);
-    // Build powerup badges
-    let powerupsHtml = '';
-    if (s.powerups && s.powerups.length > 0) {
-      s.powerups.forEach((pid) => {
-        const p = scoreboardData.powerups.find((x) => x.id === pid);
-        if (p) {
-          powerupsHtml += `<span class="badge" style="background-color: #6b7280;">${p.label}</span>`;
-        }
-      });
-    } else {
-      powerupsHtml = '<span class="small">No powerups</span>';
-    }
-    card.innerHTML = `
-      <h3>${s.name} <span class="chip" style="background-color:${group.color}">${group.name}</span></h3>
-      <p><strong>${s.points}</strong> points • Level ${s.level}</p>
-      <div class="powerups">${powerupsHtml}</div>
-      <p class="small">Rank #${index + 1}</p>
-    `;
-    list.appendChild(card);
+  // Date labels at the start, middle and end of the axis
+  Array.from(new Set([0, Math.floor((dates.length - 1) / 2), dates.length - 1])).forEach((i) => {
+    const anchor = dates.length === 1 ? 'middle' : i === 0 ? 'start' : i === dates.length - 1 ? 'end' : 'middle';
+    const label = svgElement('text', { class: 'trend-axis', x: x(i), y: height - 8, 'text-anchor': anchor });
+    label.textContent = formatDate(dates[i]);
+    svg.appendChild(label);
+  });
+  lines.forEach((line) => {
+    const points = line.values.map((v, i) => `${x(i)},${y(v)}`).join(' ');
+    const path = svgElement('polyline', { class: 'trend-line', points, stroke: line.color });
+    const title = svgElement('title', {});
+    title.textContent = `${line.label}: ${formatNumber(line.values[line.values.length - 1])}`;
+    path.appendChild(title);
+    svg.appendChild(path);
+    const last = line.values.length - 1;
+    svg.appendChild(svgElement('circle', { cx: x(last), cy: y(line.values[last]), r: 3, fill: line.color }));
   });
+  return svg;
 }
 
-// Set up the profile lookup functionality
-function setupProfileLookup() {
-  const codeInput = document.getElementById('codeInput');
-  const profileArea = document.getElementById('profileArea');
-  const profileInfo = document.getElementById('profileInfo');
-  const profileTx = document.getElementById('profileTransactions');
-  const noStudentMsg = document.getElementById('noStudent');
+// Small line of a running total, for My Profile
+function sparklineSvg(values, color) {
+  const width = 160;
+  const height = 36;
+  const min = Math.min(0, ...values);
+  const span = Math.max(...values, 0) - min || 1;
+  const x = (i) => +(2 + (values.length > 1 ? i / (values.length - 1) : 0.5) * (width - 4)).toFixed(1);
+  const y = (v) => +(2 + ((span - (v - min)) / span) * (height - 4)).toFixed(1);
+  const svg = svgElement('svg', { class: 'sparkline', viewBox: `0 0 ${width} ${height}`, role: 'img' });
+  svg.appendChild(svgElement('polyline', {
+    class: 'trend-line',
+    points: values.map((v, i) => `${x(i)},${y(v)}`).join(' '),
+    stroke: color
+  }));
+  return svg;
+}
 
-  // Save last used code so returning user sees their data automatically
-  const saved = window.localStorage.getItem('student_code');
-  if (saved) {
-    codeInput.value = saved;
-  }
-  function lookup() {
-    const code = codeInput.value.trim().toLowerCase();
-    if (!code) {
-      profileArea.style.display = 'none';
-      noStudentMsg.style.display = 'block';
-      return;
-    }
-    const student = scoreboardData.students.find((s) => s.code.toLowerCase() === code);
-    if (!student) {
-      profileArea.style.display = 'none';
-      noStudentMsg.style.display = 'block';
-      noStudentMsg.textContent = 'No student found for that code.';
-      return;
-    }
-    // Persist code for convenience
-    window.localStorage.setItem('student_code', student.code);
-    noStudentMsg.style.display = 'none';
-    profileArea.style.display = 'block';
-    // Compute student's total points
-    const totals = computeStudentTotals();
-    const total = totals[student.id] || 0;
-    // Build profile info
-    const group = scoreboardData.groups.find((g) => g.id === student.groupId);
-    let powerupsHtml = '';
-    if (student.powerups && student.powerups.length > 0) {
-      student.powerups.forEach((pid) => {
-        const p = scoreboardData.powerups.find((x) => x.id === pid);
-        if (p) {
-          powerupsHtml += `<span class="badge" style="background-color: #6b7280;">${p.label}</span>`;
-        }
-      });
-    } else {
-      powerupsHtml = '<span class="small">No powerups</span>';
-    }
-    profileInfo.innerHTML = `
-      <h3>${student.name} <span class="chip" style="background-color:${group.color}">${group.name}</span></h3>
-      <p><strong>${total}</strong> points • Level ${student.level}</p>
-      <div class="powerups">${powerupsHtml}</div>
-      <p class="small">Student Code: <span style="font-family: monospace;">${student.code}</span></p>
-    `;
-    // Build transaction list
-    const txList = scoreboardData.transactions
-      .filter((t) => t.studentId === student.id)
-      .sort((a, b) => (a.date < b.date ? 1 : -1));
-    profileTx.innerHTML = '';
-    if (txList.length === 0) {
-      const row = document.createElement('div');
-      row.className = 'no-data';
-      row.textContent = 'No recent activity.';
-      profileTx.appendChild(row);
-    } else {
-      txList.forEach((t) => {
-        const row = document.createElement('div');
-        row.className = 'card';
-        row.style.padding = '0.5rem';
-        row.style.marginBottom = '0.5rem';
-        const deltaColor = t.delta >= 0 ? '#059669' : '#dc2626';
-        const sign = t.delta >= 0 ? '+' : '';
-        row.innerHTML = `
-          <div style="display:flex; justify-content:space-between; align-items:center;">
-            <div>
-              <p style="margin:0; font-weight:600; font-size:0.875rem;">${t.reason}</p>
-              <p class="small">${t.date}</p>
-            </div>
-            <div style="color:${deltaColor}; font-weight:600; font-size:0.875rem;">${sign}${t.delta}</div>
-          </div>
-        `;
-        profileTx.appendChild(row);
-      });
-    }
+// Sum points by reason, biggest first. Powerup purchases are pooled under
+// one heading and the smallest reasons under "Other".
+function pointsByReason(transactions) {
+  const sums = {};
+  transactions.forEach((t) => {
+    if (!t.delta) return;
+    const reason = t.kind === 'purchase' ? reasonCategoryLabel('powerups') : transactionReason(t).trim() || tr('trends.noReason');
+    sums[reason] = (sums[reason] || 0) + t.delta;
+  });
+  const rows = Object.keys(sums)
+    .map((reason) => ({ label: reason, points: sums[reason] }))
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+  if (rows.length <= REASON_BREAKDOWN_LIMIT) return rows;
+  const other = rows.slice(REASON_BREAKDOWN_LIMIT - 1).reduce((sum, r) => sum + r.points, 0);
+  return rows.slice(0, REASON_BREAKDOWN_LIMIT - 1).concat([{ label: tr('trends.other'), points: other }]);
+}
+
+// Draw { label, points } rows as horizontal bars
+function renderPointBars(container, rows) {
+  container.innerHTML = '';
+  if (rows.length === 0) {
+    container.innerHTML = `<div class="no-data">${escapeHtml(tr('trends.noPoints'))}</div>`;
+    return;
   }
-  // Trigger lookup when input changes or on enter key
-  codeInput.addEventListener('input', lookup);
-  codeInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      lookup();
-    }
+  const largest = Math.max(...rows.map((r) => Math.abs(r.points)));
+  rows.forEach((r) => {
+    const row = document.createElement('div');
+    row.className = 'reason-row';
+    const label = document.createElement('span');
+    label.className = 'reason-label';
+    label.textContent = r.label;
+    const bar = document.createElement('div');
+    bar.className = 'reason-bar';
+    const fill = document.createElement('div');
+    fill.className = r.points < 0 ? 'reason-bar-fill negative' : 'reason-bar-fill';
+    fill.style.width = `${largest ? (Math.abs(r.points) / largest) * 100 : 0}%`;
+    bar.appendChild(fill);
+    const value = document.createElement('span');
+    value.className = 'reason-value';
+    value.textContent = formatSigned(r.points);
+    row.append(label, bar, value);
+    container.appendChild(row);
   });
-  // If code pre-filled then show immediately
-  if (codeInput.value) {
-    lookup();
+}
+
+// Fill the Trends card for the groups of the current hour and the Groups
+// tab's period
+function renderTrends() {
+  const chart = document.getElementById('groupTrendChart');
+  const legend = document.getElementById('groupTrendLegend');
+  const categories = document.getElementById('categoryBreakdown');
+  const reasons = document.getElementById('reasonBreakdown');
+  if (!chart || !legend || !categories || !reasons) return;
+  const range = selectedPeriodRange('group');
+  const groups = scoreboardData.groups.filter(groupInHourContext);
+  const { dates, series } = cumulativePointsByDate('groupId', groups.map((g) => g.id), range);
+  chart.innerHTML = '';
+  legend.innerHTML = '';
+  if (dates.length === 0) {
+    chart.innerHTML = `<div class="no-data">${escapeHtml(tr('trends.noDates'))}</div>`;
   } else {
-    profileArea.style.display = 'none';
-    noStudentMsg.style.display = 'block';
+    const lines = groups.map((g) => ({ label: localized(g, 'name'), color: safeColor(g.color), values: series[g.id] }));
+    chart.appendChild(lineChartSvg(dates, lines));
+    lines
+      .sort((a, b) => b.values[b.values.length - 1] - a.values[a.values.length - 1])
+      .forEach((line) => {
+        const key = document.createElement('span');
+        key.className = 'trend-key';
+        const swatch = document.createElement('span');
+        swatch.className = 'trend-swatch';
+        swatch.style.backgroundColor = line.color;
+        key.append(swatch, `${line.label} ${formatNumber(line.values[line.values.length - 1])}`);
+        legend.appendChild(key);
+      });
   }
+  const groupIds = new Set(groups.map((g) => g.id));
+  const counted = countedTransactions().filter((t) => groupIds.has(t.groupId) && inDateRange(t, range));
+  renderPointBars(categories, pointsByCategory(counted));
+  renderPointBars(reasons, pointsByReason(counted));
 }
 
-// Setup tab switching for navigation
-function setupTabSwitching() {
-  const buttons = document.querySelectorAll('.tab-buttons button');
-  const sections = document.querySelectorAll('.section');
-  buttons.forEach((btn) => {
-    btn.addEventListener('click', () => {
-      // Activate button
-      buttons.forEach((b) => b.classList.remove('active'));
-      btn.classList.add('active');
-      // Show corresponding section
-      const target = btn.getAttribute('data-target');
-      sections.forEach((sec) => {
-        if (sec.id === target) {
-          sec.classList.add('active');
-        } else {
-          sec.classList.remove('active');
-        }
-      });
+// -----------------------------------------------------------------------------
+//  Rank Animations
+//
+// Group cards slide from their old position to their new one when a re-render
+// changes the order (a FLIP animation: measure, re-render, invert, play).
+
+// Record the on-screen top of every card in a container, keyed by data-group
+function captureCardPositions(container) {
+  const positions = {};
+  container.querySelectorAll('[data-group]').forEach((card) => {
+    positions[card.getAttribute('data-group')] = card.getBoundingClientRect().top;
+  });
+  return positions;
+}
+
+// Start each re-rendered card at its previous position and let it transition
+// to where it is now. Cards that did not move, or were not shown before, are
+// left alone.
+function animateCardReorder(container, previousPositions) {
+  const moved = [];
+  container.querySelectorAll('[data-group]').forEach((card) => {
+    const before = previousPositions[card.getAttribute('data-group')];
+    if (before === undefined) return;
+    const dy = before - card.getBoundingClientRect().top;
+    if (Math.abs(dy) < 1) return;
+    card.style.transition = 'none';
+    card.style.transform = `translateY(${dy}px)`;
+    moved.push(card);
+  });
+  if (moved.length === 0) return;
+  requestAnimationFrame(() => {
+    moved.forEach((card) => {
+      card.classList.add('rank-moving');
+      card.style.transition = 'transform 0.8s cubic-bezier(0.2, 0.8, 0.2, 1)';
+      card.style.transform = '';
     });
+    setTimeout(() => {
+      moved.forEach((card) => card.classList.remove('rank-moving'));
+    }, 900);
   });
-  // Default open first tab
-  if (buttons.length > 0) {
-    buttons[0].click();
-  }
 }
 
-// Populate the group filter dropdown and attach event handlers. This is
-// called once after scoreboardData has been parsed. It also attaches
-// listeners to refresh the student leaderboard when the search or filter
-// inputs change.
-function populateGroupFilter() {
-  const filter = document.getElementById('groupFilter');
-  // Clear any existing options except the first (All groups)
-  while (filter.options.length > 1) {
-    filter.remove(1);
+// -----------------------------------------------------------------------------
+//  Display Mode
+//
+// Opening the page with ?display=1 turns it into a projector view: controls
+// are hidden, group cards are enlarged, and the page rotates between the
+// group board, the top students of each hour and the latest transactions.
+// Optional parameters:
+//
+//   rotate=<seconds>   time on each view (default 20, 0 to stay on one view)
+//   views=<list>       comma-separated subset of groups,top,recent,pets, and
+//                      group for the group named in a #/groups/<id> hash
+//
+// Data is refreshed in the background through the teacher portal's Sheet
+// pull while the display is running.
+
+const DISPLAY_VIEWS = {
+  groups: { section: 'groups', render: () => renderGroupLeaderboard() },
+  group: { section: 'group-detail', render: () => renderGroupDetail() },
+  top: { section: 'display-top', render: () => renderTopStudentsByHour() },
+  recent: { section: 'display-recent', render: () => renderRecentTransactions() },
+  pets: { section: 'pets', render: () => renderPetGallery() }
+};
+const DISPLAY_REFRESH_MS = 15 * 1000;
+
+// Turn on display mode if the URL asks for it
+function setupDisplayMode() {
+  const params = new URLSearchParams(window.location.search);
+  const flag = params.get('display');
+  if (!flag || flag === '0' || flag === 'false') return;
+  document.body.classList.add('display-mode');
+  const rotateSeconds = params.has('rotate') ? parseFloat(params.get('rotate')) : 20;
+  // A #/groups/<id> link shows just that group's detail view unless views= says otherwise
+  let views = (params.get('views') || (groupIdFromHash() ? 'group' : 'groups,top,recent'))
+    .split(',')
+    .map((v) => v.trim())
+    .filter((v) => DISPLAY_VIEWS[v]);
+  if (views.length === 0) views = ['groups'];
+  let current = 0;
+  function show(index) {
+    const view = DISPLAY_VIEWS[views[index]];
+    document.querySelectorAll('.section').forEach((sec) => {
+      sec.classList.toggle('active', sec.id === view.section);
+    });
+    view.render();
   }
-  scoreboardData.groups.forEach((g) => {
-    const option = document.createElement('option');
-    option.value = g.id;
-    option.textContent = g.name;
-    filter.appendChild(option);
+  show(current);
+  if (rotateSeconds > 0 && views.length > 1) {
+    setInterval(() => {
+      current = (current + 1) % views.length;
+      show(current);
+    }, rotateSeconds * 1000);
+  }
+  // Keep the data fresh without reloading the page
+  setInterval(() => {
+    if (typeof loadLatestTransactions === 'function') {
+      loadLatestTransactions().then(() => {
+        // Groups re-render on change; the other views are rebuilt here
+        if (views[current] !== 'groups') DISPLAY_VIEWS[views[current]].render();
+      });
+    }
+  }, DISPLAY_REFRESH_MS);
+}
+
+// Render the top five students of every hour in the context side by side
+function renderTopStudentsByHour() {
+  const container = document.getElementById('displayTopStudents');
+  if (!container) return;
+  container.innerHTML = '';
+  const totals = computeStudentTotals();
+  const hours = listHours().filter((h) => !currentHour() || h.id === currentHour());
+  hours.forEach((hour) => {
+    const column = document.createElement('div');
+    column.className = 'card';
+    column.innerHTML = `<h3>${escapeHtml(hour.label)}</h3>`;
+    scoreboardData.students
+      .filter((s) => studentInHourContext(s, hour.id))
+      .sort((a, b) => (totals[b.id] || 0) - (totals[a.id] || 0))
+      .slice(0, 5)
+      .forEach((s, index) => {
+        const row = document.createElement('div');
+        row.className = 'top-student';
+        row.innerHTML = `
+          <span class="top-rank">#${index + 1}</span>
+          <span class="top-name">${escapeHtml(s.name)}</span>
+          ${groupChipHtml(s.groupId)}
+          <strong>${escapeHtml(formatNumber(totals[s.id] || 0))}</strong>
+        `;
+        column.appendChild(row);
+      });
+    container.appendChild(column);
   });
-  filter.addEventListener('change', renderStudentLeaderboard);
-  const searchInput = document.getElementById('studentSearch');
-  searchInput.addEventListener('input', renderStudentLeaderboard);
 }
 
-// Populate the class/hour filter dropdown based on student data. Each unique
-// `classId` found on students will become an option. If no element with
-// id="classFilter" exists in the DOM, this function does nothing.
-function populateClassFilter() {
-  const filter = document.getElementById('classFilter');
-  if (!filter) return;
-  // Remove existing options except the first (All hours)
-  while (filter.options.length > 1) {
-    filter.remove(1);
-  }
-  const seen = new Set();
-  // Collect classIds from students
+// Render the latest transactions across every group, newest first
+function renderRecentTransactions() {
+  const container = document.getElementById('displayRecent');
+  if (!container) return;
+  container.innerHTML = '';
+  const studentsById = {};
   scoreboardData.students.forEach((s) => {
-    if (s.classId) {
-      seen.add(s.classId);
-    }
+    studentsById[s.id] = s;
   });
-  // Sort the identifiers for stability
-  const ids = Array.from(seen).sort();
-  ids.forEach((cid) => {
-    const option = document.createElement('option');
-    option.value = cid;
-    // Format display: convert "hour1" -> "Hour 1" etc.
-    const label = cid.replace(/^hour/i, 'Hour ');
-    option.textContent = label.charAt(0).toUpperCase() + label.slice(1);
-    filter.appendChild(option);
+  const recent = countedTransactions()
+    .map((t, i) => ({ t, i }))
+    .filter((e) => e.t.kind !== 'redeem' && !PET_RECORD_KINDS.includes(e.t.kind) &&
+      groupById[e.t.groupId] && groupInHourContext(groupById[e.t.groupId]))
+    .sort((a, b) => (a.t.date < b.t.date ? 1 : a.t.date > b.t.date ? -1 : b.i - a.i))
+    .slice(0, 12);
+  if (recent.length === 0) {
+    container.innerHTML = `<div class="no-data">${escapeHtml(tr('activity.none'))}</div>`;
+    return;
+  }
+  recent.forEach(({ t }) => {
+    const student = studentsById[t.studentId];
+    const group = groupById[t.groupId];
+    const row = document.createElement('div');
+    row.className = 'card recent-row';
+    const deltaColor = t.delta >= 0 ? '#059669' : '#dc2626';
+    const chip = group
+      ? `<span class="chip" style="background-color:${safeColor(group.color)}">${escapeHtml(localized(group, 'name'))}</span>`
+      : '';
+    row.innerHTML = `
+      <div>
+        <p style="margin:0; font-weight:800;">${escapeHtml(student ? student.name : t.studentId || tr('group.whole'))}
+          ${chip}</p>
+        <p class="small">${escapeHtml(transactionReason(t))} • ${escapeHtml(formatDate(t.date))}</p>
+      </div>
+      <div class="recent-delta" style="color:${deltaColor};">${escapeHtml(formatSigned(t.delta))}</div>
+    `;
+    container.appendChild(row);
   });
-  filter.addEventListener('change', renderStudentLeaderboard);
 }
 
 // Launch a confetti animation using a full-screen canvas. Inspired by
@@ -500,37 +3216,283 @@ function launchConfetti(durationMs = 1200, count = 220) {
   requestAnimationFrame(frame);
 }
 
-// Celebrate milestones when group totals exceed multiples of 25 points. It
-// compares the current totals to previously saved totals in localStorage
-// and triggers a confetti burst if any group crosses a new threshold.
-function checkMilestonesAndCelebrate(groupTotals) {
-  const storageKey = 'lmh_group_points';
-  let prevTotals = {};
+// Show a short-lived banner at the top of the screen announcing an
+// achievement. Several banners stack if they arrive together.
+function showCelebrationBanner(text) {
+  let stack = document.getElementById('celebrationBanners');
+  if (!stack) {
+    stack = document.createElement('div');
+    stack.id = 'celebrationBanners';
+    stack.className = 'celebration-banners';
+    document.body.appendChild(stack);
+  }
+  const banner = document.createElement('div');
+  banner.className = 'celebration-banner';
+  banner.textContent = text;
+  stack.appendChild(banner);
+  setTimeout(() => {
+    banner.remove();
+  }, 5000);
+}
+
+// Celebrate progress that is new since this device last checked. Runs once
+// the data has loaded, whenever transactions are added or pulled and when the
+// hour changes; the render functions stay free of it, as they also run on
+// every search keystroke and filter change.
+function checkCelebrations() {
+  checkLevelUpsAndCelebrate(computeStudentLevels());
+  checkMilestonesAndCelebrate(computeGroupAchievements());
+}
+
+// Celebrate students of the current hour who reached a new level since this
+// device last checked. Levels are remembered in localStorage, only for the
+// students shown, so another hour's level-ups wait until that hour is picked;
+// students seen for the first time are recorded without a celebration so a
+// fresh device does not announce every existing level at once.
+function checkLevelUpsAndCelebrate(levels) {
+  const storageKey = 'lmh_student_levels';
+  let prevLevels = null;
   try {
-    prevTotals = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    prevLevels = JSON.parse(localStorage.getItem(storageKey) || 'null');
   } catch (e) {
-    prevTotals = {};
+    prevLevels = null;
   }
-  let crossed = false;
-  groupTotals.forEach((entry) => {
-    const before = prevTotals[entry.groupId] || 0;
-    const after = entry.points || 0;
-    // Determine thresholds crossed: multiples of 25
-    if (Math.floor(before / 25) < Math.floor(after / 25) && after >= 25) {
-      crossed = true;
-    }
-  });
-  // Persist current totals for next check
+  const leveledUp = [];
   const toSave = {};
-  groupTotals.forEach((entry) => {
-    toSave[entry.groupId] = entry.points || 0;
+  scoreboardData.students.forEach((s) => {
+    const level = levels[s.id].level;
+    const previous = prevLevels && prevLevels[s.id];
+    if (prevLevels && !studentInHourContext(s)) {
+      if (previous) toSave[s.id] = previous;
+      return;
+    }
+    toSave[s.id] = level;
+    if (previous && level > previous) {
+      leveledUp.push(tr('celebrate.levelUp', { student: s.name, level }));
+    }
   });
   try {
     localStorage.setItem(storageKey, JSON.stringify(toSave));
   } catch (e) {
     /* ignore localStorage issues */
   }
-  if (crossed) {
+  if (leveledUp.length > 0) {
+    leveledUp.forEach(showCelebrationBanner);
+    launchConfetti();
+  }
+}
+
+// -----------------------------------------------------------------------------
+//  Milestones
+//
+// Group milestones are defined in scoreboardData.milestones. Each rule has an
+// id, a type and a list of celebrations ("confetti", "banner", "sound"), and
+// may be limited to some groups with `groups: [groupId…]` or `hours: [hour…]`:
+//
+//   { "id": "century",   "type": "threshold", "points": 100, "celebrate": ["banner"] }
+//   { "id": "every_25",  "type": "step", "every": 25, "celebrate": ["confetti"] }
+//   { "id": "pets",      "type": "pet", "celebrate": ["banner", "sound"] }
+//   { "id": "took_lead", "type": "rank", "rank": 1, "celebrate": ["banner"] }
+//
+// Achievements are derived by replaying the transactions in date order, so
+// every device computes the same list from the same data. Only the record of
+// which achievements were already celebrated lives in localStorage.
+
+// Rules used when the data does not define any: confetti every 25 points
+const DEFAULT_MILESTONES = [{ id: 'every_25', type: 'step', every: 25, celebrate: ['confetti'] }];
+
+// localStorage key listing achievement ids this device has already celebrated
+const SEEN_ACHIEVEMENTS_KEY = 'lmh_seen_achievements';
+
+// Whether a milestone rule applies to the given group
+function milestoneAppliesTo(rule, group) {
+  if (Array.isArray(rule.groups) && !rule.groups.includes(group.id)) return false;
+  if (Array.isArray(rule.hours) && !rule.hours.includes(group.hour)) return false;
+  return true;
+}
+
+// Position of a group within its hour, counting every other group with at
+// least as many points as ahead of it. A group is only 1st when it leads
+// outright, so a tie at the start of the year does not count as a lead.
+function groupPosition(groupId, totals) {
+  const group = groupById[groupId];
+  let position = 1;
+  scoreboardData.groups.forEach((g) => {
+    if (g.id !== groupId && g.hour === group.hour && totals[g.id] >= totals[groupId]) {
+      position++;
+    }
+  });
+  return position;
+}
+
+/**
+ * Replay every transaction in date order and collect the group achievements
+ * the milestone rules produce, oldest first.
+ *
+ * @returns {Array<{id: string, groupId: string, date: string, text: string, celebrate: Array<string>, pet: (Object|undefined)}>}
+ */
+function computeGroupAchievements() {
+  const rules = Array.isArray(scoreboardData.milestones) ? scoreboardData.milestones : DEFAULT_MILESTONES;
+  const pets = scoreboardData.pets || [];
+  const totals = {};
+  const positions = {};
+  scoreboardData.groups.forEach((g) => {
+    totals[g.id] = 0;
+  });
+  scoreboardData.groups.forEach((g) => {
+    positions[g.id] = groupPosition(g.id, totals);
+  });
+  const achievements = [];
+  const seen = new Set();
+  const rankCounts = {};
+  function add(id, rule, group, date, text, pet) {
+    if (seen.has(id)) return;
+    seen.add(id);
+    achievements.push({ id, groupId: group.id, date, text, celebrate: rule.celebrate || [], pet });
+  }
+  const ordered = countedTransactions()
+    .map((t, i) => ({ t, i }))
+    .filter((e) => totals.hasOwnProperty(e.t.groupId))
+    .sort((a, b) => (a.t.date < b.t.date ? -1 : a.t.date > b.t.date ? 1 : a.i - b.i));
+  ordered.forEach(({ t }) => {
+    const group = groupById[t.groupId];
+    const name = localized(group, 'name');
+    const before = totals[group.id];
+    const after = before + t.delta;
+    totals[group.id] = after;
+    const position = groupPosition(group.id, totals);
+    const prevPosition = positions[group.id];
+    // Moving up pushes other groups in the hour down one place
+    scoreboardData.groups.forEach((g) => {
+      if (g.hour === group.hour) positions[g.id] = groupPosition(g.id, totals);
+    });
+    rules.forEach((rule) => {
+      if (!milestoneAppliesTo(rule, group)) return;
+      if (rule.type === 'threshold') {
+        if (before < rule.points && after >= rule.points) {
+          add(`${rule.id}:${group.id}`, rule, group, t.date, tr('celebrate.reached', { group: name, points: rule.points }));
+        }
+      } else if (rule.type === 'step' && rule.every > 0) {
+        for (let k = Math.floor(before / rule.every) + 1; k <= Math.floor(after / rule.every); k++) {
+          if (k < 1) continue;
+          const points = k * rule.every;
+          add(`${rule.id}:${group.id}:${points}`, rule, group, t.date, tr('celebrate.reached', { group: name, points }));
+        }
+      } else if (rule.type === 'pet') {
+        pets.forEach((pet) => {
+          const threshold = pet.threshold || 0;
+          if (before < threshold && after >= threshold) {
+            add(`${rule.id}:${group.id}:${pet.id}`, rule, group, t.date,
+              tr('celebrate.petUnlocked', { group: name, pet: `${pet.emoji || '⭐'} ${localized(pet, 'name')}` }), pet);
+          }
+          // Each later stage is an evolution of its own
+          petStages(pet).forEach((stage, i) => {
+            if (i === 0 || !(before < stage.threshold && after >= stage.threshold)) return;
+            add(`${rule.id}:${group.id}:${pet.id}:${i}`, rule, group, t.date,
+              tr('celebrate.petEvolved', { group: name, pet: localized(pet, 'name'), form: `${stage.emoji || '⭐'} ${stage.name}` }),
+              Object.assign({}, pet, stage));
+          });
+        });
+      } else if (rule.type === 'rank') {
+        const rank = rule.rank || 1;
+        if (position <= rank && prevPosition > rank) {
+          const key = `${rule.id}:${group.id}`;
+          rankCounts[key] = (rankCounts[key] || 0) + 1;
+          const text = rank === 1 ? tr('celebrate.lead', { group: name }) : tr('celebrate.top', { group: name, rank });
+          add(`${key}:${rankCounts[key]}`, rule, group, t.date, text);
+        }
+      }
+    });
+  });
+  return achievements;
+}
+
+// Play a short rising fanfare with the Web Audio API (no sound files needed,
+// so it works from file://). Browsers may block audio until the page has been
+// interacted with; in that case it silently does nothing.
+function playCelebrationSound() {
+  const AudioCtx = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtx) return;
+  try {
+    const ctx = new AudioCtx();
+    [523.25, 659.25, 783.99, 1046.5].forEach((freq, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      const start = ctx.currentTime + i * 0.12;
+      osc.type = 'triangle';
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.0001, start);
+      gain.gain.exponentialRampToValueAtTime(0.2, start + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + 0.32);
+    });
+    setTimeout(() => ctx.close(), 1500);
+  } catch (e) {
+    /* ignore audio issues */
+  }
+}
+
+// Run each celebration type requested by a batch of new achievements once
+function celebrateAchievements(achievements) {
+  const kinds = new Set();
+  achievements.forEach((a) => a.celebrate.forEach((c) => kinds.add(c)));
+  if (kinds.has('banner')) {
+    // Cap the stack so a big sync doesn't cover the screen
+    achievements.filter((a) => a.celebrate.includes('banner')).slice(-5).forEach((a) => showCelebrationBanner(a.text));
+  }
+  if (kinds.has('confetti')) {
     launchConfetti();
   }
-}
\ No newline at end of file
+  if (kinds.has('sound')) {
+    playCelebrationSound();
+  }
+}
+
+// Celebrate achievements of the current hour this device has not celebrated
+// before. Only those are marked seen, so another hour's achievements are
+// still celebrated once that hour is picked. On a device's first visit every
+// existing achievement is recorded as seen without a celebration.
+function checkMilestonesAndCelebrate(achievements) {
+  let seen = null;
+  try {
+    seen = JSON.parse(localStorage.getItem(SEEN_ACHIEVEMENTS_KEY) || 'null');
+  } catch (e) {
+    seen = null;
+  }
+  const shown = (a) => groupInHourContext(groupById[a.groupId]);
+  const fresh = seen ? achievements.filter((a) => !seen.includes(a.id) && shown(a)) : [];
+  // Ids of achievements that no longer exist are dropped
+  const nowSeen = seen ? achievements.filter((a) => seen.includes(a.id) || shown(a)) : achievements;
+  try {
+    localStorage.setItem(SEEN_ACHIEVEMENTS_KEY, JSON.stringify(nowSeen.map((a) => a.id)));
+    // Totals used by the old multiples-of-25 check are no longer needed
+    localStorage.removeItem('lmh_group_points');
+  } catch (e) {
+    /* ignore localStorage issues */
+  }
+  if (fresh.length > 0) {
+    celebrateAchievements(fresh);
+  }
+}
+
+// Render the most recent achievements, newest first, on the Groups tab
+function renderAchievementsFeed(achievements) {
+  const feed = document.getElementById('achievementsFeed');
+  if (!feed) return;
+  feed.innerHTML = '';
+  const recent = achievements.filter((a) => groupInHourContext(groupById[a.groupId])).slice(-8).reverse();
+  if (recent.length === 0) {
+    feed.innerHTML = `<div class="no-data">${escapeHtml(tr('achievements.none'))}</div>`;
+    return;
+  }
+  recent.forEach((a) => {
+    const row = document.createElement('div');
+    row.className = 'achievement';
+    const group = groupById[a.groupId];
+    row.style.borderLeftColor = safeColor(group.color);
+    row.innerHTML = `<span>${escapeHtml(a.text)}</span><span class="small">${escapeHtml(formatDate(a.date))}</span>`;
+    feed.appendChild(row);
+  });
+}
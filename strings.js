@@ -0,0 +1,764 @@
+// String catalog of the scoreboard in every language it speaks, keyed by
+// locale and then by string key. scoreboard.js looks strings up with tr()
+// (see its Language section), falling back to English for a key a language
+// lacks. {name} placeholders are filled in when the string is used; keys
+// ending in .one and .other are the singular and plural of a count, picked
+// with trCount().
+//
+// To add a language, copy the "en" block under a new locale, translate it
+// and add the locale to LOCALES in scoreboard.js.
+
+const STRINGS = {
+  en: {
+    // Page text, set through the data-i18n attributes of index.html
+    'header.subtitle': 'Spanish • Lakers Schools',
+    'header.class': 'Class',
+    'header.language': 'Language',
+    'tab.groups': 'Groups',
+    'tab.students': 'Students',
+    'tab.pets': 'Pets',
+    'tab.profile': 'My Profile',
+    'tab.teacher': 'Teacher',
+    'hero.title': 'The Luchador Monster Hunters Headquarters',
+    'hero.text': 'Mission: Vanquish the monsters of Hispanic legend to protect humanity from their dangers.',
+    'period.from': 'From',
+    'period.to': 'To',
+    'groups.trends': 'Trends',
+    'groups.byCategory': 'Points by category',
+    'groups.byReason': 'Points by reason',
+    'groups.achievements': 'Recent Achievements',
+    'groupDetail.back': '← All groups',
+    'students.search': 'Search student…',
+    'students.allGroups': 'All groups',
+    'profile.prompt': 'Enter your private code to view your points and powerups:',
+    'profile.placeholder': 'e.g., K7M3PX',
+    'profile.submit': 'Show my profile',
+    'profile.signOut': 'Sign out',
+    'profile.shop': 'Powerup Shop',
+    'profile.myPowerups': 'My Powerups',
+    'activity.title': 'Recent Activity',
+    'display.top': 'Top Students',
+    'display.recent': 'Latest Points',
+    'teacher.prompt': 'Enter the teacher passcode to add or remove points:',
+    'teacher.passcode': 'Passcode',
+    'teacher.unlock': 'Unlock',
+    'teacher.lock': 'Lock',
+    'teacher.requests': 'Student Requests',
+    'teacher.requestsHint': 'Purchases and pet names made on any device while no teacher was signed in. Nothing counts until you approve it.',
+    'teacher.addPoints': 'Add Points',
+    'teacher.pointsPlaceholder': 'Points (e.g. 5 or -2)',
+    'teacher.reason': 'Reason',
+    'teacher.addBtn': 'Add transaction',
+    'teacher.bulk': 'Bulk Award',
+    'teacher.bulkHint': 'Give the same points to a whole group, a whole hour, or the students you tick.',
+    'group.whole': 'Whole group',
+    'teacher.wholeHour': 'Whole hour',
+    'teacher.pickStudents': 'Pick students',
+    'teacher.pointsEach': 'Points each (e.g. 10)',
+    'teacher.bulkBtn': 'Award points',
+    'teacher.powerups': 'Powerups',
+    'teacher.powerupsHint': 'Buy a powerup for the selected student or mark one they own as used.',
+    'teacher.petPowers': 'Pet Powers',
+    'teacher.petPowersHint': 'Record when the selected group uses one of its pets\' powers.',
+    'teacher.log': 'Transaction Log',
+    'teacher.logHint': 'Void or correct a transaction. Corrections are added as new entries; the original stays in the log.',
+    'teacher.author': 'Your name (saved with corrections)',
+    'teacher.logSearch': 'Filter by student, group or reason…',
+    'teacher.dataSource': 'Data Source',
+    'teacher.dataSourceHintA': 'The data is read from the first of: a',
+    'teacher.dataSourceHintB': 'URL, a file dropped onto this page, scoreboard.json next to index.html, or the data built into index.html. Drop a JSON file anywhere on the page, or choose one here, to use it on this device.',
+    'teacher.dataClear': 'Forget dropped file',
+    'teacher.syncBackend': 'Sync Backend',
+    'teacher.syncHintA': 'Where transactions and roster changes are sent: the Google Sheet\'s Apps Script, a REST/JSON server, or nowhere (kept on this device only). The data\'s',
+    'teacher.syncHintB': 'setting is used unless a backend is saved here for this device.',
+    'teacher.syncUrl': 'Apps Script or server address',
+    'teacher.syncSave': 'Save on this device',
+    'teacher.syncReset': 'Use the data\'s setting',
+    'teacher.dataCheck': 'Data Check',
+    'teacher.roster': 'Roster Import (CSV)',
+    'teacher.rosterHint': 'Import a class list from the SIS export. Rows are matched to the current roster by SIS id or name within the hour; new students are spread over the hour\'s groups and get a unique code. Change any group in the preview before applying.',
+    'teacher.rosterRemove': 'Remove students of these hours who are not in the CSV',
+    'teacher.rosterApply': 'Apply roster',
+    'teacher.codes': 'Student Codes',
+    'teacher.codesHint': 'Give one student or a whole hour new random codes, then print new code cards. New codes are saved on this device only; other devices keep the old codes until you export the data (JSON) and publish it as scoreboard.json, or send the roster to a sync backend that takes rosters.',
+    'teacher.rotateStudent': 'New code for student',
+    'teacher.rotateHour': 'New codes for whole hour',
+    'teacher.print': 'Print Codes',
+    'teacher.printHint': 'Print cut-apart code cards for students, or a roster sheet with current totals for each hour. The QR code on a card opens My Profile with the student\'s code filled in.',
+    'teacher.printUrl': 'Scoreboard address for the QR codes',
+    'teacher.printCards': 'Print code cards',
+    'teacher.printRoster': 'Print roster sheet',
+    'teacher.exportData': 'Export data (JSON)',
+    'teacher.exportStudents': 'Export students (CSV)',
+    'teacher.exportTransactions': 'Export transactions (CSV)',
+    'page.title': 'Classroom Scoreboard',
+
+    // Points and pets
+    'points.short': '{n} pts',
+    'pets.usedIn': 'used {count} in {period}',
+    'pets.usedSoFar': 'used {count} so far',
+    'pets.notUnlockedAny': '{group} has not unlocked that pet yet.',
+    'pets.nameTooLong': 'Pet names can be at most {max} characters.',
+    'pets.nameNotAllowed': 'Only a signed-in student of {group} or a teacher can name its pets.',
+    'pets.namedReason': 'Named {pet} "{name}"',
+    'pets.unnamedReason': 'Cleared the name of {pet}',
+    'pets.notFound': 'That pet was not found.',
+    'pets.notUnlocked': '{group} has not unlocked {pet} yet.',
+    'pets.usedUp': '{pet} of {group} was already {uses}.',
+    'pets.usedReason': 'Used {pet}',
+    'pets.needsPortal': 'Pet names and powers need teacher_portal_gsheets.js to be loaded.',
+
+    // Powerups
+    'powerups.none': 'No powerups',
+    'powerups.notForSale': 'That powerup is not for sale.',
+    'powerups.cannotAfford': '{powerup} costs {cost} points; {student} has {balance}.',
+    'powerups.boughtReason': 'Bought {powerup}',
+    'powerups.purchaseNotFound': 'That powerup purchase was not found.',
+    'powerups.alreadyUsed': '{powerup} has already been used.',
+    'powerups.usedReason': 'Used {powerup}',
+    'powerups.groupBonusReason': '{powerup} group bonus',
+    'powerups.needsPortal': 'Powerup purchases need teacher_portal_gsheets.js to be loaded.',
+
+    // Data source and check
+    'dataSource.shown': 'Data: {source}',
+    'dataSource.dropped': 'dropped file "{name}"',
+    'dataSource.embedded': 'data built into index.html',
+    'dataCheck.passed': 'All {groups} groups, {students} students and {transactions} transactions passed the data check.',
+    'dataCheck.problems': '{errors} error(s) and {warnings} warning(s) in the scoreboard data.',
+    'dataLoad.failed': 'The scoreboard data could not be loaded',
+    'dataLoad.hint': 'Fix the data source (see the Data Sources section of scoreboard.js) and reload the page.',
+
+    // Time and periods
+    'time.seconds.one': '{n} second',
+    'time.seconds.other': '{n} seconds',
+    'time.minutes.one': '{n} minute',
+    'time.minutes.other': '{n} minutes',
+    'period.allTime': 'All time',
+    'period.thisWeek': 'This week',
+    'period.thisWeekLower': 'this week',
+    'period.custom': 'Custom range…',
+    'pending.title': 'Waiting to sync to the Sheet',
+    'pending.tag': '{points} pending',
+
+    // Boards
+    'points.word.one': 'point',
+    'points.word.other': 'points',
+    'points.total.one': '{n} point',
+    'points.total.other': '{n} points',
+    'students.none': 'No students found.',
+    'students.rank': 'Rank #{rank}',
+    'level.label': 'Level {level}',
+    'level.max': '{xp} XP • Max level reached!',
+    'level.progress': '{xp} / {next} XP • {toGo} to Level {level}',
+    'level.hint': 'XP counts every point earned; spending points does not lower it.',
+
+    // My Profile
+    'profile.locked': 'Too many wrong codes. Try again in {wait}.',
+    'profile.enterCode': 'Enter your code first.',
+    'profile.wrongCodeLocked': 'No student found for that code. Too many wrong codes; try again in {wait}.',
+    'profile.wrongCode': 'No student found for that code.',
+    'profile.signedOut': 'Signed out.',
+    'profile.code': 'Student Code:',
+    'profile.pointsSince': 'Points since {date}',
+    'profile.codeChanged': 'Your code has changed. Ask your teacher for your new code.',
+    'activity.none': 'No recent activity.',
+    'activity.noneYet': 'No activity yet.',
+    'pending.short': 'pending',
+    'shop.oneUse': '(one use)',
+    'shop.buy': 'Buy · {cost} pts',
+    'shop.confirm': 'Spend {cost} points on {powerup}?',
+    'shop.bought': 'You bought {powerup}! Show your teacher when you want to use it.',
+    'shop.noneBought': 'No powerups bought yet.',
+    'shop.activeUsed': 'Active · used {dates}',
+    'shop.ready': 'Ready to use',
+    'shop.used': 'Used {dates}',
+    'shop.boughtOn': 'Bought {date} for {cost} pts',
+
+    // Group detail
+    'groupDetail.split': '{students} from students, {group} as a group',
+    'groupDetail.members': 'Members',
+    'groupDetail.noMembers': 'No members yet.',
+    'groupDetail.moved': '(now in another group)',
+    'groupDetail.share': '{pct}% of total',
+
+    // Pets
+    'pets.title': 'Pets',
+    'pets.noneDefined': 'No pets to unlock.',
+    'pets.toGo.one': '{n} point to go until {pet}',
+    'pets.toGo.other': '{n} points to go until {pet}',
+    'pets.allUnlocked': 'Every pet unlocked!',
+    'pets.nicknamed': '{name} the {form}',
+    'pets.unlocksAt': 'Unlocks at {n} points',
+    'pets.toEvolve.one': 'Stage {stage}/{count} · {n} point to evolve into {form}',
+    'pets.toEvolve.other': 'Stage {stage}/{count} · {n} points to evolve into {form}',
+    'pets.fullyEvolved': 'Fully evolved!',
+    'pets.earned': 'Earned',
+    'pets.rename': 'Rename',
+    'pets.name': 'Name',
+    'pets.namePrompt': 'Name {group}\'s {form} (up to {max} characters):',
+    'pets.gallerySummary': '{owned} of {count} pets',
+
+    // Hours, reasons, trends
+    'hour.word': 'Hour',
+    'hour.all': 'All hours',
+    'category.academic': 'Academic',
+    'category.behavior': 'Behavior',
+    'category.bonus': 'Bonus',
+    'category.penalty': 'Penalty',
+    'category.powerups': 'Powerup purchases',
+    'category.other': 'Not in catalog',
+    'trends.axisTitle': 'Cumulative points from {from} to {to}',
+    'trends.noReason': 'No reason',
+    'trends.other': 'Other',
+    'trends.noPoints': 'No points yet.',
+    'trends.noDates': 'No dated points in this period yet.',
+
+    // Celebrations
+    'celebrate.levelUp': '{student} reached Level {level}!',
+    'celebrate.reached': '{group} reached {points} points!',
+    'celebrate.petUnlocked': '{group} unlocked {pet}!',
+    'celebrate.petEvolved': '{group}\'s {pet} evolved into {form}!',
+    'celebrate.lead': '{group} took the lead!',
+    'celebrate.top': '{group} moved into the top {rank}!',
+    'achievements.none': 'No achievements yet. Keep earning points!',
+
+    // Teacher portal: sign-in and Add Points
+    'teacher.notSetUp': 'Teacher sign-in is not set up. Run tools/hash_passcode.js and add teacherAuth to the data.',
+    'teacher.urlDataLocked': 'This data was opened from a ?data= link, which can only be viewed. Open the scoreboard without ?data= to sign in.',
+    'teacher.noWebCrypto': 'This browser cannot check the passcode securely (WebCrypto is unavailable).',
+    'teacher.checking': 'Checking…',
+    'teacher.wrongPasscode': 'Incorrect passcode. Please try again.',
+    'teacher.checkFailed': 'Could not check the passcode: {error}',
+    'teacher.unlockedUntil': 'Unlocked until {time}.',
+    'teacher.sessionExpired': 'Your teacher session expired. Enter the passcode again.',
+    'teacher.wholeGroupOption': '— Whole group (no student) —',
+    'teacher.adjustment': 'Adjustment',
+    'teacher.addInvalid': 'Please select a student or group and enter a non-zero points value.',
+    'teacher.asWholeGroup': '{group} as a whole group',
+    'teacher.added': 'Added {points} points for {target}.',
+    'teacher.buy': 'Buy {powerup} · {cost}',
+    'teacher.bought': '{student} bought {powerup}.',
+    'teacher.noUnusedPowerups': '{student} has no unused powerups ({balance} points available).',
+    'teacher.boughtOn': '{powerup} (bought {date})',
+    'teacher.boughtOnUsed': '{powerup} (bought {date}, used {uses}x)',
+    'teacher.markUsed': 'Mark used',
+    'teacher.markedUsed': 'Marked {powerup} as used for {student}.',
+    'teacher.noPetYet': '{group} has not unlocked a pet yet ({points} points).',
+    'teacher.recordUse': 'Record use',
+    'teacher.recordedUse': 'Recorded a use of {pet} for {group}.',
+
+    // Teacher portal: Student Requests
+    'teacher.requestsNone': 'No requests are waiting.',
+    'teacher.requestLine': '{date} · {who} · {group} · {points} {reason}',
+    'teacher.approve': 'Approve',
+    'teacher.reject': 'Reject',
+    'teacher.approved': 'Approved {reason} for {who}.',
+    'teacher.rejected': 'Rejected {reason} for {who}.',
+
+    // Teacher portal: Bulk Award and Transaction Log
+    'teacher.noneSelected': 'No students selected.',
+    'teacher.selected.one': '{n} student selected. Enter the points each one gets.',
+    'teacher.selected.other': '{n} students selected. Enter the points each one gets.',
+    'teacher.bulkInvalid': 'Please select at least one student and enter a non-zero points value.',
+    'teacher.awarded.one': 'Awarded {points} points to {n} student.',
+    'teacher.awarded.other': 'Awarded {points} points to {n} students.',
+    'teacher.logNone': 'No transactions match.',
+    'teacher.logWholeGroup': 'whole group',
+    'teacher.logPending': 'pending sync',
+    'teacher.logVoids': 'voids {id}',
+    'teacher.logCorrects': 'correction of {id}',
+    'teacher.logVoided': 'voided',
+    'teacher.undoVoid': 'Undo void',
+    'teacher.void': 'Void',
+    'teacher.edit': 'Edit',
+    'teacher.byAuthor': ' by {author}',
+    'teacher.atTime': ' at {time}',
+    'teacher.save': 'Save',
+    'teacher.cancel': 'Cancel',
+    'teacher.correctInvalid': 'Enter a non-zero points value, or void the entry instead.',
+    'teacher.undoReason': 'Undo: {reason}',
+    'teacher.voidReason': 'Void: {reason}',
+    'teacher.confirmUndoVoid': 'Undo this void and count {id} again?',
+    'teacher.confirmVoid': 'Void {points} ({reason}) from {date}?',
+    'teacher.reinstated': 'Reinstated {id}.',
+    'teacher.voided': 'Voided {id}.',
+    'teacher.corrected': 'Corrected {id}: now {points} ({reason}).',
+    'teacher.defaultAuthor': 'Teacher',
+    'teacher.usingSource': 'Using {source}.',
+
+    // Teacher portal: Data Source
+    'teacher.unlockToLoad': 'Unlock the teacher portal to load a data file.',
+    'teacher.fileLoaded': 'Loaded {file} ({errors} error(s), {warnings} warning(s)). Reloading…',
+    'teacher.fileRejected': '{file} cannot be used: {error}',
+    'teacher.forgetFailed': 'Could not forget the dropped file: {error}',
+
+    // Teacher portal: sync
+    'teacher.syncWaiting': 'Waiting for a teacher to approve it under Student Requests',
+    'teacher.syncFailed': 'Last sync attempt failed: {error}',
+    'teacher.syncNeedsTeacher': 'Changes signed a while ago are sent once a teacher unlocks the portal on this device.',
+    'teacher.syncBadge': '{count} pending sync',
+    'teacher.syncSending': 'Sending to {target}…',
+    'teacher.syncAdapter.gsheets': 'Google Sheet (Apps Script)',
+    'teacher.syncAdapter.rest': 'REST/JSON server',
+    'teacher.syncAdapter.local': 'This device only (no backend)',
+    'teacher.syncTarget.gsheets': 'the Sheet',
+    'teacher.syncTarget.rest': 'the server',
+    'teacher.syncTarget.local': 'this device',
+    'teacher.syncingWith': 'Syncing with {target} at {url}',
+    'teacher.syncLocalOnly': 'Not syncing: transactions are kept on this device only',
+    'teacher.syncNoAddress': 'Not syncing: no address is set',
+    'teacher.syncSetBy': '{where} (set by {source}).',
+    'teacher.syncSource.device': 'this device',
+    'teacher.syncSource.data': 'the data',
+    'teacher.syncSource.default': 'the default',
+    'teacher.syncUrlInvalid': 'Enter the full backend address, starting with https://',
+    'teacher.noScriptAddress': 'No Apps Script address is set. Enter it on the Sync Backend card.',
+    'teacher.noServerAddress': 'No server address is set. Enter it on the Sync Backend card.',
+    'teacher.networkError': 'Network error: {status}',
+    'teacher.unknownError': 'Unknown error',
+    'teacher.batchUnconfirmed': 'The backend did not confirm every transaction in the batch',
+
+    // Teacher portal: Roster Import
+    'teacher.csvTooShort': 'it needs a header row and at least one student',
+    'teacher.csvLoaded': '{file}: {rows} row(s). Check the columns and preview below.',
+    'teacher.csvUnreadable': '{file} could not be read: {error}',
+    'teacher.csvNotInFile': '(not in the file)',
+    'teacher.csvColumn': 'Column {n}',
+    'teacher.csvDefaultHour': 'Hour for rows without one',
+    'teacher.rosterField.sisId': 'SIS id',
+    'teacher.rosterField.name': 'Full name',
+    'teacher.rosterField.firstName': 'First name',
+    'teacher.rosterField.lastName': 'Last name',
+    'teacher.rosterField.hour': 'Hour',
+    'teacher.rosterField.group': 'Group',
+    'teacher.rosterField.code': 'Code',
+    'teacher.rosterUnknownHour': 'unknown hour "{hour}"',
+    'teacher.rosterUnknownGroup': 'no group "{group}" in this hour',
+    'teacher.rosterNoGroups': 'this hour has no groups',
+    'teacher.rosterAutoGroup': 'group picked automatically',
+    'teacher.rosterCodeTaken': 'code "{code}" is already used',
+    'teacher.rosterNameWas': 'name was {name}',
+    'teacher.rosterGroupWas': 'group was {group}',
+    'teacher.rosterCodeWas': 'code was {code}',
+    'teacher.rosterEmpty': 'empty',
+    'teacher.rosterSisAdded': 'SIS id added',
+    'teacher.rosterSummary': '{added} new, {changed} changed, {same} unchanged, {missing} not in the file.',
+    'teacher.rosterSummarySkipped': '{added} new, {changed} changed, {same} unchanged, {missing} not in the file, {skipped} row(s) skipped.',
+    'teacher.rosterStatus.new': 'new',
+    'teacher.rosterStatus.changed': 'changed',
+    'teacher.rosterStatus.same': 'same',
+    'teacher.rosterStatus.error': 'error',
+    'teacher.rosterNotInFile': 'not in the file',
+    'teacher.rosterWillRemove': 'will be removed',
+    'teacher.rosterKeptHistory': 'kept, has points history',
+    'teacher.rosterKept': 'kept',
+    'teacher.rosterImportName': 'roster import ({file})',
+    'teacher.rosterApplied': 'Roster applied: {added} added, {updated} updated, {removed} removed.',
+    'teacher.rosterUnlockToSend': 'Unlock the portal again and repeat the change to send it to {target}.',
+    'teacher.rosterSent': 'Sent to {target}.',
+    'teacher.rosterSendFailed': 'Could not send it to {target} ({error}).',
+    'teacher.rosterNotKept': 'This browser cannot keep it after a reload; export the data (JSON) to keep it.',
+    'teacher.rosterKeptOnDevice': 'Saved on this device; export the data (JSON) to update scoreboard.json for everyone.',
+    'teacher.rosterKeepFailed': 'Could not save it on this device ({error}); export the data (JSON) to keep it.',
+    'teacher.codesChangedName': 'student codes changed {date}',
+
+    // Teacher portal: Student Codes and Print Codes
+    'teacher.pickStudentFirst': 'Pick a student first.',
+    'teacher.newCode': '{student}\'s new code is {code}.',
+    'teacher.hourNoStudents': 'This hour has no students.',
+    'teacher.confirmRotateHour': 'Give all {count} students of {hour} new codes? Their old codes stop working.',
+    'teacher.rotatedHour': '{count} students of {hour} have new codes; print new code cards for them.',
+    'teacher.allHours': 'All hours',
+    'teacher.printUrlInvalid': 'Enter the full scoreboard address for the QR codes, starting with https://',
+    'teacher.printNoStudents': 'No students to print for this hour and group.',
+    'teacher.printingCards.one': 'Printing {n} code card.',
+    'teacher.printingCards.other': 'Printing {n} code cards.',
+    'teacher.printNoGroups': 'No groups to print for this hour.',
+    'teacher.rosterTitle': '{hour} roster',
+    'teacher.pointsAsOf': 'Points as of {date}',
+    'teacher.rosterColumn.student': 'Student',
+    'teacher.rosterColumn.code': 'Code',
+    'teacher.rosterColumn.points': 'Points',
+    'teacher.rosterColumn.notes': 'Notes',
+
+    // Teacher portal: pulls
+    'teacher.lastPulled': 'Last pulled from {target} at {time}.',
+    'teacher.pullConflicts': '{count} conflicting transaction(s) differed locally; kept the version from {target} of: {ids}.'
+  },
+  es: {
+    // Page text, set through the data-i18n attributes of index.html
+    'header.subtitle': 'Español • Lakers Schools',
+    'header.class': 'Clase',
+    'header.language': 'Idioma',
+    'tab.groups': 'Grupos',
+    'tab.students': 'Estudiantes',
+    'tab.pets': 'Mascotas',
+    'tab.profile': 'Mi perfil',
+    'tab.teacher': 'Maestro/a',
+    'hero.title': 'El cuartel general de los Luchadores Cazadores de Monstruos',
+    'hero.text': 'Misión: vencer a los monstruos de las leyendas hispanas para proteger a la humanidad de sus peligros.',
+    'period.from': 'Desde',
+    'period.to': 'Hasta',
+    'groups.trends': 'Tendencias',
+    'groups.byCategory': 'Puntos por categoría',
+    'groups.byReason': 'Puntos por motivo',
+    'groups.achievements': 'Logros recientes',
+    'groupDetail.back': '← Todos los grupos',
+    'students.search': 'Buscar estudiante…',
+    'students.allGroups': 'Todos los grupos',
+    'profile.prompt': 'Escribe tu código privado para ver tus puntos y poderes:',
+    'profile.placeholder': 'p. ej., K7M3PX',
+    'profile.submit': 'Ver mi perfil',
+    'profile.signOut': 'Cerrar sesión',
+    'profile.shop': 'Tienda de poderes',
+    'profile.myPowerups': 'Mis poderes',
+    'activity.title': 'Actividad reciente',
+    'display.top': 'Mejores estudiantes',
+    'display.recent': 'Últimos puntos',
+    'teacher.prompt': 'Escribe la contraseña docente para sumar o restar puntos:',
+    'teacher.passcode': 'Contraseña',
+    'teacher.unlock': 'Desbloquear',
+    'teacher.lock': 'Bloquear',
+    'teacher.requests': 'Solicitudes de estudiantes',
+    'teacher.requestsHint': 'Compras y nombres de mascotas hechos en cualquier dispositivo sin un docente conectado. Nada cuenta hasta que lo apruebes.',
+    'teacher.addPoints': 'Sumar puntos',
+    'teacher.pointsPlaceholder': 'Puntos (p. ej. 5 o -2)',
+    'teacher.reason': 'Motivo',
+    'teacher.addBtn': 'Agregar transacción',
+    'teacher.bulk': 'Premio en grupo',
+    'teacher.bulkHint': 'Da los mismos puntos a todo un grupo, a toda una hora o a los estudiantes que marques.',
+    'group.whole': 'Todo el grupo',
+    'teacher.wholeHour': 'Toda la hora',
+    'teacher.pickStudents': 'Elegir estudiantes',
+    'teacher.pointsEach': 'Puntos para cada uno (p. ej. 10)',
+    'teacher.bulkBtn': 'Dar puntos',
+    'teacher.powerups': 'Poderes',
+    'teacher.powerupsHint': 'Compra un poder para el estudiante elegido o marca como usado uno que ya tenga.',
+    'teacher.petPowers': 'Poderes de mascotas',
+    'teacher.petPowersHint': 'Registra cuando el grupo elegido usa el poder de una de sus mascotas.',
+    'teacher.log': 'Registro de transacciones',
+    'teacher.logHint': 'Anula o corrige una transacción. Las correcciones se agregan como entradas nuevas; la original queda en el registro.',
+    'teacher.author': 'Tu nombre (se guarda con las correcciones)',
+    'teacher.logSearch': 'Filtrar por estudiante, grupo o motivo…',
+    'teacher.dataSource': 'Fuente de datos',
+    'teacher.dataSourceHintA': 'Los datos se leen de la primera de estas fuentes: una dirección',
+    'teacher.dataSourceHintB': ', un archivo soltado en esta página, scoreboard.json junto a index.html o los datos incluidos en index.html. Suelta un archivo JSON en cualquier parte de la página, o elígelo aquí, para usarlo en este dispositivo.',
+    'teacher.dataClear': 'Olvidar el archivo soltado',
+    'teacher.syncBackend': 'Servidor de sincronización',
+    'teacher.syncHintA': 'Adónde se envían las transacciones y los cambios de lista: al Apps Script de la hoja de Google, a un servidor REST/JSON o a ningún lado (solo en este dispositivo). Se usa el ajuste',
+    'teacher.syncHintB': 'de los datos, salvo que aquí se guarde otro servidor para este dispositivo.',
+    'teacher.syncUrl': 'Dirección del Apps Script o del servidor',
+    'teacher.syncSave': 'Guardar en este dispositivo',
+    'teacher.syncReset': 'Usar el ajuste de los datos',
+    'teacher.dataCheck': 'Revisión de datos',
+    'teacher.roster': 'Importar lista (CSV)',
+    'teacher.rosterHint': 'Importa una lista de clase exportada del SIS. Las filas se emparejan con la lista actual por id del SIS o por nombre dentro de la hora; los estudiantes nuevos se reparten entre los grupos de la hora y reciben un código único. Cambia cualquier grupo en la vista previa antes de aplicar.',
+    'teacher.rosterRemove': 'Quitar a los estudiantes de estas horas que no están en el CSV',
+    'teacher.rosterApply': 'Aplicar lista',
+    'teacher.codes': 'Códigos de estudiantes',
+    'teacher.codesHint': 'Da códigos aleatorios nuevos a un estudiante o a toda una hora y después imprime tarjetas nuevas. Los códigos nuevos se guardan solo en este dispositivo; los demás dispositivos siguen con los códigos viejos hasta que exportes los datos (JSON) y los publiques como scoreboard.json, o envíes la lista a un backend de sincronización que acepte listas.',
+    'teacher.rotateStudent': 'Código nuevo para el estudiante',
+    'teacher.rotateHour': 'Códigos nuevos para toda la hora',
+    'teacher.print': 'Imprimir códigos',
+    'teacher.printHint': 'Imprime tarjetas de código recortables para los estudiantes, o una hoja de lista con los totales actuales de cada hora. El código QR de una tarjeta abre Mi perfil con el código del estudiante ya escrito.',
+    'teacher.printUrl': 'Dirección del marcador para los códigos QR',
+    'teacher.printCards': 'Imprimir tarjetas de código',
+    'teacher.printRoster': 'Imprimir hoja de lista',
+    'teacher.exportData': 'Exportar datos (JSON)',
+    'teacher.exportStudents': 'Exportar estudiantes (CSV)',
+    'teacher.exportTransactions': 'Exportar transacciones (CSV)',
+    'page.title': 'Marcador de la clase',
+
+    // Points and pets
+    'points.short': '{n} pts',
+    'pets.usedIn': 'usado {count} en {period}',
+    'pets.usedSoFar': 'usado {count} hasta ahora',
+    'pets.notUnlockedAny': '{group} todavía no ha desbloqueado esa mascota.',
+    'pets.nameTooLong': 'Los nombres de mascota pueden tener como máximo {max} caracteres.',
+    'pets.nameNotAllowed': 'Solo un estudiante de {group} con la sesión iniciada o un docente puede nombrar sus mascotas.',
+    'pets.namedReason': 'Llamó «{name}» a {pet}',
+    'pets.unnamedReason': 'Borró el nombre de {pet}',
+    'pets.notFound': 'No se encontró esa mascota.',
+    'pets.notUnlocked': '{group} todavía no ha desbloqueado a {pet}.',
+    'pets.usedUp': '{pet} de {group} ya fue {uses}.',
+    'pets.usedReason': 'Usó {pet}',
+    'pets.needsPortal': 'Los nombres y poderes de mascotas necesitan teacher_portal_gsheets.js.',
+
+    // Powerups
+    'powerups.none': 'Sin poderes',
+    'powerups.notForSale': 'Ese poder no está a la venta.',
+    'powerups.cannotAfford': '{powerup} cuesta {cost} puntos; {student} tiene {balance}.',
+    'powerups.boughtReason': 'Compró {powerup}',
+    'powerups.purchaseNotFound': 'No se encontró esa compra de poder.',
+    'powerups.alreadyUsed': '{powerup} ya se usó.',
+    'powerups.usedReason': 'Usó {powerup}',
+    'powerups.groupBonusReason': 'Bono de grupo de {powerup}',
+    'powerups.needsPortal': 'Las compras de poderes necesitan teacher_portal_gsheets.js.',
+
+    // Data source and check
+    'dataSource.shown': 'Datos: {source}',
+    'dataSource.dropped': 'archivo soltado «{name}»',
+    'dataSource.embedded': 'datos incluidos en index.html',
+    'dataCheck.passed': 'Los {groups} grupos, {students} estudiantes y {transactions} transacciones pasaron la revisión de datos.',
+    'dataCheck.problems': '{errors} error(es) y {warnings} advertencia(s) en los datos del marcador.',
+    'dataLoad.failed': 'No se pudieron cargar los datos del marcador',
+    'dataLoad.hint': 'Corrige la fuente de datos (ver la sección Data Sources de scoreboard.js) y vuelve a cargar la página.',
+
+    // Time and periods
+    'time.seconds.one': '{n} segundo',
+    'time.seconds.other': '{n} segundos',
+    'time.minutes.one': '{n} minuto',
+    'time.minutes.other': '{n} minutos',
+    'period.allTime': 'Todo el tiempo',
+    'period.thisWeek': 'Esta semana',
+    'period.thisWeekLower': 'esta semana',
+    'period.custom': 'Rango personalizado…',
+    'pending.title': 'Esperando sincronizar con la hoja',
+    'pending.tag': '{points} pendiente(s)',
+
+    // Boards
+    'points.word.one': 'punto',
+    'points.word.other': 'puntos',
+    'points.total.one': '{n} punto',
+    'points.total.other': '{n} puntos',
+    'students.none': 'No se encontraron estudiantes.',
+    'students.rank': 'Puesto n.º {rank}',
+    'level.label': 'Nivel {level}',
+    'level.max': '{xp} XP • ¡Nivel máximo alcanzado!',
+    'level.progress': '{xp} / {next} XP • faltan {toGo} para el nivel {level}',
+    'level.hint': 'La XP cuenta cada punto ganado; gastar puntos no la reduce.',
+
+    // My Profile
+    'profile.locked': 'Demasiados códigos incorrectos. Inténtalo de nuevo en {wait}.',
+    'profile.enterCode': 'Primero escribe tu código.',
+    'profile.wrongCodeLocked': 'No hay ningún estudiante con ese código. Demasiados códigos incorrectos; inténtalo de nuevo en {wait}.',
+    'profile.wrongCode': 'No hay ningún estudiante con ese código.',
+    'profile.signedOut': 'Sesión cerrada.',
+    'profile.code': 'Código de estudiante:',
+    'profile.pointsSince': 'Puntos desde {date}',
+    'profile.codeChanged': 'Tu código cambió. Pídele tu código nuevo a tu maestro o maestra.',
+    'activity.none': 'No hay actividad reciente.',
+    'activity.noneYet': 'Todavía no hay actividad.',
+    'pending.short': 'pendiente',
+    'shop.oneUse': '(un uso)',
+    'shop.buy': 'Comprar · {cost} pts',
+    'shop.confirm': '¿Gastar {cost} puntos en {powerup}?',
+    'shop.bought': '¡Compraste {powerup}! Muéstraselo a tu maestro o maestra cuando quieras usarlo.',
+    'shop.noneBought': 'Todavía no has comprado poderes.',
+    'shop.activeUsed': 'Activo · usado {dates}',
+    'shop.ready': 'Listo para usar',
+    'shop.used': 'Usado {dates}',
+    'shop.boughtOn': 'Comprado el {date} por {cost} pts',
+
+    // Group detail
+    'groupDetail.split': '{students} de estudiantes, {group} como grupo',
+    'groupDetail.members': 'Miembros',
+    'groupDetail.noMembers': 'Todavía no hay miembros.',
+    'groupDetail.moved': '(ahora en otro grupo)',
+    'groupDetail.share': '{pct} % del total',
+
+    // Pets
+    'pets.title': 'Mascotas',
+    'pets.noneDefined': 'No hay mascotas para desbloquear.',
+    'pets.toGo.one': 'Falta {n} punto para {pet}',
+    'pets.toGo.other': 'Faltan {n} puntos para {pet}',
+    'pets.allUnlocked': '¡Todas las mascotas desbloqueadas!',
+    'pets.nicknamed': '{name}, {form}',
+    'pets.unlocksAt': 'Se desbloquea con {n} puntos',
+    'pets.toEvolve.one': 'Etapa {stage}/{count} · falta {n} punto para evolucionar a {form}',
+    'pets.toEvolve.other': 'Etapa {stage}/{count} · faltan {n} puntos para evolucionar a {form}',
+    'pets.fullyEvolved': '¡Evolución completa!',
+    'pets.earned': 'Ganada',
+    'pets.rename': 'Renombrar',
+    'pets.name': 'Nombrar',
+    'pets.namePrompt': 'Nombre para {form} de {group} (hasta {max} caracteres):',
+    'pets.gallerySummary': '{owned} de {count} mascotas',
+
+    // Hours, reasons, trends
+    'hour.word': 'Hora',
+    'hour.all': 'Todas las horas',
+    'category.academic': 'Académico',
+    'category.behavior': 'Conducta',
+    'category.bonus': 'Bono',
+    'category.penalty': 'Penalización',
+    'category.powerups': 'Compras de poderes',
+    'category.other': 'Fuera del catálogo',
+    'trends.axisTitle': 'Puntos acumulados del {from} al {to}',
+    'trends.noReason': 'Sin motivo',
+    'trends.other': 'Otros',
+    'trends.noPoints': 'Todavía no hay puntos.',
+    'trends.noDates': 'Todavía no hay puntos con fecha en este período.',
+
+    // Celebrations
+    'celebrate.levelUp': '¡{student} llegó al nivel {level}!',
+    'celebrate.reached': '¡{group} llegó a {points} puntos!',
+    'celebrate.petUnlocked': '¡{group} desbloqueó {pet}!',
+    'celebrate.petEvolved': '¡{pet} de {group} evolucionó a {form}!',
+    'celebrate.lead': '¡{group} tomó la delantera!',
+    'celebrate.top': '¡{group} entró en los {rank} primeros!',
+    'achievements.none': 'Todavía no hay logros. ¡Sigan ganando puntos!',
+
+    // Teacher portal: sign-in and Add Points
+    'teacher.notSetUp': 'El acceso docente no está configurado. Ejecuta tools/hash_passcode.js y agrega teacherAuth a los datos.',
+    'teacher.urlDataLocked': 'Estos datos se abrieron desde un enlace ?data=, que solo se puede ver. Abre el marcador sin ?data= para iniciar sesión.',
+    'teacher.noWebCrypto': 'Este navegador no puede verificar la contraseña de forma segura (WebCrypto no está disponible).',
+    'teacher.checking': 'Verificando…',
+    'teacher.wrongPasscode': 'Contraseña incorrecta. Inténtalo de nuevo.',
+    'teacher.checkFailed': 'No se pudo verificar la contraseña: {error}',
+    'teacher.unlockedUntil': 'Desbloqueado hasta las {time}',
+    'teacher.sessionExpired': 'Tu sesión docente expiró. Escribe la contraseña de nuevo.',
+    'teacher.wholeGroupOption': '— Todo el grupo (sin estudiante) —',
+    'teacher.adjustment': 'Ajuste',
+    'teacher.addInvalid': 'Elige un estudiante o grupo y escribe un valor de puntos distinto de cero.',
+    'teacher.asWholeGroup': '{group} como grupo completo',
+    'teacher.added': 'Se agregaron {points} puntos para {target}.',
+    'teacher.buy': 'Comprar {powerup} · {cost}',
+    'teacher.bought': '{student} compró {powerup}.',
+    'teacher.noUnusedPowerups': '{student} no tiene poderes sin usar ({balance} puntos disponibles).',
+    'teacher.boughtOn': '{powerup} (comprado el {date})',
+    'teacher.boughtOnUsed': '{powerup} (comprado el {date}, usado {uses} veces)',
+    'teacher.markUsed': 'Marcar como usado',
+    'teacher.markedUsed': 'Se marcó {powerup} como usado para {student}.',
+    'teacher.noPetYet': '{group} todavía no ha desbloqueado una mascota ({points} puntos).',
+    'teacher.recordUse': 'Registrar uso',
+    'teacher.recordedUse': 'Se registró un uso de {pet} para {group}.',
+
+    // Teacher portal: Student Requests
+    'teacher.requestsNone': 'No hay solicitudes en espera.',
+    'teacher.requestLine': '{date} · {who} · {group} · {points} {reason}',
+    'teacher.approve': 'Aprobar',
+    'teacher.reject': 'Rechazar',
+    'teacher.approved': 'Se aprobó {reason} para {who}.',
+    'teacher.rejected': 'Se rechazó {reason} para {who}.',
+
+    // Teacher portal: Bulk Award and Transaction Log
+    'teacher.noneSelected': 'No hay estudiantes elegidos.',
+    'teacher.selected.one': '{n} estudiante elegido. Escribe los puntos que recibe cada uno.',
+    'teacher.selected.other': '{n} estudiantes elegidos. Escribe los puntos que recibe cada uno.',
+    'teacher.bulkInvalid': 'Elige al menos un estudiante y escribe un valor de puntos distinto de cero.',
+    'teacher.awarded.one': 'Se dieron {points} puntos a {n} estudiante.',
+    'teacher.awarded.other': 'Se dieron {points} puntos a {n} estudiantes.',
+    'teacher.logNone': 'Ninguna transacción coincide.',
+    'teacher.logWholeGroup': 'todo el grupo',
+    'teacher.logPending': 'sincronización pendiente',
+    'teacher.logVoids': 'anula {id}',
+    'teacher.logCorrects': 'corrección de {id}',
+    'teacher.logVoided': 'anulada',
+    'teacher.undoVoid': 'Deshacer anulación',
+    'teacher.void': 'Anular',
+    'teacher.edit': 'Editar',
+    'teacher.byAuthor': ' por {author}',
+    'teacher.atTime': ' el {time}',
+    'teacher.save': 'Guardar',
+    'teacher.cancel': 'Cancelar',
+    'teacher.correctInvalid': 'Escribe un valor de puntos distinto de cero o anula la entrada.',
+    'teacher.undoReason': 'Deshacer: {reason}',
+    'teacher.voidReason': 'Anulación: {reason}',
+    'teacher.confirmUndoVoid': '¿Deshacer esta anulación y volver a contar {id}?',
+    'teacher.confirmVoid': '¿Anular {points} ({reason}) del {date}?',
+    'teacher.reinstated': 'Se restableció {id}.',
+    'teacher.voided': 'Se anuló {id}.',
+    'teacher.corrected': 'Se corrigió {id}: ahora {points} ({reason}).',
+    'teacher.defaultAuthor': 'Docente',
+    'teacher.usingSource': 'Usando {source}.',
+
+    // Teacher portal: Data Source
+    'teacher.unlockToLoad': 'Desbloquea el portal docente para cargar un archivo de datos.',
+    'teacher.fileLoaded': 'Se cargó {file} ({errors} error(es), {warnings} aviso(s)). Recargando…',
+    'teacher.fileRejected': 'No se puede usar {file}: {error}',
+    'teacher.forgetFailed': 'No se pudo olvidar el archivo soltado: {error}',
+
+    // Teacher portal: sync
+    'teacher.syncWaiting': 'Esperando a que un docente lo apruebe en Solicitudes de estudiantes',
+    'teacher.syncFailed': 'Falló el último intento de sincronizar: {error}',
+    'teacher.syncNeedsTeacher': 'Los cambios firmados hace un rato se envían cuando un docente desbloquea el portal en este dispositivo.',
+    'teacher.syncBadge': '{count} por sincronizar',
+    'teacher.syncSending': 'Enviando a {target}…',
+    'teacher.syncAdapter.gsheets': 'Hoja de Google (Apps Script)',
+    'teacher.syncAdapter.rest': 'Servidor REST/JSON',
+    'teacher.syncAdapter.local': 'Solo este dispositivo (sin servidor)',
+    'teacher.syncTarget.gsheets': 'la hoja',
+    'teacher.syncTarget.rest': 'el servidor',
+    'teacher.syncTarget.local': 'este dispositivo',
+    'teacher.syncingWith': 'Sincronizando con {target} en {url}',
+    'teacher.syncLocalOnly': 'Sin sincronizar: las transacciones se guardan solo en este dispositivo',
+    'teacher.syncNoAddress': 'Sin sincronizar: no hay una dirección',
+    'teacher.syncSetBy': '{where} (según {source}).',
+    'teacher.syncSource.device': 'este dispositivo',
+    'teacher.syncSource.data': 'los datos',
+    'teacher.syncSource.default': 'la opción predeterminada',
+    'teacher.syncUrlInvalid': 'Escribe la dirección completa del servidor, empezando con https://',
+    'teacher.noScriptAddress': 'No hay una dirección de Apps Script. Escríbela en la tarjeta de sincronización.',
+    'teacher.noServerAddress': 'No hay una dirección de servidor. Escríbela en la tarjeta de sincronización.',
+    'teacher.networkError': 'Error de red: {status}',
+    'teacher.unknownError': 'Error desconocido',
+    'teacher.batchUnconfirmed': 'El servidor no confirmó todas las transacciones del lote',
+
+    // Teacher portal: Roster Import
+    'teacher.csvTooShort': 'necesita una fila de encabezados y al menos un estudiante',
+    'teacher.csvLoaded': '{file}: {rows} fila(s). Revisa las columnas y la vista previa abajo.',
+    'teacher.csvUnreadable': 'No se pudo leer {file}: {error}',
+    'teacher.csvNotInFile': '(no está en el archivo)',
+    'teacher.csvColumn': 'Columna {n}',
+    'teacher.csvDefaultHour': 'Hora para las filas sin hora',
+    'teacher.rosterField.sisId': 'ID del SIS',
+    'teacher.rosterField.name': 'Nombre completo',
+    'teacher.rosterField.firstName': 'Nombre',
+    'teacher.rosterField.lastName': 'Apellido',
+    'teacher.rosterField.hour': 'Hora',
+    'teacher.rosterField.group': 'Grupo',
+    'teacher.rosterField.code': 'Código',
+    'teacher.rosterUnknownHour': 'hora desconocida «{hour}»',
+    'teacher.rosterUnknownGroup': 'no hay un grupo «{group}» en esta hora',
+    'teacher.rosterNoGroups': 'esta hora no tiene grupos',
+    'teacher.rosterAutoGroup': 'grupo elegido automáticamente',
+    'teacher.rosterCodeTaken': 'el código «{code}» ya está en uso',
+    'teacher.rosterNameWas': 'el nombre era {name}',
+    'teacher.rosterGroupWas': 'el grupo era {group}',
+    'teacher.rosterCodeWas': 'el código era {code}',
+    'teacher.rosterEmpty': 'vacío',
+    'teacher.rosterSisAdded': 'se agregó el ID del SIS',
+    'teacher.rosterSummary': '{added} nuevos, {changed} con cambios, {same} sin cambios, {missing} no están en el archivo.',
+    'teacher.rosterSummarySkipped': '{added} nuevos, {changed} con cambios, {same} sin cambios, {missing} no están en el archivo, {skipped} fila(s) omitida(s).',
+    'teacher.rosterStatus.new': 'nuevo',
+    'teacher.rosterStatus.changed': 'con cambios',
+    'teacher.rosterStatus.same': 'sin cambios',
+    'teacher.rosterStatus.error': 'error',
+    'teacher.rosterNotInFile': 'no está en el archivo',
+    'teacher.rosterWillRemove': 'se quitará',
+    'teacher.rosterKeptHistory': 'se conserva, tiene historial de puntos',
+    'teacher.rosterKept': 'se conserva',
+    'teacher.rosterImportName': 'importación de lista ({file})',
+    'teacher.rosterApplied': 'Lista aplicada: {added} agregados, {updated} actualizados, {removed} quitados.',
+    'teacher.rosterUnlockToSend': 'Desbloquea el portal otra vez y repite el cambio para enviarlo a {target}.',
+    'teacher.rosterSent': 'Enviado a {target}.',
+    'teacher.rosterSendFailed': 'No se pudo enviar a {target} ({error}).',
+    'teacher.rosterNotKept': 'Este navegador no puede conservarlo al recargar; exporta los datos (JSON) para guardarlo.',
+    'teacher.rosterKeptOnDevice': 'Guardado en este dispositivo; exporta los datos (JSON) para actualizar scoreboard.json para todos.',
+    'teacher.rosterKeepFailed': 'No se pudo guardar en este dispositivo ({error}); exporta los datos (JSON) para guardarlo.',
+    'teacher.codesChangedName': 'códigos de estudiantes cambiados {date}',
+
+    // Teacher portal: Student Codes and Print Codes
+    'teacher.pickStudentFirst': 'Primero elige un estudiante.',
+    'teacher.newCode': 'El nuevo código de {student} es {code}.',
+    'teacher.hourNoStudents': 'Esta hora no tiene estudiantes.',
+    'teacher.confirmRotateHour': '¿Dar códigos nuevos a los {count} estudiantes de {hour}? Sus códigos anteriores dejarán de funcionar.',
+    'teacher.rotatedHour': '{count} estudiantes de {hour} tienen códigos nuevos; imprime tarjetas nuevas para ellos.',
+    'teacher.allHours': 'Todas las horas',
+    'teacher.printUrlInvalid': 'Escribe la dirección completa del marcador para los códigos QR, empezando con https://',
+    'teacher.printNoStudents': 'No hay estudiantes para imprimir en esta hora y grupo.',
+    'teacher.printingCards.one': 'Imprimiendo {n} tarjeta de código.',
+    'teacher.printingCards.other': 'Imprimiendo {n} tarjetas de código.',
+    'teacher.printNoGroups': 'No hay grupos para imprimir en esta hora.',
+    'teacher.rosterTitle': 'Lista de {hour}',
+    'teacher.pointsAsOf': 'Puntos al {date}',
+    'teacher.rosterColumn.student': 'Estudiante',
+    'teacher.rosterColumn.code': 'Código',
+    'teacher.rosterColumn.points': 'Puntos',
+    'teacher.rosterColumn.notes': 'Notas',
+
+    // Teacher portal: pulls
+    'teacher.lastPulled': 'Última descarga de {target}: {time}.',
+    'teacher.pullConflicts': '{count} transacción(es) en conflicto eran distintas aquí; se conservó la versión de {target} de: {ids}.'
+  }
+};
@@ -0,0 +1,3318 @@
+/*
+ * Teacher portal integration for the Luchador scoreboard with Google Sheets
+ * (or other backend) sync.
+ *
+ * This script adds a teacher-only tab to your scoreboard. The portal is
+ * unlocked with a teacher passcode (checked against the data's teacherAuth,
+ * see tools/hash_passcode.js) and lets teachers award points, approve
+ * student requests, correct the transaction log, import rosters, rotate
+ * codes and print code cards.
+ *
+ * A submitted transaction is added to the local data right away (marked as
+ * pending), signed with the teacher's session key and kept in an outbox in
+ * localStorage until the sync backend accepts it, so it survives reloads
+ * and network outages. The backend's transactions are pulled on load and on
+ * a timer and merged in by id. The sync protocol, including signing and
+ * what the Apps Script should check, is described under "Sync protocol" in
+ * README.md.
+ */
+
+(function() {
+  // Backends the portal can sync with, by the name used in the data's
+  // `sync.adapter` and the Sync Backend card (whose option text is the
+  // teacher.syncAdapter.<name> string). create(url) builds the adapter.
+  const SYNC_ADAPTERS = {
+    gsheets: { needsUrl: true, create: gsheetsAdapter },
+    rest: { needsUrl: true, create: restAdapter },
+    local: { needsUrl: false, create: localAdapter }
+  };
+  // localStorage key for the backend picked on the Sync Backend card, which
+  // overrides the data's sync setting on this device.
+  const SYNC_SETTINGS_KEY = 'lmh_sync_settings';
+  // localStorage key for the transactions kept by the "this device only" adapter.
+  const LOCAL_STORE_KEY = 'lmh_local_transactions';
+  // Current sync settings ({ adapter, url, source }) and the adapter built from
+  // them; set once the data is ready.
+  let syncSettings = null;
+  let syncAdapter = null;
+
+  // localStorage key holding transactions that have not reached the backend yet.
+  const OUTBOX_KEY = 'lmh_outbox';
+  // localStorage key holding transactions queued without a teacher session,
+  // which wait for a teacher to approve them on the Student Requests card.
+  // Entries already sent to the backend as requests are marked `sent`.
+  const REVIEW_KEY = 'lmh_review_queue';
+  // Open requests last pulled from the backend, shown to an unlocked teacher
+  // alongside this device's own.
+  let openRequests = [];
+  // Retry delays double from RETRY_BASE_MS up to RETRY_MAX_MS while sends fail.
+  const RETRY_BASE_MS = 2000;
+  const RETRY_MAX_MS = 5 * 60 * 1000;
+
+  // How often to pull the backend for transactions added on other devices.
+  const PULL_INTERVAL_MS = 60 * 1000;
+  // Fields that describe local sync state rather than the transaction itself.
+  const SYNC_ONLY_FIELDS = ['pending', 'clientId'];
+  // Fields every backend stores. Other fields (reasonId, kind, batchId,
+  // author, at, ...) only count when both versions carry them, since a Sheet
+  // without a column for one returns it blank.
+  const SYNC_CORE_FIELDS = ['studentId', 'groupId', 'delta', 'reason', 'date'];
+
+  // Outbox flush state. Only one flush runs at a time; failures push the next
+  // attempt further out until a send succeeds again.
+  let flushing = false;
+  let failureCount = 0;
+  let retryTimer = null;
+  let lastSyncError = '';
+  let pulling = false;
+  let selectorsWired = false;
+
+  // sessionStorage key for the current teacher unlock (signing key + expiry),
+  // so a reload in the same tab stays unlocked until the session expires.
+  const SESSION_KEY = 'lmh_teacher_session';
+  const DEFAULT_SESSION_MINUTES = 30;
+  // Unlocked teacher session: { key: CryptoKey, expires: ms timestamp }
+  let teacherSession = null;
+  let sessionTimer = null;
+  // Backends refuse a signature whose `issued` time is further than this from
+  // their clock. The outbox signs an entry again before sending it once its
+  // signature is half that old.
+  const SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+  const SIGNATURE_REFRESH_MS = SIGNATURE_MAX_AGE_MS / 2;
+  // Ids of outbox entries this page is still signing; a flush leaves them be
+  const signingIds = new Set();
+
+  // Columns a roster CSV can provide, with header names tried when guessing
+  // the column mapping. Each is labelled with its teacher.rosterField.<key>
+  // string.
+  const ROSTER_FIELDS = [
+    { key: 'sisId', guess: ['student id', 'sis id', 'id', 'student number'] },
+    { key: 'name', guess: ['name', 'student name', 'full name', 'student'] },
+    { key: 'firstName', guess: ['first name', 'first', 'given name'] },
+    { key: 'lastName', guess: ['last name', 'last', 'surname', 'family name'] },
+    { key: 'hour', guess: ['hour', 'period', 'class', 'section'] },
+    { key: 'group', guess: ['group', 'team', 'country'] },
+    { key: 'code', guess: ['code', 'student code'] }
+  ];
+  // Roster import in progress: { fileName, headers, rows, mapping, defaultHour, overrides, plan }
+  let rosterImport = null;
+
+  // localStorage key for the name recorded as author of voids and corrections.
+  const AUTHOR_KEY = 'lmh_teacher_name';
+  // How many entries the transaction log shows at once.
+  const LOG_LIMIT = 100;
+
+  // localStorage key for the address printed in code card QR codes.
+  const PRINT_URL_KEY = 'lmh_print_base_url';
+
+  /**
+   * Initialize the teacher portal: register the Teacher route, hook up the unlock form
+   * and build the selectors for hour, group and student.
+   */
+  function initTeacherPortal() {
+    // Only proceed if the necessary elements exist in the DOM.
+    const teacherTab = document.getElementById('tab-teacher');
+    const teacherSection = document.getElementById('teacher');
+    if (!teacherTab || !teacherSection) {
+      return;
+    }
+
+    // Unlock and lock buttons
+    const unlockBtn = document.getElementById('teacherUnlockBtn');
+    if (unlockBtn) {
+      unlockBtn.addEventListener('click', tryUnlockTeacher);
+    }
+    const passInput = document.getElementById('teacherPass');
+    if (passInput) {
+      passInput.addEventListener('keypress', e => {
+        if (e.key === 'Enter') tryUnlockTeacher();
+      });
+    }
+    const lockBtn = document.getElementById('teacherLockBtn');
+    if (lockBtn) {
+      lockBtn.addEventListener('click', () => lockTeacher(''));
+    }
+    // Add transaction button
+    const addBtn = document.getElementById('tpAddBtn');
+    if (addBtn) {
+      addBtn.addEventListener('click', addTeacherTransaction);
+    }
+    // Bulk award button
+    const bulkBtn = document.getElementById('tpBulkBtn');
+    if (bulkBtn) {
+      bulkBtn.addEventListener('click', awardBulkPoints);
+    }
+    // Export buttons
+    const exportBtn = document.getElementById('tpExportBtn');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', exportDataJson);
+    }
+    const exportStudentsBtn = document.getElementById('tpExportStudentsBtn');
+    if (exportStudentsBtn) {
+      exportStudentsBtn.addEventListener('click', exportStudentsCsv);
+    }
+    const exportTransactionsBtn = document.getElementById('tpExportTransactionsBtn');
+    if (exportTransactionsBtn) {
+      exportTransactionsBtn.addEventListener('click', exportTransactionsCsv);
+    }
+    // Roster import
+    const csvInput = document.getElementById('tpCsvFile');
+    if (csvInput) {
+      csvInput.addEventListener('change', () => {
+        if (csvInput.files[0]) loadRosterCsv(csvInput.files[0]);
+      });
+    }
+    const csvApplyBtn = document.getElementById('tpCsvApplyBtn');
+    if (csvApplyBtn) {
+      csvApplyBtn.addEventListener('click', applyRosterImport);
+    }
+    const removeMissing = document.getElementById('tpCsvRemoveMissing');
+    if (removeMissing) {
+      removeMissing.addEventListener('change', renderRosterPreview);
+    }
+    // Student code rotation
+    const codeHour = document.getElementById('tpCodeHour');
+    if (codeHour) {
+      codeHour.addEventListener('change', fillCodeStudents);
+    }
+    const rotateStudentBtn = document.getElementById('tpRotateStudentBtn');
+    if (rotateStudentBtn) {
+      rotateStudentBtn.addEventListener('click', rotateOneCode);
+    }
+    const rotateHourBtn = document.getElementById('tpRotateHourBtn');
+    if (rotateHourBtn) {
+      rotateHourBtn.addEventListener('click', rotateHourCodes);
+    }
+    // Printable code cards and roster sheets
+    const printHour = document.getElementById('tpPrintHour');
+    if (printHour) {
+      printHour.addEventListener('change', fillPrintGroups);
+    }
+    const printBaseInput = document.getElementById('tpPrintBaseUrl');
+    if (printBaseInput) {
+      printBaseInput.value = localStorage.getItem(PRINT_URL_KEY) || '';
+    }
+    const printCardsBtn = document.getElementById('tpPrintCardsBtn');
+    if (printCardsBtn) {
+      printCardsBtn.addEventListener('click', printCodeCards);
+    }
+    const printRosterBtn = document.getElementById('tpPrintRosterBtn');
+    if (printRosterBtn) {
+      printRosterBtn.addEventListener('click', printRosterSheet);
+    }
+    // Transaction log: author name and filter
+    const authorInput = document.getElementById('tpAuthor');
+    if (authorInput) {
+      authorInput.value = localStorage.getItem(AUTHOR_KEY) || '';
+      authorInput.addEventListener('change', () => localStorage.setItem(AUTHOR_KEY, authorInput.value.trim()));
+    }
+    const logSearch = document.getElementById('tpLogSearch');
+    if (logSearch) {
+      logSearch.addEventListener('input', renderTransactionLog);
+    }
+    // Data source: file picker, page-wide drop and forget button
+    const dataFileInput = document.getElementById('tpDataFile');
+    if (dataFileInput) {
+      dataFileInput.addEventListener('change', () => {
+        if (dataFileInput.files[0]) useDataFile(dataFileInput.files[0]);
+      });
+    }
+    const dataClearBtn = document.getElementById('tpDataClearBtn');
+    if (dataClearBtn) {
+      dataClearBtn.addEventListener('click', forgetDataFile);
+    }
+    // Sync backend settings
+    const syncAdapterSel = document.getElementById('tpSyncAdapter');
+    if (syncAdapterSel) {
+      syncAdapterSel.addEventListener('change', () => {
+        document.getElementById('tpSyncUrl').disabled = !SYNC_ADAPTERS[syncAdapterSel.value].needsUrl;
+      });
+    }
+    const syncSaveBtn = document.getElementById('tpSyncSaveBtn');
+    if (syncSaveBtn) {
+      syncSaveBtn.addEventListener('click', saveSyncSettings);
+    }
+    const syncResetBtn = document.getElementById('tpSyncResetBtn');
+    if (syncResetBtn) {
+      syncResetBtn.addEventListener('click', resetSyncSettings);
+    }
+    document.addEventListener('dragover', e => e.preventDefault());
+    document.addEventListener('drop', onDataFileDrop);
+    showDataSourceInfo();
+    // The Teacher tab is a view like the others, at #/teacher, with the log
+    // filter in its address (see the Router section of scoreboard.js)
+    registerRoute('teacher', { filters: { q: 'tpLogSearch' } });
+    // Follow the app-wide hour context
+    document.addEventListener('scoreboard:hourchange', () => {
+      fillHourSelect();
+      renderTransactionLog();
+    });
+    // Follow the language toggle (see the Language section of scoreboard.js)
+    document.addEventListener('scoreboard:localechange', relabelTeacherPortal);
+    // Set default date to today
+    const today = localIsoDate();
+    ['tpDate', 'tpBulkDate'].forEach(id => {
+      const dateInput = document.getElementById(id);
+      if (dateInput) dateInput.value = today;
+    });
+  }
+
+  /**
+   * Redo the portal's generated text in the current language. The Add Points
+   * form keeps its picked hour, group and student.
+   */
+  function relabelTeacherPortal() {
+    showDataSourceInfo();
+    if (syncAdapter) {
+      showSyncSettings();
+      updateSyncStatus();
+    }
+    if (!hasTeacherSession()) return;
+    const picked = ['tpHour', 'tpGroup', 'tpStudent'].map(id => document.getElementById(id).value);
+    populateTeacherSelectors();
+    showSessionInfo();
+    renderReviewQueue();
+    const [hourSel, groupSel, studentSel] = ['tpHour', 'tpGroup', 'tpStudent'].map(id => document.getElementById(id));
+    if (Array.from(hourSel.options).some(o => o.value === picked[0])) {
+      hourSel.value = picked[0];
+      fillGroupsForHour(picked[0]);
+      groupSel.value = picked[1];
+      fillStudentsForGroup(groupSel.value);
+      studentSel.value = picked[2];
+      renderTeacherPowerups();
+    }
+    if (rosterImport) {
+      renderRosterMapping();
+      renderRosterPreview();
+    }
+  }
+
+  /**
+   * Attempt to unlock the teacher portal using the provided passcode. The
+   * passcode is stretched with PBKDF2 and compared to teacherAuth.verifier;
+   * on success the derived signing key starts a teacher session.
+   */
+  async function tryUnlockTeacher() {
+    const passInput = document.getElementById('teacherPass');
+    const msgEl = document.getElementById('teacherMsg');
+    const unlockBtn = document.getElementById('teacherUnlockBtn');
+    if (!passInput || !msgEl) return;
+    if (dataSource && dataSource.id === 'url') {
+      msgEl.textContent = tr('teacher.urlDataLocked');
+      return;
+    }
+    const auth = window.scoreboardData && window.scoreboardData.teacherAuth;
+    if (!auth || !auth.salt || !auth.verifier) {
+      msgEl.textContent = tr('teacher.notSetUp');
+      return;
+    }
+    if (!window.crypto || !window.crypto.subtle) {
+      msgEl.textContent = tr('teacher.noWebCrypto');
+      return;
+    }
+    const entered = passInput.value.trim();
+    if (!entered) return;
+    msgEl.textContent = tr('teacher.checking');
+    if (unlockBtn) unlockBtn.disabled = true;
+    try {
+      const bits = await derivePasscodeBits(entered, auth);
+      if (bytesToBase64(bits.slice(0, 32)) !== auth.verifier) {
+        msgEl.textContent = tr('teacher.wrongPasscode');
+        return;
+      }
+      const minutes = auth.sessionMinutes || DEFAULT_SESSION_MINUTES;
+      const rawKey = bits.slice(32);
+      await startTeacherSession(rawKey, Date.now() + minutes * 60 * 1000);
+      saveTeacherSession(rawKey, teacherSession.expires);
+      passInput.value = '';
+      msgEl.textContent = '';
+    } catch (err) {
+      console.error(err);
+      msgEl.textContent = tr('teacher.checkFailed', { error: err.message });
+    } finally {
+      if (unlockBtn) unlockBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Run PBKDF2-SHA256 over a passcode with the salt and iteration count from
+   * teacherAuth. Returns 64 bytes: the verifier followed by the signing key.
+   *
+   * @param {string} passcode
+   * @param {Object} auth - scoreboardData.teacherAuth
+   * @returns {Promise<Uint8Array>}
+   */
+  async function derivePasscodeBits(passcode, auth) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passcode), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: base64ToBytes(auth.salt), iterations: auth.iterations, hash: 'SHA-256' },
+      material,
+      512
+    );
+    return new Uint8Array(bits);
+  }
+
+  /**
+   * Unlock the portal with a raw signing key until the given time, show the
+   * requests waiting for approval and send anything left in the outbox.
+   *
+   * @param {Uint8Array} rawKey
+   * @param {number} expires - ms timestamp
+   */
+  async function startTeacherSession(rawKey, expires) {
+    const key = await crypto.subtle.importKey('raw', rawKey, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    teacherSession = { key: key, expires: expires };
+    const lockedDiv = document.getElementById('teacher-locked');
+    const bodyDiv = document.getElementById('teacher-body');
+    if (lockedDiv) lockedDiv.style.display = 'none';
+    if (bodyDiv) bodyDiv.style.display = '';
+    populateTeacherSelectors();
+    showSessionInfo();
+    clearTimeout(sessionTimer);
+    sessionTimer = setTimeout(() => lockTeacher(tr('teacher.sessionExpired')), expires - Date.now());
+    renderReviewQueue();
+    flushOutbox();
+  }
+
+  /**
+   * Show until when the teacher session stays unlocked.
+   */
+  function showSessionInfo() {
+    const info = document.getElementById('teacherSessionInfo');
+    if (info && teacherSession) {
+      info.textContent = tr('teacher.unlockedUntil', { time: formatTime(teacherSession.expires) });
+    }
+  }
+
+  /**
+   * Lock the portal and forget the signing key.
+   *
+   * @param {string} message - Shown on the unlock form.
+   */
+  function lockTeacher(message) {
+    teacherSession = null;
+    clearTimeout(sessionTimer);
+    try {
+      sessionStorage.removeItem(SESSION_KEY);
+    } catch (e) {
+      /* ignore sessionStorage issues */
+    }
+    const lockedDiv = document.getElementById('teacher-locked');
+    const bodyDiv = document.getElementById('teacher-body');
+    const msgEl = document.getElementById('teacherMsg');
+    if (lockedDiv) lockedDiv.style.display = '';
+    if (bodyDiv) bodyDiv.style.display = 'none';
+    if (msgEl) msgEl.textContent = message;
+  }
+
+  /**
+   * Keep the session for reloads in this tab. sessionStorage is cleared when
+   * the tab closes, and the expiry is enforced on restore.
+   *
+   * @param {Uint8Array} rawKey
+   * @param {number} expires
+   */
+  function saveTeacherSession(rawKey, expires) {
+    try {
+      sessionStorage.setItem(SESSION_KEY, JSON.stringify({ key: bytesToBase64(rawKey), expires: expires }));
+    } catch (e) {
+      /* ignore sessionStorage issues */
+    }
+  }
+
+  /**
+   * Resume a teacher session saved earlier in this tab, if it has not
+   * expired and the data still has a teacher sign-in (data opened from a
+   * ?data= link has none).
+   */
+  function restoreTeacherSession() {
+    const auth = window.scoreboardData && window.scoreboardData.teacherAuth;
+    if (!auth || !auth.verifier) {
+      lockTeacher('');
+      return;
+    }
+    let saved = null;
+    try {
+      saved = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+    } catch (e) {
+      saved = null;
+    }
+    if (!saved || !saved.key || !(saved.expires > Date.now()) || !window.crypto || !window.crypto.subtle) {
+      lockTeacher('');
+      return;
+    }
+    startTeacherSession(base64ToBytes(saved.key), saved.expires).catch(err => {
+      console.error('Failed to restore the teacher session:', err);
+      lockTeacher('');
+    });
+  }
+
+  /**
+   * Sign a POST body with the teacher session's HMAC key.
+   *
+   * @param {Object} body - Body without an auth field.
+   * @returns {Promise<{issued: string, sig: string}>}
+   */
+  async function signPayload(body) {
+    const issued = new Date().toISOString();
+    const message = new TextEncoder().encode(issued + '.' + JSON.stringify(body));
+    const sig = await crypto.subtle.sign('HMAC', teacherSession.key, message);
+    return { issued: issued, sig: bytesToBase64(new Uint8Array(sig)) };
+  }
+
+  /**
+   * Check a signature made by signPayload with the teacher session's key.
+   *
+   * @param {Object} body - Body without an auth field.
+   * @param {{issued: string, sig: string}} auth
+   * @returns {Promise<boolean>}
+   */
+  async function verifyPayload(body, auth) {
+    if (!auth || !auth.issued || !auth.sig) return false;
+    const message = new TextEncoder().encode(auth.issued + '.' + JSON.stringify(body));
+    try {
+      return await crypto.subtle.verify('HMAC', teacherSession.key, base64ToBytes(auth.sig), message);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a teacher session is unlocked and has not expired.
+   *
+   * @returns {boolean}
+   */
+  function hasTeacherSession() {
+    return !!teacherSession && teacherSession.expires > Date.now();
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => {
+      binary += String.fromCharCode(b);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Uint8Array}
+   */
+  function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Populate hour, group, and student selectors and the reason quick picks
+   * based on the loaded data. Change listeners are attached only the first
+   * time.
+   */
+  function populateTeacherSelectors() {
+    const hourSelect = document.getElementById('tpHour');
+    const groupSelect = document.getElementById('tpGroup');
+    const studentSelect = document.getElementById('tpStudent');
+    if (!hourSelect || !groupSelect || !studentSelect) return;
+    if (!selectorsWired) {
+      // Populate group and student selects when hour changes
+      hourSelect.addEventListener('change', () => {
+        fillGroupsForHour(hourSelect.value);
+        fillStudentsForGroup(groupSelect.value);
+      });
+      groupSelect.addEventListener('change', () => {
+        fillStudentsForGroup(groupSelect.value);
+      });
+      studentSelect.addEventListener('change', renderTeacherPowerups);
+      wireBulkAwardForm();
+      wireReasonPicks('tpReasonPicks', 'tpReason');
+      wireReasonPicks('tpBulkReasonPicks', 'tpBulkReason');
+      selectorsWired = true;
+    }
+    renderReasonPicks('tpReasonPicks', 'tpDelta', 'tpReason');
+    renderReasonPicks('tpBulkReasonPicks', 'tpBulkDelta', 'tpBulkReason');
+    fillHourSelect();
+    renderTransactionLog();
+  }
+
+  /**
+   * Fill the hour select. When the app is scoped to one hour (see the Hour
+   * Context section of scoreboard.js) only that hour is offered.
+   */
+  function fillHourSelect() {
+    const hourSelect = document.getElementById('tpHour');
+    const groupSelect = document.getElementById('tpGroup');
+    if (!hourSelect || !groupSelect) return;
+    // Clear any existing options
+    hourSelect.innerHTML = '';
+    groupSelect.innerHTML = '';
+    document.getElementById('tpStudent').innerHTML = '';
+    const context = currentHour();
+    const hours = listHours().filter(h => !context || h.id === context);
+    hours.forEach(h => {
+      const opt = document.createElement('option');
+      opt.value = h.id;
+      opt.textContent = h.label;
+      hourSelect.appendChild(opt);
+    });
+    // Initialize selects with first hour
+    if (hours.length > 0) {
+      hourSelect.value = hours[0].id;
+      fillGroupsForHour(hours[0].id);
+      fillStudentsForGroup(groupSelect.value);
+    }
+    fillBulkHourSelect(hours);
+    fillCodeSelectors(hours);
+    fillPrintSelectors(hours);
+  }
+
+  /**
+   * Fill the group select with groups from the selected hour.
+   *
+   * @param {string} hour
+   */
+  function fillGroupsForHour(hour) {
+    const groupSelect = document.getElementById('tpGroup');
+    if (!groupSelect) return;
+    groupSelect.innerHTML = '';
+    const groups = (window.scoreboardData && window.scoreboardData.groups) || [];
+    groups
+      .filter(g => g.hour === hour)
+      .sort((a, b) => localized(a, 'name').localeCompare(localized(b, 'name')))
+      .forEach(g => {
+        const opt = document.createElement('option');
+        opt.value = g.id;
+        opt.textContent = localized(g, 'name');
+        groupSelect.appendChild(opt);
+      });
+    if (groupSelect.options.length > 0) {
+      groupSelect.value = groupSelect.options[0].value;
+    }
+  }
+
+  /**
+   * Fill the student select with students from the selected group.
+   *
+   * @param {string} groupId
+   */
+  function fillStudentsForGroup(groupId) {
+    const studentSelect = document.getElementById('tpStudent');
+    if (!studentSelect) return;
+    studentSelect.innerHTML = '';
+    const students = (window.scoreboardData && window.scoreboardData.students) || [];
+    students
+      .filter(s => s.groupId === groupId)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(s => {
+        const opt = document.createElement('option');
+        opt.value = s.id;
+        opt.textContent = s.name;
+        studentSelect.appendChild(opt);
+      });
+    // Points for the group itself count for the group but no student. Every
+    // group gets the option, so an empty or new group can be given points too
+    const opt = document.createElement('option');
+    opt.value = '';
+    opt.textContent = tr('teacher.wholeGroupOption');
+    studentSelect.appendChild(opt);
+    studentSelect.value = studentSelect.options[0].value;
+    renderTeacherPowerups();
+    renderTeacherPetPowers();
+  }
+
+  /**
+   * Add a transaction via the teacher portal. The transaction is applied
+   * locally as pending and queued in the outbox, which sends it to Google
+   * Sheets as soon as the network allows.
+   */
+  function addTeacherTransaction() {
+    const hourSel = document.getElementById('tpHour');
+    const groupSel = document.getElementById('tpGroup');
+    const studentSel = document.getElementById('tpStudent');
+    const deltaInput = document.getElementById('tpDelta');
+    const reasonInput = document.getElementById('tpReason');
+    const dateInput = document.getElementById('tpDate');
+    const msgEl = document.getElementById('tpAddMsg');
+    if (!hourSel || !groupSel || !studentSel || !deltaInput || !msgEl) return;
+    const groupId = groupSel.value;
+    const studentId = studentSel.value;
+    const delta = parseFloat(deltaInput.value || '0');
+    const reason = reasonInput.value.trim() || tr('teacher.adjustment');
+    const date = dateInput.value;
+    if (!groupId || isNaN(delta) || delta === 0) {
+      msgEl.textContent = tr('teacher.addInvalid');
+      return;
+    }
+    const fields = {
+      studentId: studentId,
+      groupId: groupId,
+      delta: delta,
+      reason: reason,
+      date: date || localIsoDate()
+    };
+    // "Whole group" leaves the transaction without a student
+    if (!studentId) delete fields.studentId;
+    queueTransaction(withReasonId(fields));
+    const target = studentId
+      ? studentSel.options[studentSel.selectedIndex].textContent
+      : tr('teacher.asWholeGroup', { group: groupSel.options[groupSel.selectedIndex].textContent });
+    msgEl.textContent = tr('teacher.added', { points: formatSigned(delta), target: target });
+    renderTeacherPowerups();
+    renderTeacherPetPowers();
+  }
+
+  /**
+   * Show the reason catalog (see the Reason Catalog section of scoreboard.js)
+   * as quick-pick buttons, one row per category. Picking one fills in the
+   * reason, in the current language, and its default points.
+   *
+   * @param {string} containerId
+   * @param {string} deltaId - Points input to fill
+   * @param {string} reasonId - Reason input to fill
+   */
+  function renderReasonPicks(containerId, deltaId, reasonId) {
+    const container = document.getElementById(containerId);
+    const deltaInput = document.getElementById(deltaId);
+    const reasonInput = document.getElementById(reasonId);
+    if (!container || !deltaInput || !reasonInput) return;
+    container.innerHTML = '';
+    const reasons = window.scoreboardData.reasons || [];
+    REASON_CATEGORIES.forEach(category => {
+      const entries = reasons.filter(r => r.category === category.id);
+      if (entries.length === 0) return;
+      const row = document.createElement('div');
+      row.className = 'reason-pick-row';
+      const label = document.createElement('span');
+      label.className = 'small';
+      label.textContent = reasonCategoryLabel(category.id);
+      row.appendChild(label);
+      entries.forEach(r => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn reason-pick ' + category.id;
+        btn.dataset.reason = r.id;
+        btn.textContent = `${localized(r, 'label')} ${formatSigned(r.delta)}`;
+        btn.addEventListener('click', () => {
+          deltaInput.value = r.delta;
+          reasonInput.value = localized(r, 'label');
+          // Let listeners such as the Bulk Award preview catch up
+          deltaInput.dispatchEvent(new Event('input'));
+          markPickedReason(container, reasonInput.value);
+        });
+        row.appendChild(btn);
+      });
+      container.appendChild(row);
+    });
+    markPickedReason(container, reasonInput.value);
+  }
+
+  /**
+   * Keep the quick picks' highlight in step with the typed reason. Called
+   * once per form, as the picks themselves are rebuilt on a language change.
+   *
+   * @param {string} containerId
+   * @param {string} reasonId - Reason input to watch
+   */
+  function wireReasonPicks(containerId, reasonId) {
+    const container = document.getElementById(containerId);
+    const reasonInput = document.getElementById(reasonId);
+    if (!container || !reasonInput) return;
+    reasonInput.addEventListener('input', () => markPickedReason(container, reasonInput.value));
+  }
+
+  /**
+   * Highlight the quick pick matching the typed reason, if any.
+   *
+   * @param {HTMLElement} container
+   * @param {string} reasonText
+   */
+  function markPickedReason(container, reasonText) {
+    const picked = findReasonByLabel(reasonText);
+    container.querySelectorAll('.reason-pick').forEach(btn => {
+      btn.classList.toggle('active', !!picked && btn.dataset.reason === picked.id);
+    });
+  }
+
+  /**
+   * Record the catalog id of a transaction's reason as `reasonId` when its
+   * reason text is a catalog label in either language.
+   *
+   * @param {Object} fields - Transaction fields; changed in place.
+   * @returns {Object} The same fields
+   */
+  function withReasonId(fields) {
+    const reason = findReasonByLabel(fields.reason);
+    if (reason) fields.reasonId = reason.id;
+    return fields;
+  }
+
+  /**
+   * Apply a transaction locally as pending, queue it in the outbox and start
+   * sending it. Also used by scoreboard.js for powerup purchases. Without a
+   * teacher session it waits on the Student Requests card instead.
+   *
+   * @param {Object} fields - Transaction fields without an id.
+   * @returns {Object} The pending transaction as added to the local data.
+   */
+  function queueTransaction(fields) {
+    return queueTransactions([fields])[0];
+  }
+
+  /**
+   * Queue several transactions at once. They all reach the outbox before the
+   * flush starts, so a bulk award's batch is sent as one request.
+   *
+   * @param {Array<Object>} list - Transaction fields without ids.
+   * @returns {Array<Object>} The pending transactions as added to the local data.
+   */
+  function queueTransactions(list) {
+    const txs = list.map(fields => Object.assign({ id: newLocalId() }, fields));
+    // Update local scoreboardData first so the leaderboard updates immediately
+    if (!Array.isArray(window.scoreboardData.transactions)) {
+      window.scoreboardData.transactions = [];
+    }
+    const locals = txs.map(tx => Object.assign({ pending: true }, tx));
+    locals.forEach(local => window.scoreboardData.transactions.push(local));
+    if (hasTeacherSession()) {
+      // Store the entries before signing them, so closing the page meanwhile
+      // cannot lose them; one left unsigned waits on Student Requests instead
+      txs.forEach(tx => signingIds.add(tx.id));
+      enqueueTransactions(txs);
+      signTransactions(txs)
+        .then(updateOutboxEntries)
+        .catch(err => console.error('Failed to sign transactions:', err))
+        .finally(() => {
+          txs.forEach(tx => signingIds.delete(tx.id));
+          flushOutbox();
+        });
+    } else {
+      enqueueForReview(txs);
+      flushOutbox();
+    }
+    refreshLeaderboards();
+    return locals;
+  }
+
+  /**
+   * Sign transactions for the outbox with the teacher session's key. The
+   * signature is stored with each entry and stays valid for later retries.
+   *
+   * @param {Array<Object>} txs - Transactions with their local ids.
+   * @returns {Promise<Array<Object>>} Copies carrying `auth`
+   */
+  function signTransactions(txs) {
+    return Promise.all(txs.map(async tx => Object.assign({}, tx, { auth: await signPayload(toSyncPayload(tx)) })));
+  }
+
+  /**
+   * Make sure a group of outbox entries carries signatures the backend still
+   * accepts. Entries signed too long ago are checked against their old
+   * signature and signed again, which needs a teacher session; an entry whose
+   * old signature does not hold was not queued by a teacher and moves to
+   * Student Requests.
+   *
+   * @param {Array<Object>} group
+   * @returns {Promise<Array<Object>|null>} The entries to send (possibly
+   *   none), or null if they have to wait for a teacher to sign in
+   */
+  async function freshSignatures(group) {
+    const stale = group.some(e => !(Date.now() - Date.parse(e.auth.issued) < SIGNATURE_REFRESH_MS));
+    if (!stale) return group;
+    if (!hasTeacherSession()) {
+      lastSyncError = tr('teacher.syncNeedsTeacher');
+      return null;
+    }
+    const valid = await Promise.all(group.map(e => verifyPayload(toSyncPayload(e), e.auth)));
+    const forged = group.filter((e, i) => !valid[i]);
+    if (forged.length > 0) {
+      const ids = new Set(forged.map(e => e.id));
+      writeOutbox(readOutbox().filter(e => !ids.has(e.id)));
+      enqueueForReview(forged);
+    }
+    const signed = await signTransactions(group.filter((e, i) => valid[i]));
+    updateOutboxEntries(signed);
+    return signed;
+  }
+
+  /**
+   * List the transactions waiting for a teacher's approval, this device's
+   * and those pulled from the backend, oldest first, each with Approve and
+   * Reject buttons. Approving signs the transaction and sends it like one
+   * queued by the teacher; rejecting drops it.
+   */
+  function renderReviewQueue() {
+    const container = document.getElementById('tpRequests');
+    if (!container || !hasTeacherSession()) return;
+    const data = window.scoreboardData;
+    container.innerHTML = '';
+    const entries = readReviewQueue();
+    // Requests approved here are left out until the backend closes them
+    const known = new Set(entries.concat(readOutbox()).map(e => e.id));
+    data.transactions.forEach(t => {
+      if (!t.pending) known.add(t.id);
+    });
+    openRequests.forEach(r => {
+      if (!known.has(r.id)) entries.push(r);
+    });
+    if (entries.length === 0) {
+      const none = document.createElement('p');
+      none.className = 'no-data';
+      none.textContent = tr('teacher.requestsNone');
+      container.appendChild(none);
+      return;
+    }
+    entries.forEach(tx => {
+      const student = (data.students || []).find(s => s.id === tx.studentId);
+      const group = (data.groups || []).find(g => g.id === tx.groupId);
+      const row = document.createElement('div');
+      row.className = 'shop-row';
+      const label = document.createElement('span');
+      label.textContent = tr('teacher.requestLine', {
+        date: formatDate(tx.date),
+        who: student ? student.name : tx.studentId || tr('teacher.logWholeGroup'),
+        group: group ? localized(group, 'name') : tx.groupId,
+        points: formatSigned(tx.delta),
+        reason: transactionReason(tx)
+      });
+      const actions = document.createElement('div');
+      const approveBtn = document.createElement('button');
+      approveBtn.className = 'btn';
+      approveBtn.textContent = tr('teacher.approve');
+      approveBtn.addEventListener('click', () => approveRequest(tx, student));
+      const rejectBtn = document.createElement('button');
+      rejectBtn.className = 'btn';
+      rejectBtn.style.marginLeft = '0.35rem';
+      rejectBtn.textContent = tr('teacher.reject');
+      rejectBtn.addEventListener('click', () => rejectRequest(tx, student));
+      actions.append(approveBtn, rejectBtn);
+      row.append(label, actions);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Sign a waiting transaction and move it to the outbox.
+   *
+   * @param {Object} tx - Entry of the review queue.
+   * @param {Object} [student]
+   */
+  async function approveRequest(tx, student) {
+    const msgEl = document.getElementById('tpRequestMsg');
+    const vars = { reason: transactionReason(tx), who: student ? student.name : tr('teacher.logWholeGroup') };
+    const entry = Object.assign({}, tx);
+    delete entry.sent;
+    try {
+      const [signed] = await signTransactions([entry]);
+      writeReviewQueue(readReviewQueue().filter(e => e.id !== tx.id));
+      openRequests = openRequests.filter(r => r.id !== tx.id);
+      const txs = window.scoreboardData.transactions;
+      if (!txs.some(t => t.id === entry.id)) {
+        txs.push(Object.assign({ pending: true }, entry));
+        refreshLeaderboards();
+      }
+      enqueueTransactions([signed]);
+      if (msgEl) msgEl.textContent = tr('teacher.approved', vars);
+      flushOutbox();
+    } catch (err) {
+      if (msgEl) msgEl.textContent = err.message;
+    }
+    renderReviewQueue();
+  }
+
+  /**
+   * Drop a waiting transaction and take its pending points back off the
+   * local data. A request the backend holds is closed there first.
+   *
+   * @param {Object} tx - Entry of the review queue or an open request.
+   * @param {Object} [student]
+   */
+  async function rejectRequest(tx, student) {
+    const msgEl = document.getElementById('tpRequestMsg');
+    const remote = tx.sent || openRequests.some(r => r.id === tx.id);
+    if (remote && syncAdapter && syncAdapter.configured && syncAdapter.rejectRequest) {
+      const body = { rejectRequest: tx.id };
+      try {
+        if (syncAdapter.signed) body.auth = await signPayload({ rejectRequest: tx.id });
+        await syncAdapter.rejectRequest(body);
+      } catch (err) {
+        if (msgEl) msgEl.textContent = err.message;
+        return;
+      }
+    }
+    openRequests = openRequests.filter(r => r.id !== tx.id);
+    writeReviewQueue(readReviewQueue().filter(e => e.id !== tx.id));
+    const txs = window.scoreboardData.transactions;
+    const index = txs.findIndex(t => t.id === tx.id && t.pending);
+    if (index !== -1) txs.splice(index, 1);
+    if (msgEl) {
+      msgEl.textContent = tr('teacher.rejected', { reason: transactionReason(tx), who: student ? student.name : tr('teacher.logWholeGroup') });
+    }
+    refreshLeaderboards();
+    renderReviewQueue();
+  }
+
+  /**
+   * Show the powerup shop and owned powerups for the student picked in the
+   * Add Points form, so the teacher can buy on their behalf or mark a
+   * powerup as used.
+   */
+  function renderTeacherPowerups() {
+    const container = document.getElementById('tpPowerups');
+    const studentSel = document.getElementById('tpStudent');
+    const msgEl = document.getElementById('tpPowerupMsg');
+    if (!container || !studentSel || typeof powerupLedgerForStudent !== 'function') return;
+    container.innerHTML = '';
+    const students = (window.scoreboardData && window.scoreboardData.students) || [];
+    const student = students.find(s => s.id === studentSel.value);
+    if (!student) return;
+    const balance = computeStudentTotals()[student.id] || 0;
+    const shopRow = document.createElement('div');
+    shopRow.className = 'powerups';
+    (window.scoreboardData.powerups || []).filter(p => p.cost > 0).forEach(p => {
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.style.margin = '0 0.35rem 0.35rem 0';
+      btn.textContent = tr('teacher.buy', { powerup: localized(p, 'label'), cost: p.cost });
+      btn.disabled = balance < p.cost;
+      btn.addEventListener('click', () => {
+        try {
+          buyPowerup(student, p.id);
+          msgEl.textContent = tr('teacher.bought', { student: student.name, powerup: localized(p, 'label') });
+        } catch (err) {
+          msgEl.textContent = err.message;
+        }
+        renderTeacherPowerups();
+      });
+      shopRow.appendChild(btn);
+    });
+    container.appendChild(shopRow);
+    const ledger = powerupLedgerForStudent(student.id).filter(e => e.active);
+    if (ledger.length === 0) {
+      const none = document.createElement('p');
+      none.className = 'small';
+      none.textContent = tr('teacher.noUnusedPowerups', { student: student.name, balance: balance });
+      container.appendChild(none);
+      return;
+    }
+    ledger.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'shop-row';
+      const label = document.createElement('span');
+      const vars = { powerup: localized(entry.powerup, 'label'), date: formatDate(entry.purchase.date), uses: entry.uses.length };
+      label.textContent = tr(entry.uses.length > 0 ? 'teacher.boughtOnUsed' : 'teacher.boughtOn', vars);
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = tr('teacher.markUsed');
+      btn.addEventListener('click', () => {
+        try {
+          redeemPowerup(student, entry.purchaseId);
+          msgEl.textContent = tr('teacher.markedUsed', { powerup: vars.powerup, student: student.name });
+        } catch (err) {
+          msgEl.textContent = err.message;
+        }
+        renderTeacherPowerups();
+      });
+      row.appendChild(label);
+      row.appendChild(btn);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Show the earned pets of the group picked in the Add Points form with
+   * their power uses this unit, so the teacher can record a use.
+   */
+  function renderTeacherPetPowers() {
+    const container = document.getElementById('tpPetPowers');
+    const groupSel = document.getElementById('tpGroup');
+    const msgEl = document.getElementById('tpPetPowerMsg');
+    if (!container || !groupSel || typeof petCompanion !== 'function') return;
+    container.innerHTML = '';
+    const group = (window.scoreboardData.groups || []).find(g => g.id === groupSel.value);
+    if (!group) return;
+    const points = computeGroupTotals()[group.id] || 0;
+    const records = petRecords();
+    const period = currentPetUsePeriod();
+    const { earned } = petsEarnedForPoints(points, window.scoreboardData.pets || []);
+    if (earned.length === 0) {
+      const none = document.createElement('p');
+      none.className = 'small';
+      none.textContent = tr('teacher.noPetYet', { group: localized(group, 'name'), points: points });
+      container.appendChild(none);
+      return;
+    }
+    earned.forEach(pet => {
+      const companion = petCompanion(pet, group.id, points, records, period);
+      const row = document.createElement('div');
+      row.className = 'shop-row';
+      const label = document.createElement('span');
+      label.textContent = `${companion.nickname || localized(companion.form.stage, 'name')}: ` +
+        `${localized(pet, 'desc') || localized(pet, 'name')} (${petUsesText(companion)})`;
+      const btn = document.createElement('button');
+      btn.className = 'btn';
+      btn.textContent = tr('teacher.recordUse');
+      btn.disabled = !!companion.limit && companion.used >= companion.limit;
+      btn.addEventListener('click', () => {
+        try {
+          usePetPower(group, pet.id);
+          msgEl.textContent = tr('teacher.recordedUse', { pet: localized(pet, 'name'), group: localized(group, 'name') });
+        } catch (err) {
+          msgEl.textContent = err.message;
+        }
+        renderTeacherPetPowers();
+      });
+      row.appendChild(label);
+      row.appendChild(btn);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Attach the change listeners of the Bulk Award form. Called once, together
+   * with the Add Points selectors.
+   */
+  function wireBulkAwardForm() {
+    const hourSel = document.getElementById('tpBulkHour');
+    const modeSel = document.getElementById('tpBulkMode');
+    const groupSel = document.getElementById('tpBulkGroup');
+    const picker = document.getElementById('tpBulkPicker');
+    const deltaInput = document.getElementById('tpBulkDelta');
+    if (!hourSel || !modeSel || !groupSel || !picker || !deltaInput) return;
+    hourSel.addEventListener('change', fillBulkGroups);
+    modeSel.addEventListener('change', renderBulkPicker);
+    groupSel.addEventListener('change', renderBulkPreview);
+    picker.addEventListener('change', renderBulkPreview);
+    deltaInput.addEventListener('input', renderBulkPreview);
+  }
+
+  /**
+   * Fill the Bulk Award hour select with the same hours as the Add Points
+   * form.
+   *
+   * @param {Array<{id: string, label: string}>} hours
+   */
+  function fillBulkHourSelect(hours) {
+    const hourSel = document.getElementById('tpBulkHour');
+    if (!hourSel) return;
+    hourSel.innerHTML = '';
+    hours.forEach(h => {
+      const opt = document.createElement('option');
+      opt.value = h.id;
+      opt.textContent = h.label;
+      hourSel.appendChild(opt);
+    });
+    fillBulkGroups();
+  }
+
+  /**
+   * Groups of the hour picked in the Bulk Award form, sorted by name.
+   *
+   * @returns {Array<Object>}
+   */
+  function bulkHourGroups() {
+    const hourSel = document.getElementById('tpBulkHour');
+    const groups = (window.scoreboardData && window.scoreboardData.groups) || [];
+    return groups
+      .filter(g => hourSel && g.hour === hourSel.value)
+      .sort((a, b) => localized(a, 'name').localeCompare(localized(b, 'name')));
+  }
+
+  /**
+   * Fill the Bulk Award group select for the picked hour, then rebuild the
+   * student checkboxes.
+   */
+  function fillBulkGroups() {
+    const groupSel = document.getElementById('tpBulkGroup');
+    if (!groupSel) return;
+    groupSel.innerHTML = '';
+    bulkHourGroups().forEach(g => {
+      const opt = document.createElement('option');
+      opt.value = g.id;
+      opt.textContent = localized(g, 'name');
+      groupSel.appendChild(opt);
+    });
+    renderBulkPicker();
+  }
+
+  /**
+   * Show the controls for the picked mode: the group select for "Whole
+   * group", or one checkbox per student of the hour, grouped by group, for
+   * "Pick students".
+   */
+  function renderBulkPicker() {
+    const modeSel = document.getElementById('tpBulkMode');
+    const groupSel = document.getElementById('tpBulkGroup');
+    const picker = document.getElementById('tpBulkPicker');
+    if (!modeSel || !groupSel || !picker) return;
+    groupSel.style.display = modeSel.value === 'group' ? '' : 'none';
+    picker.innerHTML = '';
+    if (modeSel.value === 'pick') {
+      const students = window.scoreboardData.students || [];
+      bulkHourGroups().forEach(g => {
+        const members = students
+          .filter(s => s.groupId === g.id)
+          .sort((a, b) => a.name.localeCompare(b.name));
+        if (members.length === 0) return;
+        const set = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        const all = document.createElement('input');
+        all.type = 'checkbox';
+        all.addEventListener('change', () => {
+          set.querySelectorAll('input[data-student]').forEach(box => {
+            box.checked = all.checked;
+          });
+        });
+        legend.appendChild(all);
+        legend.appendChild(document.createTextNode(' ' + localized(g, 'name')));
+        set.appendChild(legend);
+        members.forEach(s => {
+          const label = document.createElement('label');
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.dataset.student = s.id;
+          label.appendChild(box);
+          label.appendChild(document.createTextNode(' ' + s.name));
+          set.appendChild(label);
+        });
+        picker.appendChild(set);
+      });
+    }
+    renderBulkPreview();
+  }
+
+  /**
+   * Students the Bulk Award form currently targets.
+   *
+   * @returns {Array<Object>}
+   */
+  function selectedBulkStudents() {
+    const modeSel = document.getElementById('tpBulkMode');
+    const groupSel = document.getElementById('tpBulkGroup');
+    const students = (window.scoreboardData && window.scoreboardData.students) || [];
+    if (!modeSel || !groupSel) return [];
+    if (modeSel.value === 'group') {
+      return students.filter(s => s.groupId === groupSel.value);
+    }
+    if (modeSel.value === 'hour') {
+      const groupIds = new Set(bulkHourGroups().map(g => g.id));
+      return students.filter(s => groupIds.has(s.groupId));
+    }
+    const picked = new Set(
+      Array.from(document.querySelectorAll('#tpBulkPicker input[data-student]:checked')).map(box => box.dataset.student)
+    );
+    return students.filter(s => picked.has(s.id));
+  }
+
+  /**
+   * Preview the award before it is committed: for every group touched, how
+   * many students get points and how the group total changes.
+   */
+  function renderBulkPreview() {
+    const preview = document.getElementById('tpBulkPreview');
+    const deltaInput = document.getElementById('tpBulkDelta');
+    const btn = document.getElementById('tpBulkBtn');
+    if (!preview || !deltaInput) return;
+    const delta = parseFloat(deltaInput.value || '0');
+    const students = selectedBulkStudents();
+    const valid = students.length > 0 && !isNaN(delta) && delta !== 0;
+    if (btn) btn.disabled = !valid;
+    preview.innerHTML = '';
+    if (!valid) {
+      const none = document.createElement('p');
+      none.className = 'small';
+      none.textContent = students.length === 0 ? tr('teacher.noneSelected') : trCount('teacher.selected', students.length);
+      preview.appendChild(none);
+      return;
+    }
+    const totals = computeGroupTotals();
+    const counts = {};
+    students.forEach(s => {
+      counts[s.groupId] = (counts[s.groupId] || 0) + 1;
+    });
+    Object.keys(counts).forEach(groupId => {
+      const group = window.scoreboardData.groups.find(g => g.id === groupId);
+      const change = counts[groupId] * delta;
+      const before = totals[groupId] || 0;
+      const row = document.createElement('div');
+      row.className = 'bulk-preview-row';
+      const name = document.createElement('span');
+      name.textContent = `${group ? localized(group, 'name') : groupId}: ${formatNumber(counts[groupId])} × ${formatSigned(delta)}`;
+      const result = document.createElement('strong');
+      result.textContent = `${formatSigned(change)} (${formatNumber(before)} → ${formatNumber(before + change)})`;
+      row.appendChild(name);
+      row.appendChild(result);
+      preview.appendChild(row);
+    });
+  }
+
+  /**
+   * Award the Bulk Award form's points: one transaction per selected
+   * student, all sharing a batchId so the outbox sends them to the Sheet in
+   * a single request.
+   */
+  function awardBulkPoints() {
+    const deltaInput = document.getElementById('tpBulkDelta');
+    const reasonInput = document.getElementById('tpBulkReason');
+    const dateInput = document.getElementById('tpBulkDate');
+    const msgEl = document.getElementById('tpBulkMsg');
+    if (!deltaInput || !msgEl) return;
+    const students = selectedBulkStudents();
+    const delta = parseFloat(deltaInput.value || '0');
+    if (students.length === 0 || isNaN(delta) || delta === 0) {
+      msgEl.textContent = tr('teacher.bulkInvalid');
+      return;
+    }
+    const reason = reasonInput.value.trim() || tr('teacher.adjustment');
+    const date = dateInput.value || localIsoDate();
+    const batchId = newBatchId();
+    queueTransactions(students.map(s => withReasonId({
+      studentId: s.id,
+      groupId: s.groupId,
+      delta: delta,
+      reason: reason,
+      date: date,
+      batchId: batchId
+    })));
+    msgEl.textContent = trCount('teacher.awarded', students.length, { points: formatSigned(delta) });
+    renderBulkPicker();
+    renderTeacherPowerups();
+  }
+
+  /**
+   * List the transactions of the current hour context, newest first, with
+   * their audit status and Void / Edit actions. Voided entries stay listed,
+   * struck through.
+   */
+  function renderTransactionLog() {
+    const container = document.getElementById('tpLog');
+    const searchInput = document.getElementById('tpLogSearch');
+    const data = window.scoreboardData;
+    if (!container || !data || typeof voidedTransactionIds !== 'function') return;
+    const query = searchInput ? searchInput.value.trim().toLowerCase() : '';
+    const studentsById = {};
+    (data.students || []).forEach(s => {
+      studentsById[s.id] = s;
+    });
+    const groupsById = {};
+    (data.groups || []).forEach(g => {
+      groupsById[g.id] = g;
+    });
+    const voided = voidedTransactionIds();
+    // The latest void entry for each voided id, for the status line
+    const voidOf = {};
+    data.transactions.forEach(t => {
+      if (t.kind === 'void' && t.voids) voidOf[t.voids] = t;
+    });
+    const rows = data.transactions
+      .map((t, i) => ({ t, i }))
+      .filter(({ t }) => {
+        const group = groupsById[t.groupId];
+        if (group && !groupInHourContext(group)) return false;
+        if (!query) return true;
+        const student = studentsById[t.studentId];
+        return [student && student.name, group && group.name, group && localized(group, 'name'), t.reason, transactionReason(t), t.id]
+          .some(v => v && String(v).toLowerCase().includes(query));
+      })
+      .sort((a, b) => (a.t.date < b.t.date ? 1 : a.t.date > b.t.date ? -1 : b.i - a.i))
+      .slice(0, LOG_LIMIT);
+    container.innerHTML = '';
+    if (rows.length === 0) {
+      const none = document.createElement('p');
+      none.className = 'no-data';
+      none.textContent = tr('teacher.logNone');
+      container.appendChild(none);
+      return;
+    }
+    rows.forEach(({ t }) => {
+      const student = studentsById[t.studentId];
+      const group = groupsById[t.groupId];
+      const isVoided = voided.has(t.id);
+      const row = document.createElement('div');
+      row.className = 'shop-row log-row' + (isVoided ? ' voided' : '');
+      const info = document.createElement('div');
+      const main = document.createElement('div');
+      main.className = 'log-main';
+      const who = student ? student.name : t.studentId || tr('teacher.logWholeGroup');
+      main.textContent = `${formatDate(t.date)} · ${who} · ${group ? localized(group, 'name') : t.groupId} · ` +
+        `${formatSigned(t.delta)} ${transactionReason(t)}`;
+      const status = document.createElement('div');
+      status.className = 'small';
+      const notes = [t.id];
+      if (t.pending) notes.push(tr('teacher.logPending'));
+      if (t.kind === 'void') notes.push(tr('teacher.logVoids', { id: t.voids }) + auditByline(t));
+      if (t.corrects) notes.push(tr('teacher.logCorrects', { id: t.corrects }) + auditByline(t));
+      if (isVoided && voidOf[t.id]) notes.push(tr('teacher.logVoided') + auditByline(voidOf[t.id]));
+      status.textContent = notes.join(' · ');
+      info.appendChild(main);
+      info.appendChild(status);
+      row.appendChild(info);
+      const actions = document.createElement('div');
+      // Pending entries only have a local id until the Sheet confirms them
+      if (!t.pending && !isVoided) {
+        const voidBtn = document.createElement('button');
+        voidBtn.className = 'btn';
+        voidBtn.textContent = tr(t.kind === 'void' ? 'teacher.undoVoid' : 'teacher.void');
+        voidBtn.addEventListener('click', () => voidTransaction(t));
+        actions.appendChild(voidBtn);
+        if (t.kind !== 'void' && t.kind !== 'purchase' && t.kind !== 'redeem' && !PET_RECORD_KINDS.includes(t.kind)) {
+          const editBtn = document.createElement('button');
+          editBtn.className = 'btn';
+          editBtn.style.marginLeft = '0.35rem';
+          editBtn.textContent = tr('teacher.edit');
+          editBtn.addEventListener('click', () => showCorrectionForm(actions, t));
+          actions.appendChild(editBtn);
+        }
+      }
+      row.appendChild(actions);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Describe who made an audit entry and when, e.g. " by Ms. R at 10/3, 9:14 AM".
+   *
+   * @param {Object} t - A void or correction entry.
+   * @returns {string}
+   */
+  function auditByline(t) {
+    let text = t.author ? tr('teacher.byAuthor', { author: t.author }) : '';
+    if (t.at) text += tr('teacher.atTime', { time: formatTime(t.at, true) });
+    return text;
+  }
+
+  /**
+   * Swap a log row's buttons for inline inputs to correct the entry's points
+   * and reason.
+   *
+   * @param {HTMLElement} actions - The row's action cell.
+   * @param {Object} t - The transaction to correct.
+   */
+  function showCorrectionForm(actions, t) {
+    actions.innerHTML = '';
+    const deltaInput = document.createElement('input');
+    deltaInput.type = 'number';
+    deltaInput.value = t.delta;
+    deltaInput.style.maxWidth = '6rem';
+    const reasonInput = document.createElement('input');
+    reasonInput.type = 'text';
+    reasonInput.value = t.reason || '';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn';
+    saveBtn.textContent = tr('teacher.save');
+    saveBtn.addEventListener('click', () => {
+      const delta = parseFloat(deltaInput.value || '0');
+      const msgEl = document.getElementById('tpLogMsg');
+      if (isNaN(delta) || delta === 0) {
+        if (msgEl) msgEl.textContent = tr('teacher.correctInvalid');
+        return;
+      }
+      correctTransaction(t, delta, reasonInput.value.trim() || t.reason);
+    });
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'btn';
+    cancelBtn.style.marginLeft = '0.35rem';
+    cancelBtn.textContent = tr('teacher.cancel');
+    cancelBtn.addEventListener('click', renderTransactionLog);
+    actions.appendChild(deltaInput);
+    actions.appendChild(reasonInput);
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+  }
+
+  /**
+   * Build the compensating entry that voids a transaction. Voiding a void
+   * entry reinstates the transaction it voided.
+   *
+   * @param {Object} t
+   * @param {string} at - ISO timestamp of the correction.
+   * @returns {Object}
+   */
+  function voidEntryFor(t, at) {
+    const entry = {
+      kind: 'void',
+      voids: t.id,
+      studentId: t.studentId,
+      groupId: t.groupId,
+      delta: 0,
+      reason: tr(t.kind === 'void' ? 'teacher.undoReason' : 'teacher.voidReason', { reason: t.reason || '' }),
+      date: localIsoDate(new Date(at)),
+      author: teacherAuthor(),
+      at: at
+    };
+    // Voids of group transactions stay without a student too
+    if (!entry.studentId) delete entry.studentId;
+    return entry;
+  }
+
+  /**
+   * Void a transaction after the teacher confirms.
+   *
+   * @param {Object} t
+   */
+  function voidTransaction(t) {
+    const msgEl = document.getElementById('tpLogMsg');
+    const question = t.kind === 'void'
+      ? tr('teacher.confirmUndoVoid', { id: t.voids })
+      : tr('teacher.confirmVoid', { points: formatSigned(t.delta), reason: transactionReason(t), date: formatDate(t.date) });
+    if (!confirm(question)) return;
+    queueTransaction(voidEntryFor(t, new Date().toISOString()));
+    if (msgEl) msgEl.textContent = t.kind === 'void' ? tr('teacher.reinstated', { id: t.voids }) : tr('teacher.voided', { id: t.id });
+  }
+
+  /**
+   * Correct a transaction: void it and add a corrected copy that points back
+   * to the original. Both share a batchId so they reach the Sheet together.
+   *
+   * @param {Object} t
+   * @param {number} delta
+   * @param {string} reason
+   */
+  function correctTransaction(t, delta, reason) {
+    const at = new Date().toISOString();
+    const corrected = Object.assign({}, t, { delta: delta, reason: reason, corrects: t.id, author: teacherAuthor(), at: at });
+    ['id', 'pending', 'clientId', 'batchId', 'reasonId'].forEach(key => delete corrected[key]);
+    withReasonId(corrected);
+    const batchId = newBatchId();
+    queueTransactions([
+      Object.assign(voidEntryFor(t, at), { batchId: batchId }),
+      Object.assign(corrected, { batchId: batchId })
+    ]);
+    const msgEl = document.getElementById('tpLogMsg');
+    if (msgEl) msgEl.textContent = tr('teacher.corrected', { id: t.id, points: formatSigned(delta), reason: reason });
+  }
+
+  /**
+   * Name recorded as the author of voids and corrections.
+   *
+   * @returns {string}
+   */
+  function teacherAuthor() {
+    const authorInput = document.getElementById('tpAuthor');
+    return (authorInput && authorInput.value.trim()) || localStorage.getItem(AUTHOR_KEY) || tr('teacher.defaultAuthor');
+  }
+
+  /**
+   * Describe the active data source in the Data Source card.
+   */
+  function showDataSourceInfo() {
+    const info = document.getElementById('tpDataSourceInfo');
+    const clearBtn = document.getElementById('tpDataClearBtn');
+    if (!info || typeof dataSource === 'undefined' || !dataSource) return;
+    info.textContent = tr('teacher.usingSource', { source: dataSourceLabel(dataSource) });
+    if (clearBtn) {
+      clearBtn.style.display = dataSource.id === 'dropped' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Accept a data file dropped anywhere on the page. Only an unlocked
+   * teacher portal may replace the data; otherwise the drop is ignored so
+   * the browser does not navigate away to the file.
+   *
+   * @param {DragEvent} e
+   */
+  function onDataFileDrop(e) {
+    e.preventDefault();
+    const file = e.dataTransfer && e.dataTransfer.files[0];
+    if (!file) return;
+    if (!hasTeacherSession()) {
+      const msgEl = document.getElementById('teacherMsg');
+      if (msgEl) msgEl.textContent = tr('teacher.unlockToLoad');
+      return;
+    }
+    useDataFile(file);
+  }
+
+  /**
+   * Check a data file and, if it can be used, keep it in IndexedDB and
+   * reload so it takes over as the data source on this device.
+   *
+   * @param {File} file
+   */
+  async function useDataFile(file) {
+    const msgEl = document.getElementById('tpDataMsg');
+    try {
+      const text = await file.text();
+      const report = validateScoreboardData(parseJsonc(text));
+      await storeDataFile(file.name, text);
+      if (msgEl) {
+        msgEl.textContent = tr('teacher.fileLoaded', { file: file.name, errors: report.errors.length, warnings: report.warnings.length });
+      }
+      location.reload();
+    } catch (err) {
+      console.error('Rejected data file:', err);
+      if (msgEl) msgEl.textContent = tr('teacher.fileRejected', { file: file.name, error: err.message });
+    }
+  }
+
+  /**
+   * Stop using the dropped data file on this device and reload.
+   */
+  async function forgetDataFile() {
+    const msgEl = document.getElementById('tpDataMsg');
+    try {
+      await clearStoredDataFile();
+      location.reload();
+    } catch (err) {
+      if (msgEl) msgEl.textContent = tr('teacher.forgetFailed', { error: err.message });
+    }
+  }
+
+  /**
+   * Generate a temporary id for a transaction that has not been synced yet.
+   * It is replaced by the Sheet's id once the transaction is accepted, and is
+   * sent along as clientId so the backend can ignore duplicate retries.
+   *
+   * @returns {string}
+   */
+  function newLocalId() {
+    return 'local-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  /**
+   * Generate the id shared by the transactions of one bulk award.
+   *
+   * @returns {string}
+   */
+  function newBatchId() {
+    return 'batch-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  /**
+   * Read the queued transactions from localStorage.
+   *
+   * @returns {Array<Object>}
+   */
+  function readOutbox() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(OUTBOX_KEY) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the queued transactions to localStorage.
+   *
+   * @param {Array<Object>} entries
+   */
+  function writeOutbox(entries) {
+    try {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    } catch (e) {
+      console.error('Failed to save the sync outbox:', e);
+    }
+    updateSyncStatus();
+  }
+
+  /**
+   * Append transactions to the end of the outbox.
+   *
+   * @param {Array<Object>} txs
+   */
+  function enqueueTransactions(txs) {
+    const entries = readOutbox();
+    txs.forEach(tx => entries.push(tx));
+    writeOutbox(entries);
+  }
+
+  /**
+   * Replace outbox entries in place by id, such as with their signed copies.
+   * Entries no longer in the outbox are not added back.
+   *
+   * @param {Array<Object>} txs
+   */
+  function updateOutboxEntries(txs) {
+    const byId = new Map(txs.map(tx => [tx.id, tx]));
+    writeOutbox(readOutbox().map(e => byId.get(e.id) || e));
+  }
+
+  /**
+   * Read the transactions waiting for a teacher's approval.
+   *
+   * @returns {Array<Object>}
+   */
+  function readReviewQueue() {
+    try {
+      const entries = JSON.parse(localStorage.getItem(REVIEW_KEY) || '[]');
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the transactions waiting for a teacher's approval.
+   *
+   * @param {Array<Object>} entries
+   */
+  function writeReviewQueue(entries) {
+    try {
+      localStorage.setItem(REVIEW_KEY, JSON.stringify(entries));
+    } catch (e) {
+      console.error('Failed to save the student requests:', e);
+    }
+    updateSyncStatus();
+  }
+
+  /**
+   * Set transactions aside for a teacher's approval. Any signature they
+   * carry is dropped; approving signs them again.
+   *
+   * @param {Array<Object>} txs
+   */
+  function enqueueForReview(txs) {
+    const entries = readReviewQueue();
+    txs.forEach(tx => {
+      if (entries.some(e => e.id === tx.id)) return;
+      const entry = Object.assign({}, tx);
+      delete entry.auth;
+      entries.push(entry);
+    });
+    writeReviewQueue(entries);
+    renderReviewQueue();
+  }
+
+  /**
+   * Put transactions left in the outbox or waiting for approval by a previous
+   * session back into the local data as pending, so their points show up
+   * before they are synced.
+   */
+  function restoreOutbox() {
+    const data = window.scoreboardData;
+    if (!data) return;
+    if (!Array.isArray(data.transactions)) {
+      data.transactions = [];
+    }
+    const entries = readOutbox().concat(readReviewQueue());
+    entries.forEach(tx => {
+      if (!data.transactions.some(t => t.id === tx.id)) {
+        const local = Object.assign({ pending: true }, tx);
+        delete local.auth;
+        delete local.sent;
+        data.transactions.push(local);
+      }
+    });
+    if (entries.length > 0) {
+      refreshLeaderboards();
+    }
+    updateSyncStatus();
+  }
+
+  /**
+   * Send queued transactions to the sync backend in order. Transactions
+   * sharing a batchId (a bulk award) go out together in one request. Stops at
+   * the first failure and schedules a retry with exponential backoff; the
+   * entries stay in the outbox until the backend confirms them. An entry
+   * without a signature was not queued by a teacher and is moved to the
+   * Student Requests card instead of being sent. Requests waiting for
+   * approval are sent first. Nothing is sent while the backend has no
+   * address; the entries wait until a teacher sets one.
+   */
+  async function flushOutbox() {
+    if (flushing || !syncAdapter || !syncAdapter.configured) return;
+    flushing = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    try {
+      let entries = readOutbox();
+      const unsigned = entries.filter(e => !e.auth && !signingIds.has(e.id));
+      if (unsigned.length > 0) {
+        entries = entries.filter(e => e.auth || signingIds.has(e.id));
+        writeOutbox(entries);
+        enqueueForReview(unsigned);
+      }
+      if (!(await sendRequests())) return;
+      while (entries.length > 0) {
+        const head = entries[0];
+        let group = head.batchId ? entries.filter(e => e.batchId === head.batchId) : [head];
+        // Entries still being signed are sent by the flush that follows
+        if (group.some(e => signingIds.has(e.id))) return;
+        if (syncAdapter.signed) {
+          group = await freshSignatures(group);
+          if (!group) return;
+          if (group.length === 0) {
+            entries = readOutbox();
+            continue;
+          }
+        }
+        // The backend assigns the real ids; the local ones travel as clientId
+        const payloads = group.map(toSyncPayload);
+        const signedPayloads = syncAdapter.signed
+          ? payloads.map((payload, i) => Object.assign({}, payload, { auth: group[i].auth }))
+          : payloads;
+        let newIds;
+        try {
+          newIds = head.batchId
+            ? await syncAdapter.pushBatch(head.batchId, signedPayloads)
+            : [await syncAdapter.pushTransaction(signedPayloads[0])];
+        } catch (err) {
+          failureCount++;
+          lastSyncError = tr('teacher.syncFailed', { error: err.message });
+          console.error('Sync failed, will retry:', err);
+          scheduleRetry();
+          return;
+        }
+        failureCount = 0;
+        lastSyncError = '';
+        group.forEach((tx, i) => markSynced(tx.id, newIds[i]));
+        // Re-read in case another transaction was queued while we waited
+        const sent = new Set(group.map(tx => tx.id));
+        entries = readOutbox().filter(e => !sent.has(e.id));
+        writeOutbox(entries);
+      }
+    } finally {
+      flushing = false;
+      updateSyncStatus();
+    }
+  }
+
+  /**
+   * Send this device's requests waiting for approval to the backend, so a
+   * teacher on another device can review them. They stay in the review list,
+   * marked `sent`, until a pull shows they were approved or rejected.
+   *
+   * @returns {Promise<boolean>} false if a send failed and a retry is scheduled
+   */
+  async function sendRequests() {
+    if (!syncAdapter.configured || !syncAdapter.pushRequest) return true;
+    // Re-read each time, as requests can be added while we wait
+    let entry;
+    while ((entry = readReviewQueue().find(e => !e.sent))) {
+      try {
+        await syncAdapter.pushRequest(toSyncPayload(entry));
+      } catch (err) {
+        failureCount++;
+        lastSyncError = tr('teacher.syncFailed', { error: err.message });
+        console.error('Sync failed, will retry:', err);
+        scheduleRetry();
+        return false;
+      }
+      const sentId = entry.id;
+      writeReviewQueue(readReviewQueue().map(e => (e.id === sentId ? Object.assign({}, e, { sent: true }) : e)));
+    }
+    return true;
+  }
+
+  /**
+   * Turn an outbox entry into the body the backend expects: the local id is
+   * sent as clientId and the stored signature is left out.
+   *
+   * @param {Object} tx
+   * @returns {Object}
+   */
+  function toSyncPayload(tx) {
+    const payload = Object.assign({}, tx, { clientId: tx.id });
+    delete payload.id;
+    delete payload.auth;
+    delete payload.sent;
+    return payload;
+  }
+
+  /**
+   * Turn a request pulled from the backend back into a transaction under
+   * its local id.
+   *
+   * @param {Object} request
+   * @returns {Object}
+   */
+  function fromRequest(request) {
+    const tx = Object.assign({ id: request.clientId }, request);
+    delete tx.clientId;
+    return tx;
+  }
+
+  /**
+   * Schedule the next flush attempt based on how many sends failed in a row.
+   */
+  function scheduleRetry() {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, failureCount - 1), RETRY_MAX_MS);
+    // Add up to 20% jitter so several devices don't retry in lockstep
+    const jittered = delay + Math.random() * delay * 0.2;
+    retryTimer = setTimeout(flushOutbox, jittered);
+  }
+
+  /**
+   * Swap a pending transaction's local id for the backend's id and clear its
+   * pending flag.
+   *
+   * @param {string} localId
+   * @param {string} [sheetId]
+   */
+  function markSynced(localId, sheetId) {
+    const txs = (window.scoreboardData && window.scoreboardData.transactions) || [];
+    const tx = txs.find(t => t.id === localId);
+    if (!tx) return;
+    if (sheetId) {
+      tx.id = sheetId;
+    }
+    delete tx.pending;
+    refreshLeaderboards();
+  }
+
+  /**
+   * Show the outbox depth, plus the requests waiting for approval, in the
+   * header badge. The badge is hidden when everything has been synced.
+   */
+  function updateSyncStatus() {
+    const badge = document.getElementById('syncStatus');
+    if (!badge || !syncAdapter) return;
+    const queued = readOutbox().length;
+    const waiting = readReviewQueue().length;
+    if (queued + waiting === 0) {
+      badge.style.display = 'none';
+      return;
+    }
+    badge.style.display = '';
+    badge.textContent = tr('teacher.syncBadge', { count: queued + waiting });
+    badge.classList.toggle('error', !!lastSyncError);
+    if (!syncAdapter.configured) {
+      badge.title = tr('teacher.syncNoAddress');
+    } else {
+      badge.title = lastSyncError ||
+        (queued > 0 ? tr('teacher.syncSending', { target: syncAdapter.label }) : tr('teacher.syncWaiting'));
+    }
+  }
+
+  /**
+   * Re-render the leaderboards after the local transactions change, and
+   * celebrate any level-ups or achievements the change brought.
+   */
+  function refreshLeaderboards() {
+    if (typeof renderGroupLeaderboard === 'function') renderGroupLeaderboard();
+    if (typeof renderStudentLeaderboard === 'function') renderStudentLeaderboard();
+    if (typeof checkCelebrations === 'function') checkCelebrations();
+    renderTransactionLog();
+  }
+
+  /**
+   * Read the sync settings: a backend saved on this device with the Sync
+   * Backend card wins, then the data's `sync` object. Without either the
+   * Google Sheet adapter is used with no address, so nothing is sent. The
+   * source is one of "device", "data" or "default".
+   *
+   * Only data from this site or this device (scoreboard.json, the built-in
+   * block or a dropped file) may pick the backend; a ?data= link can point
+   * anywhere, so its `sync` is never used.
+   *
+   * @returns {{adapter: string, url: string, source: string}}
+   */
+  function readSyncSettings() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(SYNC_SETTINGS_KEY) || 'null');
+    } catch (e) {
+      saved = null;
+    }
+    if (saved && SYNC_ADAPTERS[saved.adapter]) {
+      return { adapter: saved.adapter, url: saved.url || '', source: 'device' };
+    }
+    const fromUrl = !!dataSource && dataSource.id === 'url';
+    const fromData = !fromUrl && window.scoreboardData && window.scoreboardData.sync;
+    if (fromData && SYNC_ADAPTERS[fromData.adapter]) {
+      return { adapter: fromData.adapter, url: fromData.url || '', source: 'data' };
+    }
+    return { adapter: 'gsheets', url: '', source: 'default' };
+  }
+
+  /**
+   * Read the sync settings again and build the adapter the portal sends
+   * through, then send anything queued and pull from the new backend.
+   */
+  function applySyncSettings() {
+    syncSettings = readSyncSettings();
+    syncAdapter = SYNC_ADAPTERS[syncSettings.adapter].create(syncSettings.url.trim());
+    failureCount = 0;
+    lastSyncError = '';
+    showSyncSettings();
+    flushOutbox();
+    loadLatestTransactions();
+  }
+
+  /**
+   * Show the current backend on the Sync Backend card.
+   */
+  function showSyncSettings() {
+    const adapterSel = document.getElementById('tpSyncAdapter');
+    const urlInput = document.getElementById('tpSyncUrl');
+    const infoEl = document.getElementById('tpSyncInfo');
+    if (!adapterSel || !urlInput || !infoEl) return;
+    if (adapterSel.options.length === 0) {
+      Object.keys(SYNC_ADAPTERS).forEach(key => adapterSel.appendChild(new Option('', key)));
+    }
+    Array.from(adapterSel.options).forEach(opt => {
+      opt.textContent = tr(`teacher.syncAdapter.${opt.value}`);
+    });
+    adapterSel.value = syncSettings.adapter;
+    urlInput.value = syncSettings.url;
+    urlInput.disabled = !SYNC_ADAPTERS[syncSettings.adapter].needsUrl;
+    let where = tr('teacher.syncingWith', { target: syncAdapter.label, url: syncSettings.url });
+    if (!SYNC_ADAPTERS[syncSettings.adapter].needsUrl) {
+      where = tr('teacher.syncLocalOnly');
+    } else if (!syncAdapter.configured) {
+      where = tr('teacher.syncNoAddress');
+    }
+    infoEl.textContent = tr('teacher.syncSetBy', { where: where, source: tr(`teacher.syncSource.${syncSettings.source}`) });
+  }
+
+  /**
+   * Save the backend picked on the Sync Backend card for this device.
+   */
+  function saveSyncSettings() {
+    const adapter = document.getElementById('tpSyncAdapter').value;
+    const url = SYNC_ADAPTERS[adapter].needsUrl ? document.getElementById('tpSyncUrl').value.trim() : '';
+    const infoEl = document.getElementById('tpSyncInfo');
+    if (SYNC_ADAPTERS[adapter].needsUrl && !/^https?:\/\/\S+$/i.test(url)) {
+      infoEl.textContent = tr('teacher.syncUrlInvalid');
+      return;
+    }
+    localStorage.setItem(SYNC_SETTINGS_KEY, JSON.stringify({ adapter: adapter, url: url }));
+    applySyncSettings();
+  }
+
+  /**
+   * Forget the backend saved on this device and go back to the data's
+   * setting.
+   */
+  function resetSyncSettings() {
+    localStorage.removeItem(SYNC_SETTINGS_KEY);
+    applySyncSettings();
+  }
+
+  /*
+   * Sync adapters. Each one builds an object for one kind of backend:
+   *
+   *   label                          how messages name the backend, in the
+   *                                  current language
+   *   signed                         whether bodies carry the teacher signature
+   *   configured                     false while a needed address is missing
+   *   pushTransaction(payload)       -> Promise<string>, the new id
+   *   pushBatch(batchId, payloads)   -> Promise<Array<string>>, new ids in order
+   *   pullTransactions()             -> Promise<Array<Object>>
+   *   pushRoster(body)               -> Promise<void>; body is { roster, auth }
+   *   pushRequest(payload)           -> Promise<string>; unsigned
+   *   pullRequests()                 -> Promise<Array<Object>>, the open requests
+   *   rejectRequest(body)            -> Promise<void>; body is { rejectRequest, auth }
+   *
+   * pushRoster is null when roster changes have nowhere to go but the data
+   * file kept on the device, and the request calls are null when requests
+   * can only be approved on the device that made them. The rest of the
+   * portal only reaches the backend through syncAdapter.
+   */
+
+  /**
+   * Adapter for the Google Apps Script web app described at the top of this
+   * file: one URL for everything, and `ok: false` answers for errors.
+   *
+   * @param {string} url - Deployment URL ending in /exec
+   * @returns {Object}
+   */
+  function gsheetsAdapter(url) {
+    return {
+      get label() {
+        return tr('teacher.syncTarget.gsheets');
+      },
+      signed: true,
+      configured: !!url,
+      pushTransaction: payload => appsScriptRequest(url, 'POST', payload).then(json => json.id),
+      pushBatch: (batchId, payloads) => appsScriptRequest(url, 'POST', { batchId: batchId, transactions: payloads })
+        .then(json => confirmedIds(json.ids, payloads)),
+      pullTransactions: () => appsScriptRequest(url, 'GET').then(json => json.transactions),
+      pushRoster: body => appsScriptRequest(url, 'POST', body).then(() => undefined),
+      pushRequest: payload => appsScriptRequest(url, 'POST', { request: payload }).then(json => json.id),
+      pullRequests: () => appsScriptRequest(url + (url.includes('?') ? '&' : '?') + 'requests=1', 'GET')
+        .then(json => json.requests),
+      rejectRequest: body => appsScriptRequest(url, 'POST', body).then(() => undefined)
+    };
+  }
+
+  /**
+   * Adapter for a plain REST/JSON server (tools/mock_gscript_server.js serves
+   * one under /api). Errors are HTTP statuses, optionally with `{ error }`:
+   *
+   *   GET  <url>/transactions  ->  [...] or { transactions: [...] }
+   *   POST <url>/transactions  ->  { id }     (body: transaction JSON)
+   *   POST <url>/batches       ->  { ids }    (body: { batchId, transactions })
+   *   PUT  <url>/roster        ->  any        (body: { roster, auth })
+   *   GET  <url>/requests      ->  [...] or { requests: [...] }
+   *   POST <url>/requests      ->  { id }     (body: transaction JSON, unsigned)
+   *   POST <url>/requests/reject -> any       (body: { rejectRequest, auth })
+   *
+   * @param {string} url - Base address, without a trailing slash
+   * @returns {Object}
+   */
+  function restAdapter(url) {
+    const base = url.replace(/\/+$/, '');
+    return {
+      get label() {
+        return tr('teacher.syncTarget.rest');
+      },
+      signed: true,
+      configured: !!base,
+      pushTransaction: payload => restRequest(base, 'POST', '/transactions', payload).then(json => json.id),
+      pushBatch: (batchId, payloads) => restRequest(base, 'POST', '/batches', { batchId: batchId, transactions: payloads })
+        .then(json => confirmedIds(json.ids, payloads)),
+      pullTransactions: () => restRequest(base, 'GET', '/transactions')
+        .then(json => (Array.isArray(json) ? json : json.transactions)),
+      pushRoster: body => restRequest(base, 'PUT', '/roster', body).then(() => undefined),
+      pushRequest: payload => restRequest(base, 'POST', '/requests', payload).then(json => json.id),
+      pullRequests: () => restRequest(base, 'GET', '/requests')
+        .then(json => (Array.isArray(json) ? json : json.requests)),
+      rejectRequest: body => restRequest(base, 'POST', '/requests/reject', body).then(() => undefined)
+    };
+  }
+
+  /**
+   * Adapter for working without a backend: "sent" transactions are kept in
+   * localStorage under their local id and come back on every pull, so they
+   * survive a reload on this device. Nothing is shared with other devices.
+   *
+   * @returns {Object}
+   */
+  function localAdapter() {
+    return {
+      get label() {
+        return tr('teacher.syncTarget.local');
+      },
+      signed: false,
+      configured: true,
+      pushTransaction: payload => Promise.resolve(storeLocally([payload])[0]),
+      pushBatch: (batchId, payloads) => Promise.resolve(storeLocally(payloads)),
+      pullTransactions: () => Promise.resolve(readLocalStore()),
+      pushRoster: null,
+      pushRequest: null,
+      pullRequests: null,
+      rejectRequest: null
+    };
+  }
+
+  /**
+   * Call the Apps Script and unwrap its `{ ok, ... }` answer.
+   *
+   * @param {string} url
+   * @param {string} method - 'GET' or 'POST'
+   * @param {Object} [body]
+   * @returns {Promise<Object>}
+   */
+  async function appsScriptRequest(url, method, body) {
+    if (!url) {
+      throw new Error(tr('teacher.noScriptAddress'));
+    }
+    const res = await fetch(url, body === undefined ? { method: method } : {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      throw new Error(tr('teacher.networkError', { status: res.status }));
+    }
+    const json = await res.json();
+    if (!json.ok) {
+      throw new Error(json.error || tr('teacher.unknownError'));
+    }
+    return json;
+  }
+
+  /**
+   * Call a REST/JSON backend and return its parsed answer.
+   *
+   * @param {string} base
+   * @param {string} method
+   * @param {string} path - Starting with a slash
+   * @param {Object} [body]
+   * @returns {Promise<*>}
+   */
+  async function restRequest(base, method, path, body) {
+    if (!base) {
+      throw new Error(tr('teacher.noServerAddress'));
+    }
+    const res = await fetch(base + path, body === undefined ? { method: method } : {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new Error((json && json.error) || tr('teacher.networkError', { status: res.status }));
+    }
+    return json;
+  }
+
+  /**
+   * Check that a batch answer holds one id per sent transaction.
+   *
+   * @param {*} ids
+   * @param {Array<Object>} payloads
+   * @returns {Array<string>}
+   */
+  function confirmedIds(ids, payloads) {
+    if (!Array.isArray(ids) || ids.length !== payloads.length) {
+      throw new Error(tr('teacher.batchUnconfirmed'));
+    }
+    return ids;
+  }
+
+  /**
+   * Read the transactions kept by the "this device only" adapter.
+   *
+   * @returns {Array<Object>}
+   */
+  function readLocalStore() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(LOCAL_STORE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Keep transactions in the local store under their clientId. A clientId
+   * stored before keeps its entry, like a backend ignoring a retried post.
+   *
+   * @param {Array<Object>} payloads
+   * @returns {Array<string>} The ids, in order
+   */
+  function storeLocally(payloads) {
+    const stored = readLocalStore();
+    const known = new Set(stored.map(t => t.id));
+    payloads.forEach(payload => {
+      if (!known.has(payload.clientId)) {
+        stored.push(Object.assign({}, payload, { id: payload.clientId }));
+        known.add(payload.clientId);
+      }
+    });
+    localStorage.setItem(LOCAL_STORE_KEY, JSON.stringify(stored));
+    return payloads.map(payload => payload.clientId);
+  }
+
+  /**
+   * Export the current scoreboard data as JSON for backup purposes.
+   * Pending transactions (still in the outbox or waiting for approval) are
+   * left out, so the file only holds what the backend has confirmed or the
+   * data already had.
+   */
+  function exportDataJson() {
+    const data = window.scoreboardData;
+    const snapshot = Object.assign({}, data, { transactions: data.transactions.filter(t => !t.pending) });
+    downloadFile('scoreboard-data.json', JSON.stringify(snapshot, null, 2), 'application/json');
+  }
+
+  /**
+   * Export the roster with each student's group, hour and points as CSV.
+   */
+  function exportStudentsCsv() {
+    const data = window.scoreboardData;
+    const groupsById = {};
+    data.groups.forEach(g => {
+      groupsById[g.id] = g;
+    });
+    const totals = computeStudentTotals();
+    const rows = [['id', 'sisId', 'name', 'groupId', 'group', 'hour', 'code', 'points']];
+    data.students.forEach(s => {
+      const group = groupsById[s.groupId];
+      rows.push([s.id, s.sisId, s.name, s.groupId, group && group.name, group && hourLabel(group.hour), s.code, totals[s.id] || 0]);
+    });
+    downloadFile('scoreboard-students.csv', toCsv(rows), 'text/csv');
+  }
+
+  /**
+   * Export every transaction, including voids and corrections, as CSV.
+   */
+  function exportTransactionsCsv() {
+    const data = window.scoreboardData;
+    const names = {};
+    data.students.forEach(s => {
+      names[s.id] = s.name;
+    });
+    data.groups.forEach(g => {
+      names[g.id] = g.name;
+    });
+    const voided = voidedTransactionIds();
+    const rows = [['id', 'date', 'studentId', 'student', 'groupId', 'group', 'delta', 'reason', 'reasonId', 'category',
+      'kind', 'batchId', 'voids', 'corrects', 'author', 'at', 'status']];
+    data.transactions.forEach(t => {
+      const status = t.pending ? 'pending' : voided.has(t.id) ? 'voided' : '';
+      const reason = reasonForTransaction(t);
+      rows.push([t.id, t.date, t.studentId, names[t.studentId], t.groupId, names[t.groupId], t.delta, t.reason,
+        reason && reason.id, reason && reason.category, t.kind, t.batchId, t.voids, t.corrects, t.author, t.at, status]);
+    });
+    downloadFile('scoreboard-transactions.csv', toCsv(rows), 'text/csv');
+  }
+
+  /**
+   * Offer text as a file download.
+   *
+   * @param {string} name
+   * @param {string} text
+   * @param {string} type - MIME type
+   */
+  function downloadFile(name, text, type) {
+    const blob = new Blob([text], { type: type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+      a.remove();
+    }, 0);
+  }
+
+  /**
+   * Turn rows of values into CSV text. Text that a spreadsheet would run as a
+   * formula is prefixed with an apostrophe.
+   *
+   * @param {Array<Array<*>>} rows
+   * @returns {string}
+   */
+  function toCsv(rows) {
+    return rows.map(row => row.map(value => {
+      if (value === null || value === undefined) return '';
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d/.test(text)) {
+        text = "'" + text;
+      }
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Parse CSV text (quoted fields, doubled quotes, CRLF or LF line endings)
+   * into rows of strings. Blank lines are skipped.
+   *
+   * @param {string} text
+   * @returns {Array<Array<string>>}
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === ',') {
+        row.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        field = '';
+        if (row.some(v => v.trim() !== '')) rows.push(row);
+        row = [];
+      } else {
+        field += c;
+      }
+    }
+    row.push(field);
+    if (row.some(v => v.trim() !== '')) rows.push(row);
+    return rows;
+  }
+
+  /**
+   * Lower-case a name and strip accents, spaces and punctuation so roster
+   * values can be compared loosely ("Panamá (3rd)" matches "panama 3rd").
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function looseKey(value) {
+    return String(value || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Read a roster CSV, guess the column mapping and show the preview.
+   *
+   * @param {File} file
+   */
+  async function loadRosterCsv(file) {
+    const msgEl = document.getElementById('tpCsvMsg');
+    try {
+      const rows = parseCsv(await file.text());
+      if (rows.length < 2) {
+        throw new Error(tr('teacher.csvTooShort'));
+      }
+      const headers = rows[0].map(h => h.trim());
+      const mapping = {};
+      ROSTER_FIELDS.forEach(field => {
+        mapping[field.key] = headers.findIndex(h => field.guess.includes(h.toLowerCase()));
+      });
+      // A full-name column makes separate first/last columns unnecessary
+      if (mapping.name >= 0) {
+        mapping.firstName = -1;
+        mapping.lastName = -1;
+      }
+      const context = currentHour();
+      rosterImport = {
+        fileName: file.name,
+        headers: headers,
+        rows: rows.slice(1),
+        mapping: mapping,
+        defaultHour: context || (listHours()[0] && listHours()[0].id) || '',
+        overrides: {},
+        plan: null
+      };
+      msgEl.textContent = tr('teacher.csvLoaded', { file: file.name, rows: rosterImport.rows.length });
+      renderRosterMapping();
+      renderRosterPreview();
+    } catch (err) {
+      rosterImport = null;
+      msgEl.textContent = tr('teacher.csvUnreadable', { file: file.name, error: err.message });
+    }
+  }
+
+  /**
+   * Show one select per roster field to pick its CSV column, plus the hour
+   * used for rows without an hour column.
+   */
+  function renderRosterMapping() {
+    const container = document.getElementById('tpCsvMapping');
+    if (!container || !rosterImport) return;
+    container.innerHTML = '';
+    const addSelect = (labelText, options, value, onChange) => {
+      const label = document.createElement('label');
+      label.className = 'small';
+      label.textContent = labelText;
+      const select = document.createElement('select');
+      options.forEach(([optValue, optText]) => {
+        const opt = document.createElement('option');
+        opt.value = optValue;
+        opt.textContent = optText;
+        select.appendChild(opt);
+      });
+      select.value = String(value);
+      select.addEventListener('change', () => {
+        onChange(select.value);
+        renderRosterPreview();
+      });
+      label.appendChild(select);
+      container.appendChild(label);
+    };
+    const columns = [['-1', tr('teacher.csvNotInFile')]]
+      .concat(rosterImport.headers.map((h, i) => [String(i), h || tr('teacher.csvColumn', { n: i + 1 })]));
+    ROSTER_FIELDS.forEach(field => {
+      addSelect(tr(`teacher.rosterField.${field.key}`), columns, rosterImport.mapping[field.key], value => {
+        rosterImport.mapping[field.key] = parseInt(value, 10);
+      });
+    });
+    addSelect(tr('teacher.csvDefaultHour'), listHours().map(h => [h.id, h.label]), rosterImport.defaultHour, value => {
+      rosterImport.defaultHour = value;
+    });
+  }
+
+  /**
+   * Find the hour a roster value names, by id or label in either language,
+   * or by the number a label starts with ("3" for "3rd hour").
+   *
+   * @param {string} value
+   * @returns {string|null} Hour id
+   */
+  function matchRosterHour(value) {
+    const key = looseKey(value);
+    const hours = listHours().map(h => {
+      const data = (window.scoreboardData.hours || []).find(x => x.id === h.id);
+      return { id: h.id, labels: [h.label].concat(localizedVersions(data, 'label')).map(looseKey) };
+    });
+    const exact = hours.find(h => looseKey(h.id) === key || h.labels.includes(key));
+    if (exact) return exact.id;
+    const byNumber = /^\d+$/.test(key) && hours.filter(h => h.labels.some(label => label.startsWith(key)));
+    return byNumber && byNumber.length === 1 ? byNumber[0].id : null;
+  }
+
+  /**
+   * Find the group of an hour that a roster value names, by id or name in
+   * either language, or by the start of its name ("Chile" for "Chile (3rd)").
+   *
+   * @param {string} value
+   * @param {string} hourId
+   * @returns {string|null} Group id
+   */
+  function matchRosterGroup(value, hourId) {
+    const key = looseKey(value);
+    const groups = window.scoreboardData.groups.filter(g => g.hour === hourId);
+    const names = g => localizedVersions(g, 'name').map(looseKey);
+    const exact = groups.find(g => looseKey(g.id) === key || names(g).includes(key));
+    if (exact) return exact.id;
+    const partial = key && groups.filter(g => names(g).some(name => name.startsWith(key)));
+    return partial && partial.length === 1 ? partial[0].id : null;
+  }
+
+  /**
+   * Work out what applying the roster CSV would do: which rows match current
+   * students, which are new, which group and code each gets, and which
+   * current students of the imported hours are missing from the file.
+   *
+   * @returns {{rows: Array<Object>, missing: Array<Object>}}
+   */
+  function planRosterImport() {
+    const data = window.scoreboardData;
+    const { rows, mapping, defaultHour, overrides } = rosterImport;
+    const cell = (row, key) => (mapping[key] >= 0 ? String(row[mapping[key]] || '').trim() : '');
+    const groupsById = {};
+    data.groups.forEach(g => {
+      groupsById[g.id] = g;
+    });
+    const hourOf = groupId => groupsById[groupId] && groupsById[groupId].hour;
+    const matched = new Set();
+    const planned = [];
+    rows.forEach((row, index) => {
+      const name = cell(row, 'name') || [cell(row, 'firstName'), cell(row, 'lastName')].filter(Boolean).join(' ');
+      if (!name) return;
+      const hourText = cell(row, 'hour');
+      const entry = {
+        index: index,
+        name: name,
+        sisId: cell(row, 'sisId'),
+        csvCode: cell(row, 'code'),
+        hourId: hourText ? matchRosterHour(hourText) : defaultHour,
+        groupId: '',
+        code: '',
+        existing: null,
+        status: 'new',
+        notes: []
+      };
+      planned.push(entry);
+      if (!entry.hourId) {
+        entry.status = 'error';
+        entry.notes.push(tr('teacher.rosterUnknownHour', { hour: hourText }));
+        return;
+      }
+      const available = data.students.filter(s => !matched.has(s.id));
+      entry.existing = (entry.sisId && available.find(s => s.sisId === entry.sisId)) ||
+        available.find(s => hourOf(s.groupId) === entry.hourId && looseKey(s.name) === looseKey(name)) ||
+        null;
+      if (entry.existing) matched.add(entry.existing.id);
+      const groupText = cell(row, 'group');
+      const fromColumn = groupText ? matchRosterGroup(groupText, entry.hourId) : null;
+      if (groupText && !fromColumn) entry.notes.push(tr('teacher.rosterUnknownGroup', { group: groupText }));
+      const keepGroup = entry.existing && hourOf(entry.existing.groupId) === entry.hourId ? entry.existing.groupId : '';
+      entry.groupId = overrides[index] || fromColumn || keepGroup;
+    });
+    const hours = new Set(planned.filter(e => e.status !== 'error').map(e => e.hourId));
+    const removeMissing = document.getElementById('tpCsvRemoveMissing');
+    const missing = data.students.filter(s => hours.has(hourOf(s.groupId)) && !matched.has(s.id));
+    // Spread students without a group over their hour's smallest groups
+    const counts = {};
+    data.groups.forEach(g => {
+      counts[g.id] = 0;
+    });
+    planned.forEach(e => {
+      if (e.groupId) counts[e.groupId]++;
+    });
+    if (!(removeMissing && removeMissing.checked)) {
+      missing.forEach(s => counts[s.groupId]++);
+    }
+    planned.forEach(e => {
+      if (e.status === 'error' || e.groupId) return;
+      const options = data.groups
+        .filter(g => g.hour === e.hourId)
+        .sort((a, b) => counts[a.id] - counts[b.id] || a.name.localeCompare(b.name));
+      if (options.length === 0) {
+        e.status = 'error';
+        e.notes.push(tr('teacher.rosterNoGroups'));
+        return;
+      }
+      e.groupId = options[0].id;
+      counts[e.groupId]++;
+      e.notes.push(tr('teacher.rosterAutoGroup'));
+    });
+    // Codes: a free code from the file, else the current code, else a new one
+    const matchedIds = new Set(planned.filter(e => e.existing).map(e => e.existing.id));
+    const taken = new Set(data.students.filter(s => !matchedIds.has(s.id) && s.code).map(s => normalizeStudentCode(s.code)));
+    const claim = code => {
+      if (!normalizeStudentCode(code) || taken.has(normalizeStudentCode(code))) return false;
+      taken.add(normalizeStudentCode(code));
+      return true;
+    };
+    planned.forEach(e => {
+      if (e.status === 'error') return;
+      if (claim(e.csvCode)) {
+        e.code = e.csvCode;
+      } else {
+        if (e.csvCode) e.notes.push(tr('teacher.rosterCodeTaken', { code: e.csvCode }));
+        if (e.existing && claim(e.existing.code)) e.code = e.existing.code;
+      }
+    });
+    planned.forEach(e => {
+      if (e.status !== 'error' && !e.code) e.code = generateStudentCode(taken);
+    });
+    planned.forEach(e => {
+      if (e.status === 'error' || !e.existing) return;
+      const changes = [];
+      if (e.existing.name !== e.name) changes.push(tr('teacher.rosterNameWas', { name: e.existing.name }));
+      if (e.existing.groupId !== e.groupId) {
+        const before = groupsById[e.existing.groupId];
+        changes.push(tr('teacher.rosterGroupWas', { group: before ? localized(before, 'name') : e.existing.groupId }));
+      }
+      if (e.existing.code !== e.code) changes.push(tr('teacher.rosterCodeWas', { code: e.existing.code || tr('teacher.rosterEmpty') }));
+      if (e.sisId && e.existing.sisId !== e.sisId) changes.push(tr('teacher.rosterSisAdded'));
+      e.status = changes.length > 0 ? 'changed' : 'same';
+      e.notes = changes.concat(e.notes);
+    });
+    return { rows: planned, missing: missing };
+  }
+
+  /**
+   * Show the roster diff: a summary line, one row per CSV student with a
+   * group picker, and the current students missing from the file.
+   */
+  function renderRosterPreview() {
+    const container = document.getElementById('tpCsvPreview');
+    const applyBtn = document.getElementById('tpCsvApplyBtn');
+    if (!container || !rosterImport) return;
+    const plan = planRosterImport();
+    rosterImport.plan = plan;
+    const removeMissing = document.getElementById('tpCsvRemoveMissing');
+    const count = status => plan.rows.filter(e => e.status === status).length;
+    container.innerHTML = '';
+    const summary = document.createElement('p');
+    const counts = { added: count('new'), changed: count('changed'), same: count('same'), missing: plan.missing.length };
+    summary.textContent = count('error') > 0
+      ? tr('teacher.rosterSummarySkipped', Object.assign({ skipped: count('error') }, counts))
+      : tr('teacher.rosterSummary', counts);
+    container.appendChild(summary);
+    plan.rows.forEach(e => {
+      const row = document.createElement('div');
+      row.className = 'shop-row roster-row ' + e.status;
+      const info = document.createElement('div');
+      const main = document.createElement('div');
+      main.textContent = `${e.name} · ${e.hourId ? hourLabel(e.hourId) : '?'}` + (e.code ? ` · ${e.code}` : '');
+      const notes = document.createElement('div');
+      notes.className = 'small';
+      notes.textContent = [tr(`teacher.rosterStatus.${e.status}`)].concat(e.notes).join(' · ');
+      info.appendChild(main);
+      info.appendChild(notes);
+      row.appendChild(info);
+      if (e.status !== 'error') {
+        const select = document.createElement('select');
+        window.scoreboardData.groups.filter(g => g.hour === e.hourId).forEach(g => {
+          const opt = document.createElement('option');
+          opt.value = g.id;
+          opt.textContent = localized(g, 'name');
+          select.appendChild(opt);
+        });
+        select.value = e.groupId;
+        select.addEventListener('change', () => {
+          rosterImport.overrides[e.index] = select.value;
+          renderRosterPreview();
+        });
+        row.appendChild(select);
+      }
+      container.appendChild(row);
+    });
+    plan.missing.forEach(s => {
+      const row = document.createElement('div');
+      row.className = 'shop-row roster-row missing';
+      const remove = removeMissing && removeMissing.checked && !studentHasTransactions(s.id);
+      const fate = remove ? 'teacher.rosterWillRemove' : studentHasTransactions(s.id) ? 'teacher.rosterKeptHistory' : 'teacher.rosterKept';
+      row.textContent = `${s.name} (${s.code}) · ${tr('teacher.rosterNotInFile')} · ${tr(fate)}`;
+      container.appendChild(row);
+    });
+    if (applyBtn) applyBtn.disabled = plan.rows.every(e => e.status === 'error' || e.status === 'same') &&
+      !(removeMissing && removeMissing.checked && plan.missing.length > 0);
+  }
+
+  /**
+   * Whether any transaction refers to a student. Such students are never
+   * removed by a roster import, so their history stays readable.
+   *
+   * @param {string} studentId
+   * @returns {boolean}
+   */
+  function studentHasTransactions(studentId) {
+    return window.scoreboardData.transactions.some(t => t.studentId === studentId);
+  }
+
+  /**
+   * Apply the previewed roster: update matched students, add new ones and
+   * optionally remove missing ones without points history. The result is
+   * kept on this device as a dropped data file (see the Data Sources section
+   * of scoreboard.js) so it survives a reload; export the data to share it.
+   */
+  async function applyRosterImport() {
+    const msgEl = document.getElementById('tpCsvMsg');
+    if (!rosterImport || !rosterImport.plan) return;
+    const data = window.scoreboardData;
+    const plan = rosterImport.plan;
+    const groupsById = {};
+    data.groups.forEach(g => {
+      groupsById[g.id] = g;
+    });
+    let nextNumber = data.students.reduce((max, s) => {
+      const match = /^s-(\d+)$/.exec(s.id);
+      return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+    let added = 0;
+    let updated = 0;
+    plan.rows.forEach(e => {
+      if (e.status === 'error' || e.status === 'same') return;
+      const fields = { name: e.name, groupId: e.groupId, classId: groupsById[e.groupId].hour, code: e.code };
+      if (e.sisId) fields.sisId = e.sisId;
+      if (e.existing) {
+        Object.assign(e.existing, fields);
+        updated++;
+      } else {
+        nextNumber++;
+        data.students.push(Object.assign({ id: 's-' + String(nextNumber).padStart(3, '0') }, fields, { powerups: [] }));
+        added++;
+      }
+    });
+    let removed = 0;
+    const removeMissing = document.getElementById('tpCsvRemoveMissing');
+    if (removeMissing && removeMissing.checked) {
+      const drop = new Set(plan.missing.filter(s => !studentHasTransactions(s.id)).map(s => s.id));
+      removed = drop.size;
+      data.students = data.students.filter(s => !drop.has(s.id));
+    }
+    recheckScoreboardData();
+    refreshLeaderboards();
+    fillHourSelect();
+    const saved = await saveRosterChange(tr('teacher.rosterImportName', { file: rosterImport.fileName }));
+    msgEl.textContent = tr('teacher.rosterApplied', { added: added, updated: updated, removed: removed }) + ' ' + saved;
+    rosterImport = null;
+    document.getElementById('tpCsvMapping').innerHTML = '';
+    document.getElementById('tpCsvPreview').innerHTML = '';
+    document.getElementById('tpCsvApplyBtn').disabled = true;
+  }
+
+  /**
+   * Keep a changed roster on this device and send it to the sync backend.
+   *
+   * @param {string} name - Shown as the data source
+   * @returns {Promise<string>} Sentences telling the teacher where the change lives
+   */
+  async function saveRosterChange(name) {
+    const kept = await keepRosterOnDevice(name);
+    const sent = await pushRosterChange();
+    return sent ? kept + ' ' + sent : kept;
+  }
+
+  /**
+   * Send the hours, groups and students (with their codes) to the sync
+   * backend as `{ roster, auth }`, signed like a transaction.
+   *
+   * @returns {Promise<string>} Sentence about the send, or '' if the backend takes no roster
+   */
+  async function pushRosterChange() {
+    if (!syncAdapter.pushRoster || !syncAdapter.configured) {
+      return '';
+    }
+    if (!hasTeacherSession()) {
+      return tr('teacher.rosterUnlockToSend', { target: syncAdapter.label });
+    }
+    const data = window.scoreboardData;
+    // The backend applies each rosterId once, so a replayed post changes nothing
+    const body = { roster: { hours: data.hours, groups: data.groups, students: data.students }, rosterId: newLocalId() };
+    try {
+      const auth = await signPayload(body);
+      await syncAdapter.pushRoster(Object.assign({}, body, { auth: auth }));
+      return tr('teacher.rosterSent', { target: syncAdapter.label });
+    } catch (err) {
+      console.error('Roster sync failed:', err);
+      return tr('teacher.rosterSendFailed', { target: syncAdapter.label, error: err.message });
+    }
+  }
+
+  /**
+   * Keep the changed roster on this device as a dropped data file (see the
+   * Data Sources section of scoreboard.js) so it survives a reload. Pending
+   * transactions are left out; the outbox still holds them.
+   *
+   * @param {string} name - Shown as the data source
+   * @returns {Promise<string>} Sentence telling the teacher where the change lives
+   */
+  async function keepRosterOnDevice(name) {
+    const data = window.scoreboardData;
+    try {
+      const snapshot = Object.assign({}, data, { transactions: data.transactions.filter(t => !t.pending) });
+      const stored = await storeDataFile(name, JSON.stringify(snapshot, null, 2));
+      return stored === null
+        ? tr('teacher.rosterNotKept')
+        : tr('teacher.rosterKeptOnDevice');
+    } catch (err) {
+      return tr('teacher.rosterKeepFailed', { error: err.message });
+    }
+  }
+
+  /**
+   * Fill the Student Codes hour select, then its student select.
+   *
+   * @param {Array<{id: string, label: string}>} hours
+   */
+  function fillCodeSelectors(hours) {
+    const hourSel = document.getElementById('tpCodeHour');
+    if (!hourSel) return;
+    const selected = hourSel.value;
+    hourSel.innerHTML = '';
+    hours.forEach(h => hourSel.appendChild(new Option(h.label, h.id)));
+    if (Array.from(hourSel.options).some(o => o.value === selected)) {
+      hourSel.value = selected;
+    }
+    fillCodeStudents();
+  }
+
+  /**
+   * Students of the hour picked on the Student Codes card.
+   *
+   * @returns {Array<Object>}
+   */
+  function codeHourStudents() {
+    const hourSel = document.getElementById('tpCodeHour');
+    if (!hourSel || !hourSel.value) return [];
+    return window.scoreboardData.students
+      .filter(s => studentInHourContext(s, hourSel.value))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Fill the Student Codes student select for the picked hour.
+   */
+  function fillCodeStudents() {
+    const studentSel = document.getElementById('tpCodeStudent');
+    if (!studentSel) return;
+    const selected = studentSel.value;
+    studentSel.innerHTML = '';
+    codeHourStudents().forEach(s => studentSel.appendChild(new Option(s.name, s.id)));
+    if (Array.from(studentSel.options).some(o => o.value === selected)) {
+      studentSel.value = selected;
+    }
+  }
+
+  /**
+   * Give students new random codes, then keep the roster on this device and
+   * send it to the sync backend.
+   *
+   * @param {Array<Object>} students
+   * @returns {Promise<string>} Where the change was saved
+   */
+  async function rotateStudentCodes(students) {
+    const changing = new Set(students.map(s => s.id));
+    const taken = new Set(window.scoreboardData.students
+      .filter(s => s.code && !changing.has(s.id))
+      .map(s => normalizeStudentCode(s.code)));
+    students.forEach(s => {
+      // Never hand out the old code again, not even to someone else
+      if (s.code) taken.add(normalizeStudentCode(s.code));
+    });
+    students.forEach(s => {
+      s.code = generateStudentCode(taken);
+    });
+    recheckScoreboardData();
+    return saveRosterChange(tr('teacher.codesChangedName', { date: localIsoDate() }));
+  }
+
+  /**
+   * Give the student picked on the Student Codes card a new code.
+   */
+  async function rotateOneCode() {
+    const msgEl = document.getElementById('tpCodeMsg');
+    const studentSel = document.getElementById('tpCodeStudent');
+    const student = window.scoreboardData.students.find(s => s.id === studentSel.value);
+    if (!student) {
+      msgEl.textContent = tr('teacher.pickStudentFirst');
+      return;
+    }
+    const saved = await rotateStudentCodes([student]);
+    msgEl.textContent = tr('teacher.newCode', { student: student.name, code: student.code }) + ' ' + saved;
+  }
+
+  /**
+   * Give every student of the picked hour a new code, after confirming.
+   */
+  async function rotateHourCodes() {
+    const msgEl = document.getElementById('tpCodeMsg');
+    const hourSel = document.getElementById('tpCodeHour');
+    const students = codeHourStudents();
+    if (students.length === 0) {
+      msgEl.textContent = tr('teacher.hourNoStudents');
+      return;
+    }
+    const label = hourLabel(hourSel.value);
+    if (!window.confirm(tr('teacher.confirmRotateHour', { count: students.length, hour: label }))) {
+      return;
+    }
+    const saved = await rotateStudentCodes(students);
+    msgEl.textContent = tr('teacher.rotatedHour', { count: students.length, hour: label }) + ' ' + saved;
+  }
+
+  /**
+   * Fill the Print Codes hour select with "All hours" and the hours of the
+   * Add Points form, then the group select for the picked hour.
+   *
+   * @param {Array<{id: string, label: string}>} hours
+   */
+  function fillPrintSelectors(hours) {
+    const hourSel = document.getElementById('tpPrintHour');
+    if (!hourSel) return;
+    const selected = hourSel.value;
+    hourSel.innerHTML = '';
+    if (hours.length > 1) {
+      hourSel.appendChild(new Option(tr('teacher.allHours'), 'all'));
+    }
+    hours.forEach(h => hourSel.appendChild(new Option(h.label, h.id)));
+    if (Array.from(hourSel.options).some(o => o.value === selected)) {
+      hourSel.value = selected;
+    }
+    fillPrintGroups();
+  }
+
+  /**
+   * Fill the Print Codes group select with the groups of the picked hour.
+   */
+  function fillPrintGroups() {
+    const hourSel = document.getElementById('tpPrintHour');
+    const groupSel = document.getElementById('tpPrintGroup');
+    if (!hourSel || !groupSel) return;
+    groupSel.innerHTML = '';
+    groupSel.appendChild(new Option(tr('students.allGroups'), 'all'));
+    printGroups().forEach(g => groupSel.appendChild(new Option(localized(g, 'name'), g.id)));
+  }
+
+  /**
+   * Groups picked in the Print Codes form, in hour order and then by name.
+   *
+   * @returns {Array<Object>}
+   */
+  function printGroups() {
+    const hourSel = document.getElementById('tpPrintHour');
+    const groupSel = document.getElementById('tpPrintGroup');
+    const hours = Array.from(hourSel.options).map(o => o.value).filter(v => v !== 'all');
+    const groups = (window.scoreboardData && window.scoreboardData.groups) || [];
+    return groups
+      .filter(g => hours.includes(g.hour) && (hourSel.value === 'all' || g.hour === hourSel.value))
+      .filter(g => !groupSel.value || groupSel.value === 'all' || g.id === groupSel.value)
+      .sort((a, b) => hours.indexOf(a.hour) - hours.indexOf(b.hour) || localized(a, 'name').localeCompare(localized(b, 'name')));
+  }
+
+  /**
+   * Students of a group, sorted by name.
+   *
+   * @param {string} groupId
+   * @returns {Array<Object>}
+   */
+  function groupStudents(groupId) {
+    return window.scoreboardData.students
+      .filter(s => s.groupId === groupId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Address the QR codes on code cards point to: the Print Codes field, or
+   * this page without its query string.
+   *
+   * @returns {string}
+   */
+  function printBaseUrl() {
+    const input = document.getElementById('tpPrintBaseUrl');
+    const typed = input ? input.value.trim() : '';
+    if (typed) {
+      localStorage.setItem(PRINT_URL_KEY, typed);
+      return typed;
+    }
+    localStorage.removeItem(PRINT_URL_KEY);
+    return window.location.origin === 'null'
+      ? window.location.href.split(/[?#]/)[0]
+      : window.location.origin + window.location.pathname;
+  }
+
+  /**
+   * Print one cut-apart card per student of the picked hour and group, with
+   * name, group chip, code and a QR code that opens My Profile with the code
+   * filled in.
+   */
+  function printCodeCards() {
+    const msgEl = document.getElementById('tpPrintMsg');
+    let base;
+    try {
+      base = new URL(printBaseUrl());
+    } catch (err) {
+      msgEl.textContent = tr('teacher.printUrlInvalid');
+      return;
+    }
+    const sheet = document.createElement('div');
+    sheet.className = 'print-cards';
+    let count = 0;
+    printGroups().forEach(g => {
+      groupStudents(g.id).forEach(s => {
+        const card = document.createElement('div');
+        card.className = 'code-card';
+        const name = document.createElement('p');
+        name.className = 'code-card-name';
+        name.textContent = s.name;
+        const chip = document.createElement('span');
+        chip.className = 'chip';
+        chip.style.backgroundColor = safeColor(g.color);
+        chip.textContent = localized(g, 'name');
+        const code = document.createElement('p');
+        code.className = 'code-card-code';
+        code.textContent = s.code;
+        card.append(name, chip, code);
+        if (typeof window.qrCodeSvg === 'function') {
+          const qr = document.createElement('div');
+          qr.className = 'code-card-qr';
+          const link = new URL(base.href);
+          link.searchParams.set('code', s.code);
+          qr.innerHTML = window.qrCodeSvg(link.href);
+          card.appendChild(qr);
+        }
+        sheet.appendChild(card);
+        count++;
+      });
+    });
+    if (count === 0) {
+      msgEl.textContent = tr('teacher.printNoStudents');
+      return;
+    }
+    msgEl.textContent = trCount('teacher.printingCards', count);
+    showPrintView(sheet);
+  }
+
+  /**
+   * Print a roster sheet per hour: every picked group with its students,
+   * codes and current points, for the teacher's clipboard.
+   */
+  function printRosterSheet() {
+    const msgEl = document.getElementById('tpPrintMsg');
+    const groups = printGroups();
+    if (groups.length === 0) {
+      msgEl.textContent = tr('teacher.printNoGroups');
+      return;
+    }
+    const studentTotals = computeStudentTotals();
+    const groupTotals = computeGroupTotals();
+    const printed = formatDate(localIsoDate());
+    const sheet = document.createElement('div');
+    sheet.className = 'print-roster';
+    let page = null;
+    let pageHour = null;
+    groups.forEach(g => {
+      if (g.hour !== pageHour) {
+        pageHour = g.hour;
+        page = document.createElement('section');
+        page.className = 'print-page';
+        const title = document.createElement('h2');
+        title.textContent = tr('teacher.rosterTitle', { hour: hourLabel(g.hour) });
+        const note = document.createElement('p');
+        note.className = 'small';
+        note.textContent = tr('teacher.pointsAsOf', { date: printed });
+        page.append(title, note);
+        sheet.appendChild(page);
+      }
+      const table = document.createElement('table');
+      table.className = 'roster-table';
+      const caption = document.createElement('caption');
+      const swatch = document.createElement('span');
+      swatch.className = 'chip';
+      swatch.style.backgroundColor = safeColor(g.color);
+      swatch.textContent = localized(g, 'name');
+      caption.append(swatch, ' ' + tr('points.short', { n: groupTotals[g.id] || 0 }));
+      table.appendChild(caption);
+      const head = table.createTHead().insertRow();
+      ['student', 'code', 'points', 'notes'].forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = tr(`teacher.rosterColumn.${column}`);
+        head.appendChild(th);
+      });
+      const body = table.createTBody();
+      groupStudents(g.id).forEach(s => {
+        const row = body.insertRow();
+        [s.name, s.code, formatNumber(studentTotals[s.id] || 0), ''].forEach(value => {
+          row.insertCell().textContent = value;
+        });
+      });
+      page.appendChild(table);
+    });
+    msgEl.textContent = '';
+    showPrintView(sheet);
+  }
+
+  /**
+   * Put a sheet into #print-view, open the print dialog and clear the view
+   * again afterwards. The print CSS hides the rest of the page.
+   *
+   * @param {HTMLElement} sheet
+   */
+  function showPrintView(sheet) {
+    const view = document.getElementById('print-view');
+    if (!view) return;
+    view.innerHTML = '';
+    view.appendChild(sheet);
+    window.addEventListener('afterprint', () => {
+      view.innerHTML = '';
+    }, { once: true });
+    window.print();
+  }
+
+  /**
+   * Build the key used to match a transaction across the local data and the
+   * Sheet. Transactions without an id (such as hand-written entries in the
+   * embedded data) are matched on their contents instead.
+   *
+   * @param {Object} t
+   * @returns {string}
+   */
+  function transactionKey(t) {
+    if (t.id) return 'id:' + t.id;
+    return 'tx:' + [t.studentId, t.groupId, t.delta, t.reason, t.date].join('|');
+  }
+
+  /**
+   * Compare two versions of a transaction, ignoring local sync bookkeeping
+   * and fields only one of them carries (see SYNC_CORE_FIELDS). Values are
+   * compared as strings because the Sheet may return numbers as text.
+   *
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {boolean}
+   */
+  function sameTransaction(a, b) {
+    const text = value => (value == null ? '' : String(value));
+    const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+    for (const key of keys) {
+      if (SYNC_ONLY_FIELDS.includes(key) || key === 'id') continue;
+      const av = text(a[key]);
+      const bv = text(b[key]);
+      if (!SYNC_CORE_FIELDS.includes(key) && (av === '' || bv === '')) continue;
+      if (av !== bv) return false;
+    }
+    return true;
+  }
+
+  /**
+   * The backend's version of a transaction, with the fields it left blank
+   * filled in from the local version, so a Sheet without a column for kind,
+   * voids or author does not strip them from the local data.
+   *
+   * @param {Object} local
+   * @param {Object} remote
+   * @returns {Object}
+   */
+  function withLocalFields(local, remote) {
+    const merged = Object.assign({}, remote);
+    Object.keys(local).forEach(key => {
+      if (key === 'pending' || key === 'id' || SYNC_CORE_FIELDS.includes(key)) return;
+      if (merged[key] == null || merged[key] === '') merged[key] = local[key];
+    });
+    return merged;
+  }
+
+  /**
+   * Bring a transaction pulled from the backend into the shape of local
+   * ones: the Sheet may return the delta as text and the date as a full
+   * timestamp. Rows whose delta is not a number are dropped.
+   *
+   * @param {Object} row
+   * @returns {Object|null}
+   */
+  function normalizeRemoteTransaction(row) {
+    if (!row || row.delta === '' || row.delta == null) {
+      return null;
+    }
+    const delta = Number(row.delta);
+    if (!Number.isFinite(delta)) {
+      return null;
+    }
+    const tx = Object.assign({}, row, { delta: delta });
+    const date = String(row.date || '');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      // A date cell comes back as the instant of local midnight
+      const parsed = new Date(date);
+      if (date && !isNaN(parsed.getTime())) tx.date = localIsoDate(parsed);
+    }
+    return tx;
+  }
+
+  /**
+   * Merge the backend's transactions into the local list. The result is the
+   * union of both sides: local-only entries (embedded or still pending) are
+   * kept, and remote entries not seen before are appended, normalized (see
+   * normalizeRemoteTransaction). When both sides hold the same id with
+   * different contents, the remote version replaces the local one and the
+   * pair is reported as a conflict.
+   *
+   * @param {Array<Object>} local
+   * @param {Array<Object>} remote
+   * @returns {{merged: Array<Object>, changed: boolean, conflicts: Array<{local: Object, remote: Object}>}}
+   */
+  function mergeTransactions(local, remote) {
+    const merged = local.slice();
+    const indexByKey = new Map();
+    merged.forEach((t, i) => indexByKey.set(transactionKey(t), i));
+    const conflicts = [];
+    let changed = false;
+    remote.map(normalizeRemoteTransaction).filter(Boolean).forEach(r => {
+      let i = indexByKey.get(transactionKey(r));
+      // A send whose response was lost shows up under the Sheet's id, with
+      // our local id echoed back as clientId
+      if (i === undefined && r.clientId) {
+        i = indexByKey.get('id:' + r.clientId);
+      }
+      if (i === undefined) {
+        indexByKey.set(transactionKey(r), merged.length);
+        merged.push(r);
+        changed = true;
+        return;
+      }
+      const l = merged[i];
+      if (l.pending && r.clientId === l.id) {
+        // The Sheet already has our pending entry; take its id and version
+        merged[i] = withLocalFields(l, r);
+        indexByKey.set(transactionKey(r), i);
+        changed = true;
+      } else if (!sameTransaction(l, r)) {
+        conflicts.push({ local: l, remote: r });
+        merged[i] = withLocalFields(l, r);
+        changed = true;
+      }
+    });
+    return { merged, changed, conflicts };
+  }
+
+  /**
+   * Show the outcome of the last pull in the teacher portal.
+   *
+   * @param {Array<{local: Object, remote: Object}>} conflicts
+   */
+  function reportPullResult(conflicts) {
+    const msgEl = document.getElementById('tpSyncMsg');
+    const time = formatTime(Date.now());
+    if (conflicts.length > 0) {
+      console.warn(`Sync conflicts (kept the version from ${syncAdapter.label}):`, conflicts);
+    }
+    if (!msgEl) return;
+    const pulled = tr('teacher.lastPulled', { target: syncAdapter.label, time: time });
+    if (conflicts.length === 0) {
+      msgEl.textContent = pulled;
+    } else {
+      const ids = conflicts.map(c => c.remote.id).join(', ');
+      msgEl.textContent = pulled + ' ' + tr('teacher.pullConflicts', { count: conflicts.length, target: syncAdapter.label, ids: ids });
+    }
+  }
+
+  /**
+   * Pull the latest transactions from the sync backend and merge them into
+   * the local transactions. Leaderboards are re-rendered only if the merge
+   * changed something. The open requests are pulled first, for an unlocked
+   * teacher or while this device has requests out, since a request that is
+   * no longer open and has no transaction was rejected.
+   *
+   * @returns {Promise<void>}
+   */
+  function loadLatestTransactions() {
+    if (!syncAdapter || !syncAdapter.configured) {
+      // Don't attempt to fetch if no backend address is set
+      return Promise.resolve();
+    }
+    if (pulling || !window.scoreboardData) {
+      return Promise.resolve();
+    }
+    pulling = true;
+    const wantRequests = !!syncAdapter.pullRequests && (hasTeacherSession() || readReviewQueue().some(e => e.sent));
+    let requests = null;
+    return (wantRequests ? syncAdapter.pullRequests() : Promise.resolve(null))
+      .then(open => {
+        requests = Array.isArray(open) ? open.map(fromRequest) : null;
+        return syncAdapter.pullTransactions();
+      })
+      .then(remote => {
+        if (Array.isArray(remote) && requests) {
+          settleRequests(requests, remote);
+        }
+        if (Array.isArray(remote)) {
+          const local = window.scoreboardData.transactions || [];
+          const result = mergeTransactions(local, remote);
+          reportPullResult(result.conflicts);
+          // Entries the backend already holds must not be sent again
+          const confirmed = new Set(remote.map(t => t.clientId).filter(Boolean));
+          const outbox = readOutbox();
+          if (outbox.some(e => confirmed.has(e.id))) {
+            writeOutbox(outbox.filter(e => !confirmed.has(e.id)));
+          }
+          if (result.changed) {
+            window.scoreboardData.transactions = result.merged;
+            refreshLeaderboards();
+          }
+        }
+      })
+      .catch(err => {
+        console.error('Failed to fetch latest transactions:', err);
+      })
+      .finally(() => {
+        pulling = false;
+      });
+  }
+
+  /**
+   * Keep the pulled open requests for the Student Requests card, and drop
+   * this device's sent requests that were closed: an approved one is now a
+   * transaction, a rejected one also loses its pending points.
+   *
+   * @param {Array<Object>} requests - Open requests, as transactions
+   * @param {Array<Object>} remote - The backend's transactions
+   */
+  function settleRequests(requests, remote) {
+    openRequests = requests;
+    const open = new Set(requests.map(r => r.id));
+    const approved = new Set(remote.map(t => t.clientId).filter(Boolean));
+    const entries = readReviewQueue();
+    const closed = entries.filter(e => e.sent && !open.has(e.id));
+    if (closed.length > 0) {
+      const rejected = new Set(closed.filter(e => !approved.has(e.id)).map(e => e.id));
+      writeReviewQueue(entries.filter(e => !closed.includes(e)));
+      const data = window.scoreboardData;
+      data.transactions = data.transactions.filter(t => !(t.pending && rejected.has(t.id)));
+      if (rejected.size > 0) refreshLeaderboards();
+    }
+    renderReviewQueue();
+  }
+
+  // scoreboard.js records powerup purchases through the same outbox
+  window.queueTransaction = queueTransaction;
+  // Display mode in scoreboard.js refreshes the projector through the pull
+  window.loadLatestTransactions = loadLatestTransactions;
+  // scoreboard.js lets an unlocked teacher name any group's pets
+  window.isTeacherUnlocked = hasTeacherSession;
+
+  // Initialize once scoreboard.js has loaded the data
+  document.addEventListener('scoreboard:dataready', () => {
+    initTeacherPortal();
+    // Resume a teacher session from earlier in this tab, if still valid
+    restoreTeacherSession();
+    // Bring back anything queued before the last reload, then pick the
+    // backend, which sends the outbox and pulls the latest transactions;
+    // keep polling while the page is visible
+    restoreOutbox();
+    applySyncSettings();
+    setInterval(() => {
+      if (document.visibilityState !== 'hidden') {
+        loadLatestTransactions();
+      }
+    }, PULL_INTERVAL_MS);
+  });
+  // Sync right away when the browser reports the network is back
+  window.addEventListener('online', () => {
+    flushOutbox();
+    loadLatestTransactions();
+  });
+})();
\ No newline at end of file
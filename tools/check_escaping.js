@@ -0,0 +1,336 @@
+/*
+ * Check that no text from the scoreboard data can inject markup into the page.
+ *
+ * The data file is edited by hand and merged with rows pulled from a sync
+ * backend, so every name, motto, reason, label, effect and desc in it is
+ * untrusted. This loads index.html in jsdom with a copy of scoreboard.json in
+ * which each of those fields holds a string that breaks out of text and
+ * attribute context into a marked <img> and <b>, then renders every view:
+ *
+ *   - the group and student leaderboards, the pet gallery, every group's
+ *     detail view and a student's profile;
+ *   - the teacher portal after unlocking, with a student request waiting,
+ *     a named pet, a bought powerup, every bulk-award mode and a correction
+ *     form open on the transaction log;
+ *   - the printed code cards and roster sheet;
+ *   - the display mode (?display=1) views,
+ *
+ * first in English and then in Spanish. It fails if any marked element ends
+ * up in the document, or if a view throws.
+ *
+ * The repo has no package.json, so install jsdom next to it first (the
+ * page's scripts are inlined rather than loaded by jsdom, so any recent
+ * version works; checked with jsdom 24 and 29):
+ *
+ *   npm install --no-save jsdom
+ *   node tools/check_escaping.js
+ *
+ * It exits with 1 when a check fails and 2 when jsdom is missing.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+let jsdom;
+try {
+  jsdom = require('jsdom');
+} catch (e) {
+  console.error('This check needs jsdom: run "npm install --no-save jsdom" first.');
+  process.exit(2);
+}
+const { JSDOM, VirtualConsole } = jsdom;
+
+const ROOT = path.join(__dirname, '..');
+const PAGE_URL = 'http://localhost/index.html';
+// Fields whose text comes from the data or a sync backend, in any language
+const HOSTILE_FIELDS = ['name', 'motto', 'reason', 'label', 'effect', 'desc'];
+const MARKER = 'data-injected';
+const PASSCODE = 'escaping-check';
+// Only needs to unlock this throwaway data, so keep the check quick
+const ITERATIONS = 1000;
+
+/**
+ * A string that turns into marked elements wherever it is written as HTML,
+ * whether inside text or a quoted attribute.
+ *
+ * @param {string} where - Where the string was put, reported on failure.
+ * @returns {string}
+ */
+function hostile(where) {
+  return `"'><img ${MARKER}="${where}" src="x"><b ${MARKER}="${where}">${where}</b>`;
+}
+
+/**
+ * Copy data, replacing every string in a HOSTILE_FIELDS field (including
+ * the ones under i18n) with a hostile string.
+ *
+ * @param {*} value
+ * @param {string} where
+ * @returns {*}
+ */
+function poison(value, where) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => poison(item, `${where}[${i}]`));
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    Object.keys(value).forEach(key => {
+      const item = value[key];
+      out[key] = typeof item === 'string' && HOSTILE_FIELDS.includes(key)
+        ? hostile(`${where}.${key}`)
+        : poison(item, `${where}.${key}`);
+    });
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Build the hostile data: scoreboard.json with poisoned fields, a named pet,
+ * a bought powerup, no sync backend and a teacherAuth for PASSCODE.
+ *
+ * @returns {Object}
+ */
+function hostileData() {
+  const data = poison(JSON.parse(fs.readFileSync(path.join(ROOT, 'scoreboard.json'), 'utf8')), 'data');
+  delete data.sync;
+  const group = data.groups[0];
+  const student = data.students.find(s => s.groupId === group.id) || data.students[0];
+  const pet = (data.pets || [])[0];
+  const powerup = (data.powerups || []).find(p => p.cost > 0);
+  const today = new Date().toISOString().slice(0, 10);
+  // Enough points to unlock the pet and afford the powerup
+  data.transactions.push({ id: 'esc-points', studentId: student.id, groupId: group.id, delta: 500, date: today, reason: hostile('points.reason') });
+  if (pet) {
+    data.transactions.push({
+      id: 'esc-petname', groupId: group.id, delta: 0, date: today, reason: hostile('petname.reason'),
+      kind: 'petname', petId: pet.id, petName: hostile('petname.petName')
+    });
+  }
+  if (powerup) {
+    data.transactions.push({
+      id: 'esc-purchase', studentId: student.id, groupId: group.id, delta: -powerup.cost, date: today,
+      reason: hostile('purchase.reason'), kind: 'purchase', powerupId: powerup.id, purchaseId: 'pu-esc'
+    });
+  }
+  const salt = crypto.randomBytes(16);
+  const bits = crypto.pbkdf2Sync(PASSCODE, salt, ITERATIONS, 64, 'sha256');
+  data.teacherAuth = {
+    salt: salt.toString('base64'),
+    iterations: ITERATIONS,
+    verifier: bits.subarray(0, 32).toString('base64')
+  };
+  return data;
+}
+
+// The student hostileData() gave points and a powerup to
+function pointsStudent(data) {
+  const points = data.transactions.find(t => t.id === 'esc-points');
+  return data.students.find(s => s.id === points.studentId);
+}
+
+/**
+ * index.html with its built-in data replaced and its scripts inlined, so
+ * jsdom does not have to load anything. "<" is escaped so the hostile
+ * strings cannot close the data <script> block itself.
+ *
+ * @param {Object} data
+ * @returns {string}
+ */
+function pageWithData(data) {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  const block = /(<script id="scoreboard-data" type="application\/json">)[\s\S]*?(<\/script>)/;
+  if (!block.test(html)) throw new Error('index.html has no scoreboard-data block');
+  return html
+    .replace(block, (m, open, close) => `${open}\n${json}\n${close}`)
+    .replace(/<script src="([^"]+)"><\/script>/g, (m, src) => {
+      const code = fs.readFileSync(path.join(ROOT, src), 'utf8').replace(/<\/script/gi, '<\\/script');
+      return `<script>\n${code}\n</script>`;
+    });
+}
+
+const failures = [];
+// Injected sources already reported, so a view that stays on the page is
+// reported once, by the step that first showed it
+const reported = new Set();
+
+/**
+ * Record the marked elements in the document that were not reported yet.
+ *
+ * @param {Window} window
+ * @param {string} step
+ */
+function checkDocument(window, step) {
+  window.document.querySelectorAll(`[${MARKER}]`).forEach(el => {
+    const where = el.getAttribute(MARKER);
+    if (reported.has(where)) return;
+    reported.add(where);
+    failures.push(`${step}: markup injected from ${where}`);
+  });
+}
+
+// Let timers and promises the page started run
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Load the page with the hostile data and resolve once it has loaded.
+ *
+ * @param {string} html
+ * @param {string} query
+ * @param {Object<string, string>} storage - localStorage entries to preset.
+ * @returns {Promise<Window>}
+ */
+function openPage(html, query, storage) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', err => {
+    // Canvas, navigation and the like are missing from jsdom, not broken
+    if (/Not implemented/.test(err.message)) return;
+    failures.push(`${query || 'page'}: ${err.message}`);
+  });
+  const dom = new JSDOM(html, {
+    url: PAGE_URL + query,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      Object.keys(storage).forEach(key => window.localStorage.setItem(key, storage[key]));
+      Object.defineProperty(window, 'crypto', { value: crypto.webcrypto, configurable: true });
+      window.TextEncoder = TextEncoder;
+      window.Uint8Array = Uint8Array;
+      window.ArrayBuffer = ArrayBuffer;
+      window.HTMLCanvasElement.prototype.getContext = () => null;
+      // Offline: the built-in data is used and nothing is synced
+      window.fetch = () => Promise.reject(new Error('offline'));
+      window.alert = () => {};
+      window.confirm = () => true;
+    }
+  });
+  return new Promise(resolve => {
+    dom.window.addEventListener('load', () => wait(300).then(() => resolve(dom.window)));
+  });
+}
+
+/**
+ * Click through every view of the main page and the teacher portal.
+ *
+ * @param {Window} window
+ * @param {Object} data
+ * @param {string} locale
+ */
+async function renderPageViews(window, data, locale) {
+  const $ = id => window.document.getElementById(id);
+  const step = async (name, action) => {
+    try {
+      await action();
+    } catch (err) {
+      failures.push(`${locale} ${name}: threw ${err.message}`);
+    }
+    await wait(50);
+    checkDocument(window, `${locale} ${name}`);
+  };
+  const student = pointsStudent(data);
+
+  await step('groups', () => window.navigate('groups'));
+  await step('students', () => window.navigate('students'));
+  await step('pets', () => window.navigate('pets'));
+  for (const group of data.groups) {
+    await step(`group ${group.id}`, () => window.showGroupDetail(group.id));
+  }
+  await step('profile', () => {
+    window.navigate('profile');
+    $('codeInput').value = student.code;
+    $('codeSubmitBtn').click();
+  });
+
+  await step('teacher', async () => {
+    window.navigate('teacher');
+    if (!window.isTeacherUnlocked()) {
+      $('teacherPass').value = PASSCODE;
+      $('teacherUnlockBtn').click();
+      for (let i = 0; i < 100 && !window.isTeacherUnlocked(); i++) await wait(50);
+      if (!window.isTeacherUnlocked()) throw new Error('the portal did not unlock');
+    }
+  });
+  for (const mode of Array.from($('tpBulkMode').options).map(o => o.value)) {
+    await step(`bulk ${mode}`, () => {
+      $('tpBulkMode').value = mode;
+      $('tpBulkMode').dispatchEvent(new window.Event('change'));
+      window.document.querySelectorAll('#tpBulkPicker input[type="checkbox"]').forEach(box => {
+        box.checked = true;
+        box.dispatchEvent(new window.Event('change'));
+      });
+    });
+  }
+  await step('correction form', () => {
+    const edit = Array.from(window.document.querySelectorAll('#tpLog button'))
+      .find(btn => btn.textContent === window.tr('teacher.edit'));
+    if (edit) edit.click();
+  });
+  // The portal empties #print-view after printing, so check it while "printing"
+  window.print = () => checkDocument(window, `${locale} print`);
+  await step('print cards', () => $('tpPrintCardsBtn').click());
+  await step('print roster', () => $('tpPrintRosterBtn').click());
+}
+
+/**
+ * Render every display-mode view.
+ *
+ * @param {Window} window
+ * @param {string} locale
+ */
+async function renderDisplayViews(window, locale) {
+  const views = window.eval('Object.keys(DISPLAY_VIEWS)');
+  for (const view of views) {
+    try {
+      window.eval(`DISPLAY_VIEWS[${JSON.stringify(view)}].render()`);
+    } catch (err) {
+      failures.push(`${locale} display ${view}: threw ${err.message}`);
+    }
+    await wait(50);
+    checkDocument(window, `${locale} display ${view}`);
+  }
+}
+
+async function main() {
+  const data = hostileData();
+  const html = pageWithData(data);
+  const student = pointsStudent(data);
+  // A purchase made on a student device, waiting for the teacher's approval
+  const request = {
+    id: 'esc-request', studentId: student.id, groupId: student.groupId, delta: -1,
+    date: new Date().toISOString().slice(0, 10), reason: hostile('request.reason'), kind: 'purchase'
+  };
+  const storage = { lmh_review_queue: JSON.stringify([request]) };
+
+  const page = await openPage(html, '', storage);
+  checkDocument(page, 'load');
+  for (const locale of ['en', 'es']) {
+    page.setLocale(locale);
+    await renderPageViews(page, data, locale);
+  }
+  page.close();
+
+  const display = await openPage(html, `?display=1&rotate=0#/groups/${encodeURIComponent(data.groups[0].id)}`, {});
+  checkDocument(display, 'display load');
+  for (const locale of ['en', 'es']) {
+    display.setLocale(locale);
+    await renderDisplayViews(display, locale);
+  }
+  display.close();
+
+  if (failures.length > 0) {
+    console.error(`Found ${failures.length} problem${failures.length === 1 ? '' : 's'}:`);
+    failures.forEach(f => console.error('  ' + f));
+    process.exit(1);
+  }
+  console.log('No markup was injected from the data.');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
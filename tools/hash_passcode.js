@@ -0,0 +1,49 @@
+/*
+ * Generate the teacher sign-in settings for the scoreboard data.
+ *
+ * The page never stores the teacher passcode. Instead, PBKDF2-SHA256 stretches
+ * the passcode with a random salt into 64 bytes:
+ *
+ *   - the first 32 bytes are the "verifier" stored in the data, which the
+ *     page compares against to unlock the teacher portal;
+ *   - the last 32 bytes are the signing key the unlocked portal uses to sign
+ *     transactions with HMAC-SHA256. It is NOT stored in the data; put it in
+ *     your Apps Script's Script Properties (as TEACHER_SIGNING_KEY) so the
+ *     script can reject posts that were not signed by a teacher.
+ *
+ * Usage:
+ *
+ *   node tools/hash_passcode.js "my secret passcode" [sessionMinutes]
+ *
+ * Paste the printed "teacherAuth" object into the scoreboard data.
+ */
+
+const crypto = require('crypto');
+
+// The iteration count is stored in teacherAuth, so the page follows whatever
+// is printed here (600000 is the OWASP recommendation for PBKDF2-SHA256).
+const ITERATIONS = 600000;
+// Same as the portal's fallback when teacherAuth has no sessionMinutes
+const DEFAULT_SESSION_MINUTES = 30;
+
+const passcode = process.argv[2];
+if (!passcode) {
+  console.error('Usage: node tools/hash_passcode.js "<passcode>" [sessionMinutes]');
+  process.exit(1);
+}
+const sessionMinutes = parseInt(process.argv[3] || String(DEFAULT_SESSION_MINUTES), 10);
+
+const salt = crypto.randomBytes(16);
+const bits = crypto.pbkdf2Sync(passcode, salt, ITERATIONS, 64, 'sha256');
+
+const teacherAuth = {
+  salt: salt.toString('base64'),
+  iterations: ITERATIONS,
+  verifier: bits.subarray(0, 32).toString('base64'),
+  sessionMinutes: sessionMinutes
+};
+
+console.log('Add this to the scoreboard data:\n');
+console.log(JSON.stringify({ teacherAuth: teacherAuth }, null, 2));
+console.log('\nSigning key for the Apps Script (Script Properties -> TEACHER_SIGNING_KEY):\n');
+console.log(bits.subarray(32).toString('base64'));
@@ -0,0 +1,371 @@
+/*
+ * Local stand-in for the sync backends used by teacher_portal_gsheets.js.
+ *
+ * Under /exec it speaks the same protocol as the Apps Script deployment:
+ *
+ *   GET  /exec  ->  { ok: true, transactions: [...] }
+ *   POST /exec  ->  { ok: true, id: "<new id>" }   (body: transaction JSON)
+ *   POST /exec  ->  { ok: true, ids: [...] }        (body: { batchId, transactions: [...] })
+ *   POST /exec  ->  { ok: true }                    (body: { roster: {...} })
+ *   POST /exec  ->  { ok: true, id: "<clientId>" }  (body: { request: {...} }, unsigned)
+ *   GET  /exec?requests=1  ->  { ok: true, requests: [...] }
+ *   POST /exec  ->  { ok: true }                    (body: { rejectRequest: "<clientId>" })
+ *
+ * Under /api it serves the same data as the portal's REST/JSON adapter
+ * expects, with HTTP statuses for errors:
+ *
+ *   GET  /api/transactions  ->  [...]
+ *   POST /api/transactions  ->  201 { id }          (body: transaction JSON)
+ *   POST /api/batches       ->  201 { ids: [...] }  (body: { batchId, transactions: [...] })
+ *   PUT  /api/roster        ->  { students: n }     (body: { roster: {...}, rosterId })
+ *   GET  /api/roster?issued=<ISO time>&sig=<signature of { get: "roster" }>
+ *                           ->  the last roster sent
+ *   GET  /api/requests      ->  [...]
+ *   POST /api/requests      ->  201 { id }          (body: transaction JSON, unsigned)
+ *   POST /api/requests/reject  ->  { ok: true }     (body: { rejectRequest: "<clientId>" })
+ *
+ * Transactions are kept in memory. POSTs carrying a clientId that was already
+ * accepted return the original id instead of appending a duplicate, so the
+ * portal's outbox can retry safely.
+ *
+ * Student requests (transactions queued without a teacher session) are kept
+ * as open requests and add no points. Storing a transaction with the same
+ * clientId, which is how the portal approves one, closes the request; so does
+ * a reject.
+ *
+ * To simulate flaky classroom Wi-Fi, pass --fail-rate to drop a share of
+ * requests with a 503:
+ *
+ *   node tools/mock_gscript_server.js --port 8787 --fail-rate 0.5
+ *
+ * Pass --signing-key with the key printed by tools/hash_passcode.js to reject
+ * POSTs that were not signed by an unlocked teacher portal, the same way the
+ * Apps Script should. A signature is only accepted while its `issued` time
+ * is within 10 minutes of the server's clock, and each signed change is
+ * applied once per id (a transaction's clientId, a roster's rosterId), so a
+ * captured request cannot be replayed later or to repeat its change. The
+ * roster holds every student code, so reading it back needs a signature too.
+ *
+ * Then enter http://localhost:8787/exec (Google Sheet) or
+ * http://localhost:8787/api (REST/JSON server) on the teacher portal's Sync
+ * Backend card.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Read a "--name value" option from the command line.
+ *
+ * @param {string} name
+ * @param {string} fallback
+ * @returns {string}
+ */
+function argValue(name, fallback) {
+  const i = process.argv.indexOf('--' + name);
+  return i >= 0 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const PORT = parseInt(argValue('port', '8787'), 10);
+const FAIL_RATE = parseFloat(argValue('fail-rate', '0'));
+const SIGNING_KEY = argValue('signing-key', '');
+// Signatures issued further than this from the server's clock are refused
+const SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+
+const transactions = [];
+let nextId = 1;
+// Open student requests, by their clientId
+const requests = [];
+// Last roster sent by the portal, or null
+let roster = null;
+// rosterIds already applied
+const rosterIds = new Set();
+
+/**
+ * Send a JSON response with permissive CORS headers so the page can call the
+ * server from file:// or another port.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Check the teacher portal's HMAC signature on a POST body. The signature
+ * covers `auth.issued + "." + JSON.stringify(body without auth)` and must
+ * have been issued within SIGNATURE_MAX_AGE_MS of now.
+ *
+ * @param {Object} body - Parsed POST body; its auth field is removed.
+ * @returns {boolean}
+ */
+function verifySignature(body) {
+  const auth = body.auth;
+  delete body.auth;
+  if (!auth || !auth.issued || !auth.sig) {
+    return false;
+  }
+  if (!(Math.abs(Date.now() - Date.parse(auth.issued)) <= SIGNATURE_MAX_AGE_MS)) {
+    return false;
+  }
+  const expected = crypto
+    .createHmac('sha256', Buffer.from(SIGNING_KEY, 'base64'))
+    .update(auth.issued + '.' + JSON.stringify(body))
+    .digest();
+  const given = Buffer.from(auth.sig, 'base64');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Append a transaction, or return the id it already got if the same clientId
+ * was posted before.
+ *
+ * @param {Object} tx
+ * @returns {string}
+ */
+function addTransaction(tx) {
+  if (tx.clientId) {
+    const existing = transactions.find(t => t.clientId === tx.clientId);
+    if (existing) {
+      return existing.id;
+    }
+  }
+  const id = 'tx-' + nextId++;
+  transactions.push(Object.assign({}, tx, { id: id }));
+  closeRequest(tx.clientId);
+  return id;
+}
+
+/**
+ * Keep a student request until a teacher approves or rejects it. A clientId
+ * that is already open or stored is not added again.
+ *
+ * @param {Object} request
+ * @returns {string} Its clientId
+ */
+function addRequest(request) {
+  delete request.auth;
+  const id = String(request.clientId || '');
+  if (id && !requests.some(r => r.clientId === id) && !transactions.some(t => t.clientId === id)) {
+    requests.push(request);
+    console.log(`Request ${request.studentId || '(group)'} ${request.delta > 0 ? '+' : ''}${request.delta} -> ${id}`);
+  }
+  return id;
+}
+
+/**
+ * Close an open request, if there is one with this clientId.
+ *
+ * @param {string} clientId
+ */
+function closeRequest(clientId) {
+  const i = requests.findIndex(r => r.clientId === clientId);
+  if (i >= 0) {
+    requests.splice(i, 1);
+    console.log(`Request ${clientId} closed`);
+  }
+}
+
+/**
+ * Check the signatures of a transaction, batch or roster body, removing the
+ * auth fields. A batch is checked as a whole so it is all-or-nothing.
+ *
+ * @param {Object} parsed
+ * @returns {boolean}
+ */
+function checkBody(parsed) {
+  const signed = Array.isArray(parsed.transactions) ? parsed.transactions : [parsed];
+  for (const body of signed) {
+    if (!SIGNING_KEY) {
+      delete body.auth;
+    } else if (!verifySignature(body)) {
+      const what = body.roster ? 'Roster' : body.get ? 'GET ' + body.get : body.rejectRequest ? 'Reject ' + body.rejectRequest : 'POST ' + body.studentId;
+      console.log(`${what} -> rejected, bad or expired signature`);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Append the transactions of a single or batch body.
+ *
+ * @param {Object} parsed
+ * @returns {Array<string>} The ids, in order
+ */
+function addFromBody(parsed) {
+  const batch = Array.isArray(parsed.transactions) ? parsed.transactions : [parsed];
+  const ids = batch.map(tx => {
+    const id = addTransaction(tx);
+    console.log(`POST ${tx.studentId || '(group)'} ${tx.delta > 0 ? '+' : ''}${tx.delta} -> ${id}`);
+    return id;
+  });
+  if (Array.isArray(parsed.transactions)) {
+    console.log(`Batch ${parsed.batchId}: ${ids.length} transaction(s)`);
+  }
+  return ids;
+}
+
+/**
+ * Keep the roster from a roster body.
+ *
+ * @param {Object} parsed
+ * @returns {number} How many students it holds
+ */
+function saveRoster(parsed) {
+  const count = Array.isArray(parsed.roster.students) ? parsed.roster.students.length : 0;
+  if (parsed.rosterId && rosterIds.has(parsed.rosterId)) {
+    console.log(`Roster ${parsed.rosterId} was already applied`);
+    return count;
+  }
+  if (parsed.rosterId) rosterIds.add(parsed.rosterId);
+  roster = parsed.roster;
+  console.log(`Roster: ${count} student(s)`);
+  return count;
+}
+
+/**
+ * Answer an Apps Script style request under /exec.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Object} [parsed] - Parsed POST body
+ */
+function handleAppsScript(req, res, parsed) {
+  if (req.method === 'GET') {
+    const wantsRequests = new URL(req.url, 'http://localhost').searchParams.has('requests');
+    sendJson(res, 200, wantsRequests ? { ok: true, requests: requests } : { ok: true, transactions: transactions });
+    return;
+  }
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+    return;
+  }
+  if (parsed.request) {
+    sendJson(res, 200, { ok: true, id: addRequest(parsed.request) });
+    return;
+  }
+  if (!checkBody(parsed)) {
+    sendJson(res, 401, { ok: false, error: 'Invalid signature' });
+    return;
+  }
+  if (parsed.roster) {
+    saveRoster(parsed);
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  if (parsed.rejectRequest) {
+    closeRequest(parsed.rejectRequest);
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  const ids = addFromBody(parsed);
+  sendJson(res, 200, Array.isArray(parsed.transactions) ? { ok: true, ids: ids } : { ok: true, id: ids[0] });
+}
+
+/**
+ * Answer a REST/JSON request under /api.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} route - Path after /api
+ * @param {Object} [parsed] - Parsed request body
+ */
+function handleRest(req, res, route, parsed) {
+  const key = `${req.method} ${route}`;
+  if (key === 'GET /transactions') {
+    sendJson(res, 200, transactions);
+    return;
+  }
+  if (key === 'GET /roster') {
+    // Signed like a POST of { get: "roster" }, with the auth in the query
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    if (!checkBody({ get: 'roster', auth: { issued: query.get('issued'), sig: query.get('sig') } })) {
+      sendJson(res, 401, { error: 'Invalid signature' });
+      return;
+    }
+    sendJson(res, roster ? 200 : 404, roster || { error: 'No roster has been sent yet' });
+    return;
+  }
+  if (key === 'GET /requests') {
+    sendJson(res, 200, requests);
+    return;
+  }
+  if (key === 'POST /requests') {
+    sendJson(res, 201, { id: addRequest(parsed) });
+    return;
+  }
+  if (!['POST /transactions', 'POST /batches', 'PUT /roster', 'POST /requests/reject'].includes(key)) {
+    sendJson(res, 404, { error: `No route for ${key}` });
+    return;
+  }
+  if (!checkBody(parsed)) {
+    sendJson(res, 401, { error: 'Invalid signature' });
+    return;
+  }
+  if (key === 'PUT /roster') {
+    if (!parsed.roster) {
+      sendJson(res, 400, { error: 'Missing roster' });
+      return;
+    }
+    sendJson(res, 200, { students: saveRoster(parsed) });
+    return;
+  }
+  if (key === 'POST /requests/reject') {
+    closeRequest(parsed.rejectRequest);
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  if ((key === 'POST /batches') !== Array.isArray(parsed.transactions)) {
+    sendJson(res, 400, { error: 'Send batches to /batches and single transactions to /transactions' });
+    return;
+  }
+  const ids = addFromBody(parsed);
+  sendJson(res, 201, key === 'POST /batches' ? { ids: ids } : { id: ids[0] });
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    sendJson(res, 204, {});
+    return;
+  }
+  if (Math.random() < FAIL_RATE) {
+    console.log(`${req.method} ${req.url} -> simulated failure`);
+    sendJson(res, 503, { ok: false, error: 'Simulated outage' });
+    return;
+  }
+  const path = req.url.split('?')[0];
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    let parsed;
+    if (req.method === 'POST' || req.method === 'PUT') {
+      try {
+        parsed = JSON.parse(body);
+      } catch (e) {
+        sendJson(res, 400, { ok: false, error: 'Invalid JSON' });
+        return;
+      }
+    }
+    if (path.startsWith('/api/')) {
+      handleRest(req, res, path.slice(4), parsed);
+    } else {
+      handleAppsScript(req, res, parsed);
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}/exec and /api (fail rate ${FAIL_RATE}` +
+    `, signatures ${SIGNING_KEY ? 'required' : 'not checked'})`);
+});